@@ -7,10 +7,17 @@ const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 
-const GoogleDriveService = require('./services/GoogleDriveService');
 const VideoProcessor = require('./services/VideoProcessor');
-const ImageKitService = require('./services/ImageKitService');
 const GoogleSheetsService = require('./services/GoogleSheetsService');
+const JobTracker = require('./services/JobTracker');
+const JobQueue = require('./services/JobQueue');
+const VideoPipeline = require('./services/VideoPipeline');
+const ChunkedUploadService = require('./services/ChunkedUploadService');
+const OutputManager = require('./services/OutputManager');
+const DeliveryService = require('./services/DeliveryService');
+const { createStorage } = require('./services/storage');
+const { parseApiKeys, parseScopedApiKeys, requireApiKey } = require('./utils/apiKeys');
+const { withoutPrivateUrls } = require('./utils/privateFiles');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -46,11 +53,7 @@ const upload = multer({
     fileSize: parseInt(process.env.MAX_FILE_SIZE) || 1073741824 // 1GB
   },
   fileFilter: (req, file, cb) => {
-    const allowedTypes = /mp4|avi|mov|mkv|wmv|flv|webm/;
-    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = allowedTypes.test(file.mimetype);
-    
-    if (mimetype && extname) {
+    if (isAllowedVideo(file.originalname, file.mimetype)) {
       return cb(null, true);
     } else {
       cb(new Error('Only video files are allowed!'));
@@ -58,11 +61,50 @@ const upload = multer({
   }
 });
 
-// Initialize services
-const googleDriveService = new GoogleDriveService();
+function isAllowedVideo(fileName, mimeType) {
+  const allowedTypes = /mp4|avi|mov|mkv|wmv|flv|webm/;
+  const extname = allowedTypes.test(path.extname(fileName).toLowerCase());
+  const mimetype = allowedTypes.test(mimeType);
+  return mimetype && extname;
+}
+
+// Initialize services (source and destination storage come from SOURCE_STORAGE / DESTINATION_STORAGE)
+const source = createStorage('source');
 const videoProcessor = new VideoProcessor();
-const imageKitService = new ImageKitService();
+const destination = createStorage('destination');
 const googleSheetsService = new GoogleSheetsService();
+const jobTracker = new JobTracker();
+const chunkedUploadService = new ChunkedUploadService();
+const outputManager = new OutputManager({
+  source,
+  destination,
+  googleSheetsService,
+  jobTracker
+});
+const videoPipeline = new VideoPipeline({
+  source,
+  videoProcessor,
+  destination,
+  googleSheetsService,
+  jobTracker,
+  outputManager
+});
+const deliveryService = new DeliveryService({
+  source,
+  destination,
+  googleSheetsService,
+  jobTracker,
+  outputManager
+});
+const requireDeliveryKey = requireApiKey(parseScopedApiKeys(process.env.DELIVERY_API_KEYS, 'DELIVERY_API_KEYS'), 'delivery');
+const requireRunnerKey = requireApiKey(parseApiKeys(process.env.RUNNER_API_KEYS), 'runner callback');
+const requireAdminKey = requireApiKey(parseApiKeys(process.env.ADMIN_API_KEYS), 'admin');
+const jobQueue = new JobQueue({
+  jobTracker,
+  handler: (jobId, options) => videoPipeline.run(jobId, options)
+});
+
+jobQueue.on('dead-letter', (job) => videoPipeline.exportJob(job));
 
 // Routes
 app.get('/', (req, res) => {
@@ -71,8 +113,16 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: {
       upload: 'POST /upload',
-      process: 'POST /process/:fileId',
-      status: 'GET /status/:jobId'
+      chunkedUpload: 'POST /uploads, PUT /uploads/:uploadId, GET /uploads/:uploadId, POST /uploads/:uploadId/finalize',
+      process: 'POST /process/:fileId (admin API key)',
+      presets: 'GET /presets',
+      status: 'GET /status/:jobId',
+      jobEvents: 'POST /jobs/:jobId/events (runner API key)',
+      reprocess: 'POST /jobs/:jobId/reprocess (admin API key)',
+      deleteOutputs: 'DELETE /jobs/:jobId/outputs (admin API key)',
+      delivery: 'GET /delivery/jobs/:jobId, GET /delivery/files/:fileId, GET /delivery/transformations (API key)',
+      queue: 'GET /queue',
+      retryDeadLetter: 'POST /queue/dead-letter/:jobId/retry (admin API key)'
     }
   });
 });
@@ -84,81 +134,151 @@ app.post('/upload', upload.single('video'), async (req, res) => {
       return res.status(400).json({ error: 'No video file uploaded' });
     }
 
-    const filePath = req.file.path;
-    const fileName = req.file.originalname;
-    const fileSize = req.file.size;
-
-    console.log(`File uploaded: ${fileName} (${fileSize} bytes)`);
-
-    // Upload to Google Drive
-    const driveFile = await googleDriveService.uploadFile(filePath, fileName);
-    
-    // Trigger GitHub Action for processing
-    await triggerGitHubAction(driveFile.id, fileName);
+    let jobOptions;
+    try {
+      jobOptions = parseJobOptions(req.body);
+    } catch (error) {
+      await fs.remove(req.file.path);
+      throw error;
+    }
 
-    res.json({
-      success: true,
-      message: 'Video uploaded successfully',
-      fileId: driveFile.id,
-      fileName: fileName,
-      fileSize: fileSize,
-      driveUrl: driveFile.webViewLink
+    const result = await handleUploadedFile({
+      filePath: req.file.path,
+      fileName: req.file.originalname,
+      fileSize: req.file.size,
+      mimeType: req.file.mimetype,
+      ...jobOptions
     });
 
+    res.json(result);
+
   } catch (error) {
     console.error('Upload error:', error);
-    res.status(500).json({ error: error.message });
+    sendUploadError(res, error);
   }
 });
 
-// Process video endpoint (called by GitHub Action)
-app.post('/process/:fileId', async (req, res) => {
+// Resumable chunked upload: create a session
+app.post('/uploads', async (req, res) => {
   try {
-    const { fileId } = req.params;
-    const { fileName } = req.body;
+    const { fileName, fileSize, mimeType, checksum } = req.body;
 
-    console.log(`Processing video: ${fileId} - ${fileName}`);
+    if (!fileName || !isAllowedVideo(fileName, mimeType || '')) {
+      return res.status(400).json({ error: 'Only video files are allowed!' });
+    }
 
-    // Download from Google Drive
-    const localPath = await googleDriveService.downloadFile(fileId, fileName);
-    
-    // Process video with preset
-    const processedVideos = await videoProcessor.processVideo(localPath, fileName);
-    
-    // Upload to ImageKit
-    const imageKitUrls = [];
-    for (const video of processedVideos) {
-      const url = await imageKitService.uploadVideo(video.path, video.name);
-      imageKitUrls.push({
-        name: video.name,
-        url: url,
-        size: video.size
-      });
+    const metadata = parseJobOptions(req.body);
+    const status = await chunkedUploadService.createUpload({ fileName, fileSize, mimeType, checksum, metadata });
+    res.status(201)
+      .set('Location', `/uploads/${status.uploadId}`)
+      .set('Upload-Offset', String(status.offset))
+      .json(status);
+  } catch (error) {
+    sendUploadError(res, error);
+  }
+});
+
+// Resumable chunked upload: current offset for resuming
+app.get('/uploads/:uploadId', async (req, res) => {
+  try {
+    const status = await chunkedUploadService.getStatus(req.params.uploadId);
+    res.set('Upload-Offset', String(status.offset))
+      .set('Upload-Length', String(status.fileSize))
+      .set('Cache-Control', 'no-store')
+      .json(status);
+  } catch (error) {
+    sendUploadError(res, error);
+  }
+});
+
+// Resumable chunked upload: append the raw request body at Upload-Offset
+app.put('/uploads/:uploadId', async (req, res) => {
+  try {
+    const offset = req.get('Upload-Offset');
+    if (offset === undefined) {
+      return res.status(400).json({ error: 'Upload-Offset header is required' });
     }
 
-    // Save URLs to Google Sheets
-    await googleSheetsService.addVideoEntry({
-      fileName: fileName,
-      originalFileId: fileId,
-      processedVideos: imageKitUrls,
-      timestamp: new Date().toISOString()
-    });
+    const status = await chunkedUploadService.appendChunk(
+      req.params.uploadId,
+      offset,
+      req,
+      req.get('Upload-Checksum')
+    );
+    res.set('Upload-Offset', String(status.offset)).json(status);
+  } catch (error) {
+    sendUploadError(res, error);
+  }
+});
 
-    // Cleanup temp files
-    await fs.remove(localPath);
-    for (const video of processedVideos) {
-      await fs.remove(video.path);
+// Resumable chunked upload: verify the assembled file and start processing
+app.post('/uploads/:uploadId/finalize', async (req, res) => {
+  try {
+    // Finalizing again (e.g. a client retry) returns the first response
+    const result = await chunkedUploadService.finalize(req.params.uploadId, async (upload) => ({
+      ...await handleUploadedFile({
+        filePath: upload.path,
+        fileName: upload.fileName,
+        fileSize: upload.fileSize,
+        mimeType: upload.mimeType,
+        preset: upload.metadata?.preset,
+        presetOverrides: upload.metadata?.presetOverrides,
+        edits: upload.metadata?.edits
+      }),
+      uploadId: upload.uploadId,
+      sha256: upload.sha256
+    }));
+
+    res.json(result);
+  } catch (error) {
+    console.error('Chunked upload finalize error:', error);
+    sendUploadError(res, error);
+  }
+});
+
+app.delete('/uploads/:uploadId', async (req, res) => {
+  try {
+    await chunkedUploadService.abort(req.params.uploadId);
+    res.status(204).end();
+  } catch (error) {
+    sendUploadError(res, error);
+  }
+});
+
+// Process video endpoint: queues the job and returns immediately
+app.post('/process/:fileId', requireAdminKey, async (req, res) => {
+  try {
+    const { fileId } = req.params;
+    const { fileName } = req.body;
+
+    if (!fileName) {
+      return res.status(400).json({ error: 'fileName is required' });
     }
 
-    res.json({
+    const jobOptions = parseJobOptions(req.body);
+    const job = resolveProcessingJob(fileId, fileName, jobOptions);
+    jobQueue.enqueue(job.jobId);
+    console.log(`Queued video: ${fileId} - ${fileName} (job ${job.jobId})`);
+
+    res.status(202).json({
       success: true,
-      message: 'Video processed successfully',
-      urls: imageKitUrls
+      message: 'Video queued for processing',
+      jobId: job.jobId,
+      statusUrl: `/status/${job.jobId}`
     });
 
   } catch (error) {
     console.error('Processing error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Presets available for the `preset` upload/process parameter
+app.get('/presets', (req, res) => {
+  try {
+    res.json({ presets: videoProcessor.presetManager.listPresets() });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message, details: error.errors });
   }
 });
 
@@ -166,25 +286,245 @@ app.post('/process/:fileId', async (req, res) => {
 app.get('/status/:jobId', async (req, res) => {
   try {
     const { jobId } = req.params;
-    // This would typically check a database or queue for job status
-    res.json({
-      jobId: jobId,
-      status: 'completed', // This would be dynamic
-      message: 'Job completed successfully'
-    });
+    const job = jobTracker.getJob(jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: `Job not found: ${jobId}` });
+    }
+
+    // Private files are only handed out signed, through the delivery API
+    res.json(job.results ? { ...job, results: withoutPrivateUrls(job.results) } : job);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Progress of a job dispatched to GitHub Actions, reported by the runner (see JobReporter):
+// { type: 'transition', status, data }, { type: 'progress', progress } or { type: 'update', data }
+app.post('/jobs/:jobId/events', requireRunnerKey, (req, res) => {
+  try {
+    const job = jobTracker.applyReport(req.params.jobId, req.body || {});
+    // The runner deleted the outputs this job replaces; the old job is only in this server's store
+    if (req.body?.type === 'transition' && job.status === 'done' && job.replaces) {
+      outputManager.markReplaced(job, job.replaceOutputs || []);
+    }
+    res.json({ success: true, jobId: job.jobId, status: job.status, progress: job.progress });
+  } catch (error) {
+    console.error('Job event error:', error.message);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Reprocess a finished job's file; its old outputs are deleted once the new ones are recorded
+app.post('/jobs/:jobId/reprocess', requireAdminKey, requireJobReports, async (req, res) => {
+  try {
+    const jobOptions = parseJobOptions(req.body);
+    const job = outputManager.createReprocessJob(req.params.jobId, jobOptions);
+    await dispatchJob(job);
+    console.log(`Reprocessing ${job.fileName} (job ${job.jobId}, replaces ${job.replaces})`);
+
+    res.status(202).json({
+      success: true,
+      message: 'Video queued for reprocessing',
+      jobId: job.jobId,
+      replaces: job.replaces,
+      statusUrl: `/status/${job.jobId}`
+    });
+  } catch (error) {
+    console.error('Reprocess error:', error);
+    res.status(error.status || 500).json({ error: error.message, details: error.errors });
+  }
+});
+
+// Delete a job's outputs; `source` ('keep', 'archive' or 'delete') handles the original
+app.delete('/jobs/:jobId/outputs', requireAdminKey, requireJobReports, async (req, res) => {
+  try {
+    const result = await outputManager.deleteOutputs(req.params.jobId, {
+      source: req.query.source || req.body?.source || 'keep'
+    });
+
+    // Outputs that could not be deleted stay on the job; repeating the request retries them
+    res.status(result.failed.length > 0 ? 502 : 200).json({ success: result.failed.length === 0, ...result });
+  } catch (error) {
+    console.error('Delete error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Delivery endpoints: signed, expiring URLs (`?expires=<seconds>`), with every named
+// transformation that applies or only `?transformation=<name>`. Require an API key, and only
+// reach the jobs in its scopes.
+app.get('/delivery/transformations', requireDeliveryKey, (req, res) => {
+  res.json({ transformations: deliveryService.listTransformations() });
+});
+
+app.get('/delivery/jobs/:jobId', requireDeliveryKey, async (req, res) => {
+  try {
+    const { transformation, expires } = req.query;
+    res.json(await deliveryService.getJobUrls(req.params.jobId, { transformation, expires, scopes: req.apiKeyScopes }));
+  } catch (error) {
+    console.error('Delivery error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/delivery/files/:fileId', requireDeliveryKey, async (req, res) => {
+  try {
+    const { transformation, expires } = req.query;
+    res.json(await deliveryService.getFileUrl(req.params.fileId, { transformation, expires, scopes: req.apiKeyScopes }));
+  } catch (error) {
+    console.error('Delivery error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Queue endpoints
+app.get('/queue', (req, res) => {
+  res.json(jobQueue.getStats());
+});
+
+app.post('/queue/dead-letter/:jobId/retry', requireAdminKey, (req, res) => {
+  try {
+    const job = jobQueue.retryDeadLetter(req.params.jobId);
+    res.status(202).json({ success: true, jobId: job.jobId, status: job.status });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
 // Error handling middleware
 app.use((error, req, res, next) => {
   console.error('Error:', error);
   res.status(500).json({ error: error.message });
 });
 
+// Shared by the single-request and chunked upload paths
+async function handleUploadedFile({ filePath, fileName, fileSize, mimeType, preset = null, presetOverrides = null, edits = null }) {
+  console.log(`File uploaded: ${fileName} (${fileSize} bytes)`);
+  const job = jobTracker.createJob({ fileName, fileSize, preset, presetOverrides, edits });
+
+  try {
+    // Reject corrupt or unsupported files before they reach the source storage and the runner
+    if (process.env.VALIDATE_ON_UPLOAD !== 'false') {
+      await videoProcessor.mediaValidator.validate(filePath);
+    }
+
+    // Store the original at the top level of the source storage, where list() finds it
+    const sourceFile = await source.upload(filePath, fileName, { mimeType, folder: '' });
+    jobTracker.update(job.jobId, { fileId: sourceFile.id });
+
+    await dispatchJob(jobTracker.getJob(job.jobId));
+
+    return {
+      success: true,
+      message: 'Video uploaded successfully',
+      jobId: job.jobId,
+      fileId: sourceFile.id,
+      fileName: fileName,
+      fileSize: fileSize,
+      sourceUrl: sourceFile.url,
+      // Kept for clients written against the Drive-only API
+      driveUrl: sourceFile.url
+    };
+  } catch (error) {
+    jobTracker.fail(job.jobId, error);
+    error.jobId = job.jobId;
+    throw error;
+  } finally {
+    // The source storage holds the original from here on; a failed upload is sent again
+    await fs.remove(filePath);
+  }
+}
+
+// Process on GitHub Actions, or in this server's queue with PROCESSING_RUNNER=local
+async function dispatchJob(job) {
+  if (process.env.PROCESSING_RUNNER === 'local') {
+    return jobQueue.enqueue(job.jobId);
+  }
+
+  const { preset, presetOverrides, edits, replaceOutputs } = job;
+  await triggerGitHubAction(job.fileId, job.fileName, job.jobId, { preset, presetOverrides, edits, replaceOutputs });
+  return job.status === 'queued'
+    ? jobTracker.update(job.jobId, { dispatchedTo: 'github-actions' })
+    : jobTracker.transition(job.jobId, 'queued', { dispatchedTo: 'github-actions' });
+}
+
+// Whether GitHub Actions runs can report their jobs back to this server
+function isRunnerReporting() {
+  return Boolean(process.env.RUNNER_CALLBACK_URL) && parseApiKeys(process.env.RUNNER_API_KEYS).length > 0;
+}
+
+// Output management needs the outputs and states of jobs run on GitHub Actions, which only
+// reach this server's job store through runner reports
+function requireJobReports(req, res, next) {
+  if (process.env.PROCESSING_RUNNER !== 'local' && !isRunnerReporting()) {
+    return res.status(503).json({
+      error: 'Jobs run on GitHub Actions do not report back to this server; set RUNNER_CALLBACK_URL and RUNNER_API_KEYS or PROCESSING_RUNNER=local'
+    });
+  }
+  next();
+}
+
+function sendUploadError(res, error) {
+  res.status(error.status || 500).json({
+    error: error.message,
+    code: error.code,
+    details: error.errors || error.details,
+    jobId: error.jobId
+  });
+}
+
+// Per-job options from a request body: the preset selection and editing directives.
+// Validated here so an invalid request is rejected with a 400.
+function parseJobOptions(body = {}) {
+  return { ...parsePresetSelection(body), ...parseEditDirectives(body) };
+}
+
+// `preset` and `presetOverrides` (object, or JSON string from form fields)
+function parsePresetSelection(body = {}) {
+  const preset = body.preset || null;
+  const presetOverrides = parseJsonField(body, 'presetOverrides');
+
+  videoProcessor.presetManager.resolve(preset, presetOverrides);
+  return { preset, presetOverrides };
+}
+
+// `edits`: trim, keep ranges and intro/outro clips (object, or JSON string from form fields)
+function parseEditDirectives(body = {}) {
+  const edits = parseJsonField(body, 'edits');
+
+  videoProcessor.createEditor(edits);
+  return { edits };
+}
+
+function parseJsonField(body, field) {
+  const value = body[field] || null;
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    const parseError = new Error(`${field} is not valid JSON: ${error.message}`);
+    parseError.status = 400;
+    throw parseError;
+  }
+}
+
+// Reuse the job created at upload time unless it already finished
+function resolveProcessingJob(fileId, fileName, jobOptions = {}) {
+  const existing = jobTracker.findByFileId(fileId);
+
+  if (existing && !['done', 'failed'].includes(existing.status)) {
+    return jobTracker.updateOptions(existing.jobId, jobOptions);
+  }
+
+  return jobTracker.createJob({ fileId, fileName, status: 'queued', ...jobOptions });
+}
+
 // Helper function to trigger GitHub Action
-async function triggerGitHubAction(fileId, fileName) {
+async function triggerGitHubAction(fileId, fileName, jobId, { preset = null, presetOverrides = null, edits = null, replaceOutputs = null } = {}) {
   try {
     const axios = require('axios');
     
@@ -194,7 +534,15 @@ async function triggerGitHubAction(fileId, fileName) {
         event_type: 'video_processing',
         client_payload: {
           file_id: fileId,
-          file_name: fileName
+          file_name: fileName,
+          job_id: jobId,
+          preset: preset || '',
+          preset_overrides: presetOverrides ? JSON.stringify(presetOverrides) : '',
+          edits: edits ? JSON.stringify(edits) : '',
+          // Where the runner reports the job's progress (POST /jobs/:jobId/events)
+          callback_url: process.env.RUNNER_CALLBACK_URL || '',
+          // The runner has its own job store, so it gets the outputs to replace with the job
+          replace_outputs: replaceOutputs?.length ? JSON.stringify(replaceOutputs) : ''
         }
       },
       {
@@ -214,11 +562,28 @@ async function triggerGitHubAction(fileId, fileName) {
 }
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Upload directory: ${process.env.UPLOAD_DIR || 'uploads'}`);
   console.log(`Temp directory: ${process.env.TEMP_DIR || 'temp'}`);
   console.log(`Max file size: ${process.env.MAX_FILE_SIZE || '1GB'}`);
+  console.log(`Queue concurrency: ${jobQueue.concurrency}`);
+  if (process.env.PROCESSING_RUNNER !== 'local' && !isRunnerReporting()) {
+    console.warn('Jobs run on GitHub Actions without RUNNER_CALLBACK_URL and RUNNER_API_KEYS; /status will not follow them past "queued"');
+  }
+
+  jobQueue.restore();
 });
 
+// Graceful shutdown: stop accepting requests, finish or re-queue in-flight jobs
+async function shutdown(signal) {
+  console.log(`Received ${signal}, shutting down...`);
+  server.close();
+  await jobQueue.shutdown();
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 module.exports = app;
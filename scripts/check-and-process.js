@@ -1,42 +1,91 @@
 require('dotenv').config();
-const axios = require('axios');
-const fs = require('fs-extra');
 const path = require('path');
 
-const GoogleDriveService = require('../services/GoogleDriveService');
 const GoogleSheetsService = require('../services/GoogleSheetsService');
-const VideoProcessingScript = require('./process-video');
+const JobTracker = require('../services/JobTracker');
+const JobQueue = require('../services/JobQueue');
+const VideoPipeline = require('../services/VideoPipeline');
+const { createStorage, getStorageType } = require('../services/storage');
 
 class CheckAndProcessScript {
   constructor() {
-    this.googleDriveService = new GoogleDriveService();
+    this.source = createStorage('source');
     this.googleSheetsService = new GoogleSheetsService();
-    this.videoProcessor = new VideoProcessingScript();
+    this.jobTracker = new JobTracker();
+    this.pipeline = new VideoPipeline({
+      source: this.source,
+      googleSheetsService: this.googleSheetsService,
+      jobTracker: this.jobTracker
+    });
+    this.queue = new JobQueue({
+      jobTracker: this.jobTracker,
+      handler: (jobId, options) => this.pipeline.run(jobId, options)
+    });
+    this.queue.on('dead-letter', (job) => this.pipeline.exportJob(job));
     this.processedFileIds = new Set();
+    this.restored = false;
   }
 
   async loadProcessedFileIds() {
-    try {
-      const entries = await this.googleSheetsService.getVideoEntries(1000);
-      entries.forEach(entry => {
-        if (entry.originalFileId) {
-          this.processedFileIds.add(entry.originalFileId);
-        }
+    // Every job that hasn't failed is taken, including queued ones: those belong to the server's
+    // queue or to the runner they were dispatched to
+    const jobs = this.jobTracker.listJobs().filter(job => job.status !== 'failed');
+    jobs.forEach(job => {
+      if (job.fileId) {
+        this.processedFileIds.add(job.fileId);
+      }
+    });
+    console.log(`Loaded ${this.processedFileIds.size} processed file IDs from job store`);
+  }
+
+  // One-off migration for deployments that used the sheet as their database
+  async importFromSheets(limit = 100000) {
+    if (!this.googleSheetsService.isEnabled()) {
+      console.warn('Google Sheets is not configured, nothing to import');
+      return 0;
+    }
+
+    const knownFileIds = this.jobTracker.store.getFileIds();
+    const entries = await this.googleSheetsService.getVideoEntries(limit);
+    let imported = 0;
+
+    for (const entry of entries) {
+      if (!entry.originalFileId || knownFileIds.has(entry.originalFileId)) {
+        continue;
+      }
+
+      const job = this.jobTracker.createJob({
+        fileId: entry.originalFileId,
+        fileName: entry.fileName,
+        status: 'queued'
       });
-      console.log(`Loaded ${this.processedFileIds.size} processed file IDs`);
-    } catch (error) {
-      console.warn('Failed to load processed file IDs:', error.message);
+      const results = String(entry.videoUrls || '')
+        .split(' | ')
+        .filter(Boolean)
+        .map(url => ({ url: url, type: 'video' }));
+
+      if (entry.status === 'ERROR') {
+        this.jobTracker.fail(job.jobId, new Error(entry.errorMessage || 'Imported from Google Sheets'));
+      } else {
+        this.jobTracker.complete(job.jobId, results);
+      }
+
+      knownFileIds.add(entry.originalFileId);
+      imported++;
     }
+
+    console.log(`Imported ${imported} entries from Google Sheets`);
+    return imported;
   }
 
   async checkForNewVideos() {
     try {
-      console.log('Checking for new videos in Google Drive...');
+      console.log(`Checking for new videos in ${getStorageType('source')} storage...`);
       
-      const files = await this.googleDriveService.listFiles();
+      const files = await this.source.list();
       const videoFiles = files.filter(file => this.isVideoFile(file.name));
       
-      console.log(`Found ${videoFiles.length} video files in Google Drive`);
+      console.log(`Found ${videoFiles.length} video files in ${getStorageType('source')} storage`);
       
       const newVideos = videoFiles.filter(file => !this.processedFileIds.has(file.id));
       
@@ -56,40 +105,42 @@ class CheckAndProcessScript {
   }
 
   async processNewVideos(videos) {
-    const results = [];
-    
+    const jobIds = [];
+
     for (const video of videos) {
-      try {
-        console.log(`\n--- Processing: ${video.name} (${video.id}) ---`);
-        
-        const result = await this.videoProcessor.processVideo(video.id, video.name);
-        results.push({
-          fileId: video.id,
-          fileName: video.name,
-          success: true,
-          result: result
-        });
-        
-        // Add to processed set
-        this.processedFileIds.add(video.id);
-        
-        console.log(`✓ Successfully processed: ${video.name}`);
-        
-        // Add delay between processing to avoid rate limits
-        await this.delay(2000);
-        
-      } catch (error) {
-        console.error(`✗ Failed to process ${video.name}:`, error.message);
-        results.push({
-          fileId: video.id,
-          fileName: video.name,
-          success: false,
-          error: error.message
-        });
-      }
+      const existing = this.jobTracker.findByFileId(video.id);
+      const job = existing && ['uploaded', 'queued'].includes(existing.status)
+        ? existing
+        : this.jobTracker.createJob({ fileId: video.id, fileName: video.name, status: 'queued' });
+
+      console.log(`Queueing: ${video.name} (${video.id})`);
+      this.queue.enqueue(job.jobId);
+      this.processedFileIds.add(video.id);
+      jobIds.push(job.jobId);
     }
-    
-    return results;
+
+    // Wait for the workers, including any queue-level retries
+    await this.queue.onIdle();
+
+    return jobIds.map(jobId => {
+      const job = this.jobTracker.getJob(jobId);
+      const success = job.status === 'done';
+
+      if (success) {
+        console.log(`✓ Successfully processed: ${job.fileName}`);
+      } else {
+        console.error(`✗ Failed to process ${job.fileName}:`, job.error?.message);
+      }
+
+      return {
+        jobId: jobId,
+        fileId: job.fileId,
+        fileName: job.fileName,
+        success: success,
+        result: success ? job.results : undefined,
+        error: success ? undefined : job.error?.message
+      };
+    });
   }
 
   async delay(ms) {
@@ -100,6 +151,13 @@ class CheckAndProcessScript {
     try {
       console.log('Starting video check and process script...');
       
+      // Resume work interrupted by a previous shutdown or crash
+      if (!this.restored) {
+        this.restored = true;
+        this.queue.restore();
+        await this.queue.onIdle();
+      }
+
       // Load already processed file IDs
       await this.loadProcessedFileIds();
       
@@ -162,8 +220,23 @@ if (require.main === module) {
   const args = process.argv.slice(2);
   const continuous = args.includes('--continuous') || args.includes('-c');
   const interval = args.find(arg => arg.startsWith('--interval='))?.split('=')[1] || 5;
+
+  const shutdown = async (signal) => {
+    console.log(`Received ${signal}, shutting down...`);
+    await script.queue.shutdown();
+    process.exit(0);
+  };
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
   
-  if (continuous) {
+  if (args.includes('--import-sheets')) {
+    script.importFromSheets()
+      .then(() => process.exit(0))
+      .catch((error) => {
+        console.error('Import failed:', error);
+        process.exit(1);
+      });
+  } else if (continuous) {
     script.runContinuous(parseInt(interval));
   } else {
     script.run();
@@ -0,0 +1,60 @@
+require('dotenv').config();
+
+const GarbageCollector = require('../services/GarbageCollector');
+
+// Applies the retention policies (see GarbageCollector). Meant to run on a schedule on the
+// host that keeps the job store, e.g. daily from cron.
+class GarbageCollectScript {
+  constructor() {
+    this.collector = new GarbageCollector();
+  }
+
+  async run() {
+    try {
+      const args = process.argv.slice(2);
+      const dryRun = args.includes('--dry-run');
+
+      console.log(dryRun ? 'Garbage collection (dry run, nothing is deleted)...' : 'Garbage collection...');
+      const report = await this.collector.run({ dryRun });
+
+      if (args.includes('--json')) {
+        console.log(JSON.stringify(report, null, 2));
+      } else {
+        this.printReport(report);
+      }
+
+      process.exit(report.errors.length > 0 ? 1 : 0);
+    } catch (error) {
+      console.error('Script execution failed:', error);
+      process.exit(1);
+    }
+  }
+
+  printReport(report) {
+    const sections = [
+      ['Source originals', report.sources],
+      ['Orphaned outputs', report.orphans],
+      ['Local files', report.temp]
+    ];
+
+    console.log(`\n=== ${report.dryRun ? 'Would delete' : 'Deleted'} ===`);
+    for (const [title, entries] of sections) {
+      const totalMB = entries.reduce((sum, entry) => sum + (entry.size || 0), 0) / (1024 * 1024);
+      console.log(`\n${title}: ${entries.length} (${totalMB.toFixed(2)} MB)`);
+      entries.forEach(entry => console.log(`- ${entry.name || entry.id} [${entry.id}]: ${entry.reason}`));
+    }
+
+    if (report.errors.length > 0) {
+      console.log('\nErrors:');
+      report.errors.forEach(entry => console.log(`- ${entry.name || entry.id}: ${entry.error}`));
+    }
+  }
+}
+
+// Run the script if called directly
+if (require.main === module) {
+  const script = new GarbageCollectScript();
+  script.run();
+}
+
+module.exports = GarbageCollectScript;
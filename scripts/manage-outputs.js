@@ -0,0 +1,94 @@
+require('dotenv').config();
+
+const VideoPipeline = require('../services/VideoPipeline');
+const JobTracker = require('../services/JobTracker');
+const OutputManager = require('../services/OutputManager');
+
+const USAGE = [
+  'Usage:',
+  '  node manage-outputs.js reprocess <jobId> [--preset=<name>] [--preset-overrides=<json>] [--edits=<json>]',
+  '  node manage-outputs.js delete <jobId> [--source=keep|archive|delete]'
+].join('\n');
+
+class ManageOutputsScript {
+  constructor() {
+    this.jobTracker = new JobTracker();
+    this.outputManager = new OutputManager({ jobTracker: this.jobTracker });
+    this.pipeline = new VideoPipeline({
+      source: this.outputManager.source,
+      destination: this.outputManager.destination,
+      googleSheetsService: this.outputManager.googleSheetsService,
+      jobTracker: this.jobTracker,
+      outputManager: this.outputManager
+    });
+  }
+
+  // Runs the new job here, without the queue; the old outputs go once it is recorded
+  async reprocess(jobId, jobOptions = {}) {
+    const job = this.outputManager.createReprocessJob(jobId, jobOptions);
+    console.log(`Reprocessing ${job.fileName} as job ${job.jobId} (replaces ${jobId})`);
+
+    try {
+      const completedJob = await this.pipeline.run(job.jobId);
+      return {
+        success: true,
+        jobId: job.jobId,
+        replaces: jobId,
+        urls: completedJob.results,
+        notReplaced: completedJob.replaceOutputs
+      };
+    } catch (error) {
+      await this.pipeline.exportJob(this.jobTracker.getJob(job.jobId));
+      throw error;
+    }
+  }
+
+  async delete(jobId, source = 'keep') {
+    return this.outputManager.deleteOutputs(jobId, { source });
+  }
+
+  async run() {
+    try {
+      const argv = process.argv.slice(2);
+      const [command, jobId] = argv.filter(arg => !arg.startsWith('--'));
+
+      if (!['reprocess', 'delete'].includes(command) || !jobId) {
+        console.error(USAGE);
+        process.exit(1);
+      }
+
+      const result = command === 'reprocess'
+        ? await this.reprocess(jobId, this.parseJobOptions(argv))
+        : await this.delete(jobId, this.getOption(argv, 'source') || 'keep');
+
+      console.log('Results:', JSON.stringify(result, null, 2));
+      process.exit(result.failed?.length > 0 ? 1 : 0);
+    } catch (error) {
+      console.error('Script execution failed:', error);
+      process.exit(1);
+    }
+  }
+
+  getOption(argv, name) {
+    const arg = argv.find(value => value.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : '';
+  }
+
+  parseJobOptions(argv) {
+    const overrides = this.getOption(argv, 'preset-overrides');
+    const edits = this.getOption(argv, 'edits');
+    return {
+      preset: this.getOption(argv, 'preset') || null,
+      presetOverrides: overrides ? JSON.parse(overrides) : null,
+      edits: edits ? JSON.parse(edits) : null
+    };
+  }
+}
+
+// Run the script if called directly
+if (require.main === module) {
+  const script = new ManageOutputsScript();
+  script.run();
+}
+
+module.exports = ManageOutputsScript;
@@ -1,143 +1,106 @@
 require('dotenv').config();
-const axios = require('axios');
-const fs = require('fs-extra');
-const path = require('path');
 
-const GoogleDriveService = require('../services/GoogleDriveService');
-const VideoProcessor = require('../services/VideoProcessor');
-const ImageKitService = require('../services/ImageKitService');
-const GoogleSheetsService = require('../services/GoogleSheetsService');
+const VideoPipeline = require('../services/VideoPipeline');
+const JobTracker = require('../services/JobTracker');
+const JobStore = require('../services/JobStore');
+const JobReporter = require('../services/JobReporter');
 
 class VideoProcessingScript {
   constructor() {
-    this.googleDriveService = new GoogleDriveService();
-    this.videoProcessor = new VideoProcessor();
-    this.imageKitService = new ImageKitService();
-    this.googleSheetsService = new GoogleSheetsService();
+    // On GitHub Actions the job store is thrown away with the runner; with JOB_CALLBACK_URL and
+    // JOB_CALLBACK_KEY every change is also reported to the server that dispatched the job
+    this.reporter = new JobReporter();
+    this.jobTracker = new JobTracker(new JobStore(), { reporter: this.reporter });
+    this.pipeline = new VideoPipeline({ jobTracker: this.jobTracker });
   }
 
-  async processVideo(fileId, fileName) {
-    const startTime = Date.now();
-    let localPath = null;
-    let processedVideos = [];
+  resolveJob(fileId, fileName, jobId, jobOptions = {}) {
+    const existing = (jobId && this.jobTracker.getJob(jobId)) || this.jobTracker.findByFileId(fileId);
 
-    try {
-      console.log(`Starting video processing for: ${fileName} (ID: ${fileId})`);
+    if (existing && !['done', 'failed'].includes(existing.status)) {
+      return this.jobTracker.updateOptions(existing.jobId, jobOptions);
+    }
 
-      // Step 1: Update status to PROCESSING
-      await this.googleSheetsService.updateEntryStatus(fileId, 'PROCESSING');
+    // Same ID as the server's job, which the reports are applied to
+    const newJobId = jobId && !this.jobTracker.getJob(jobId) ? jobId : null;
+    return this.jobTracker.createJob({ jobId: newJobId, fileId, fileName, status: 'queued', ...jobOptions });
+  }
 
-      // Step 2: Download from Google Drive
-      console.log('Downloading video from Google Drive...');
-      localPath = await this.googleDriveService.downloadFile(fileId, fileName);
-      console.log(`Downloaded to: ${localPath}`);
+  // Single run without queue-level retries (used by the GitHub Action). `replaceOutputs` are
+  // outputs of an earlier run, deleted once this run's outputs are recorded.
+  async processVideo(fileId, fileName, jobId = null, jobOptions = {}, replaceOutputs = null) {
+    const job = this.resolveJob(fileId, fileName, jobId, jobOptions);
+    if (replaceOutputs) {
+      this.jobTracker.update(job.jobId, { replaceOutputs });
+    }
 
-      // Step 3: Process video with preset
-      console.log('Processing video with preset...');
-      processedVideos = await this.videoProcessor.processVideo(localPath, fileName);
-      console.log(`Processing completed: ${processedVideos.length} files generated`);
+    try {
+      console.log(`Starting video processing for: ${fileName} (ID: ${fileId}, job ${job.jobId})`);
 
-      // Step 4: Upload to ImageKit
-      console.log('Uploading processed files to ImageKit...');
-      const imageKitUrls = [];
-      
-      for (const video of processedVideos) {
-        const url = await this.imageKitService.uploadFile(video.path, video.name, video.type);
-        imageKitUrls.push({
-          name: video.name,
-          url: url,
-          size: video.size,
-          type: video.type
-        });
-        console.log(`Uploaded: ${video.name} -> ${url}`);
-      }
+      const completedJob = await this.pipeline.run(job.jobId);
 
-      // Step 5: Save URLs to Google Sheets
-      console.log('Saving results to Google Sheets...');
-      const processingTime = (Date.now() - startTime) / 1000;
-      
-      await this.googleSheetsService.addVideoEntry({
-        fileName: fileName,
-        originalFileId: fileId,
-        processedVideos: imageKitUrls,
-        timestamp: new Date().toISOString(),
-        processingTime: processingTime
-      });
-
-      // Step 6: Update status to COMPLETED
-      await this.googleSheetsService.updateEntryStatus(fileId, 'COMPLETED', {
-        processingTime: processingTime
-      });
-
-      console.log(`Video processing completed successfully in ${processingTime.toFixed(2)}s`);
+      console.log(`Video processing completed successfully in ${completedJob.processingTime.toFixed(2)}s`);
       return {
         success: true,
-        processingTime: processingTime,
-        urls: imageKitUrls
+        jobId: job.jobId,
+        processingTime: completedJob.processingTime,
+        urls: completedJob.results
       };
-
     } catch (error) {
       console.error('Video processing failed:', error);
-      
-      const processingTime = (Date.now() - startTime) / 1000;
-      
-      // Update status to ERROR
-      await this.googleSheetsService.updateEntryStatus(fileId, 'ERROR', {
-        processingTime: processingTime,
-        errorMessage: error.message
-      });
-
+      await this.pipeline.exportJob(this.jobTracker.getJob(job.jobId));
       throw error;
-    } finally {
-      // Cleanup temp files
-      await this.cleanupFiles(localPath, processedVideos);
-    }
-  }
-
-  async cleanupFiles(localPath, processedVideos) {
-    try {
-      if (localPath && await fs.pathExists(localPath)) {
-        await fs.remove(localPath);
-        console.log(`Cleaned up: ${localPath}`);
-      }
-
-      for (const video of processedVideos) {
-        if (video.path && await fs.pathExists(video.path)) {
-          await fs.remove(video.path);
-          console.log(`Cleaned up: ${video.path}`);
-        }
-      }
-    } catch (error) {
-      console.warn('Cleanup error:', error.message);
     }
   }
 
   async run() {
     try {
       // Get command line arguments
-      const args = process.argv.slice(2);
+      const argv = process.argv.slice(2);
+      const args = argv.filter(arg => !arg.startsWith('--'));
       
       if (args.length < 2) {
-        console.error('Usage: node process-video.js <fileId> <fileName>');
+        console.error('Usage: node process-video.js <fileId> <fileName> [jobId] [--preset=<name>] [--preset-overrides=<json>] [--edits=<json>] [--replace-outputs=<json>]');
         process.exit(1);
       }
 
       const fileId = args[0];
       const fileName = args[1];
+      const jobId = args[2] || null;
+      const jobOptions = this.parseJobOptions(argv);
+      const replaceOutputs = argv.find(value => value.startsWith('--replace-outputs='))?.slice('--replace-outputs='.length);
 
       console.log(`Processing video: ${fileName} (ID: ${fileId})`);
       
-      const result = await this.processVideo(fileId, fileName);
+      const result = await this.processVideo(fileId, fileName, jobId, jobOptions, replaceOutputs ? JSON.parse(replaceOutputs) : null);
       
       console.log('Processing completed successfully');
       console.log('Results:', JSON.stringify(result, null, 2));
       
+      await this.reporter.flush();
       process.exit(0);
     } catch (error) {
       console.error('Script execution failed:', error);
+      await this.reporter.flush();
       process.exit(1);
     }
   }
+
+  parseJobOptions(argv) {
+    const getOption = (name) => {
+      const arg = argv.find(value => value.startsWith(`--${name}=`));
+      return arg ? arg.slice(name.length + 3) : '';
+    };
+
+    const preset = getOption('preset') || null;
+    const overrides = getOption('preset-overrides');
+    const edits = getOption('edits');
+    return {
+      preset: preset,
+      presetOverrides: overrides ? JSON.parse(overrides) : null,
+      edits: edits ? JSON.parse(edits) : null
+    };
+  }
 }
 
 // Run the script if called directly
@@ -0,0 +1,130 @@
+const ffmpeg = require('fluent-ffmpeg');
+const { NULL_OUTPUT } = require('../utils/scenes');
+
+const LOUDNESS_FIELDS = ['input_i', 'input_tp', 'input_lra', 'input_thresh', 'target_offset'];
+
+// Audio side of an encode, driven by the preset's `audio` block: which source tracks
+// are kept (by language, default track or all), EBU R128 loudness normalization and a
+// generated silent track for sources without audio. `plan()` works this out once per
+// job; the encoders turn the plan into -map/-filter options with `buildOutputOptions()`.
+class AudioProcessor {
+  constructor(audio) {
+    this.audio = audio;
+  }
+
+  // { tracks, filters, silent }: `filters[i]` is the audio filter for output track i (or null)
+  async plan(inputPath, videoInfo) {
+    const tracks = this.selectTracks(videoInfo?.audioTracks || []);
+    const silent = tracks.length === 0 && Boolean(this.audio.silentTrack);
+
+    const filters = [];
+    for (const track of tracks) {
+      filters.push(this.audio.normalize ? await this.getLoudnormFilter(inputPath, track.index) : null);
+    }
+
+    if (tracks.length > 0) {
+      console.log(`Audio tracks: ${tracks.map(track => `#${track.index} (${track.language})`).join(', ')}` +
+        (this.audio.normalize ? `, normalized to ${this.audio.normalize.integrated} LUFS` : ''));
+    } else if (silent) {
+      console.log('Source has no audio, adding a silent track');
+    }
+    return { tracks, filters, silent };
+  }
+
+  // 'default' keeps one track: the first match for `languages`, else the source's default
+  // track. 'all' keeps every track in `languages` (all tracks without a language list).
+  selectTracks(tracks) {
+    if (tracks.length === 0) {
+      return [];
+    }
+
+    const { tracks: mode = 'default', languages = [] } = this.audio;
+    const fallback = tracks.find(track => track.default) || tracks[0];
+    const matching = languages.flatMap(language => tracks.filter(track => track.language === language));
+
+    if (mode === 'all') {
+      if (languages.length === 0) {
+        return tracks;
+      }
+      return matching.length > 0 ? matching : [fallback];
+    }
+    return [matching[0] || fallback];
+  }
+
+  // Two-pass loudnorm: measure first, then apply linear gain with the measured values.
+  // Falls back to single-pass (dynamic) loudnorm when the measurement is unusable,
+  // e.g. for a silent track.
+  async getLoudnormFilter(inputPath, streamIndex) {
+    const { integrated, truePeak, range } = this.audio.normalize;
+    const target = `loudnorm=I=${integrated}:TP=${truePeak}:LRA=${range}`;
+    const measured = await this.measureLoudness(inputPath, streamIndex, target);
+
+    if (!measured) {
+      console.warn(`Loudness of stream #${streamIndex} could not be measured, using single-pass loudnorm`);
+      return target;
+    }
+
+    return `${target}:measured_I=${measured.input_i}:measured_TP=${measured.input_tp}` +
+      `:measured_LRA=${measured.input_lra}:measured_thresh=${measured.input_thresh}` +
+      `:offset=${measured.target_offset}:linear=true`;
+  }
+
+  measureLoudness(inputPath, streamIndex, target) {
+    return new Promise((resolve) => {
+      ffmpeg(inputPath)
+        .outputOptions(['-map', `0:${streamIndex}`, '-af', `${target}:print_format=json`, '-f', 'null'])
+        .output(NULL_OUTPUT)
+        .on('end', (stdout, stderr) => resolve(this.parseLoudness(stderr)))
+        .on('error', (err) => {
+          console.warn(`Loudness measurement failed: ${err.message}`);
+          resolve(null);
+        })
+        .run();
+    });
+  }
+
+  // loudnorm prints its measurement as a JSON object at the end of stderr
+  parseLoudness(stderr) {
+    const match = String(stderr || '').match(/\{[^{}]*"input_i"[^{}]*\}/);
+    if (!match) {
+      return null;
+    }
+
+    try {
+      const measured = JSON.parse(match[0]);
+      return LOUDNESS_FIELDS.every(field => Number.isFinite(parseFloat(measured[field]))) ? measured : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Extra ffmpeg input for the silent track (it becomes input 1)
+  getSilentInput() {
+    return {
+      source: `anullsrc=channel_layout=stereo:sample_rate=${this.audio.sampleRate}`,
+      options: ['-f', 'lavfi']
+    };
+  }
+
+  // -map, per-track filter and disposition options; the first kept track is the default
+  buildOutputOptions(plan) {
+    if (plan.silent) {
+      return ['-map', '1:a:0', '-shortest'];
+    }
+    if (plan.tracks.length === 0) {
+      return ['-an'];
+    }
+
+    const options = [];
+    plan.tracks.forEach((track, i) => {
+      options.push('-map', `0:${track.index}`);
+      if (plan.filters[i]) {
+        options.push(`-filter:a:${i}`, plan.filters[i]);
+      }
+      options.push(`-disposition:a:${i}`, i === 0 ? 'default' : '0');
+    });
+    return options;
+  }
+}
+
+module.exports = AudioProcessor;
@@ -0,0 +1,281 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+// Resumable chunked uploads, modelled on the tus protocol:
+//   create (with the whole file's SHA-256) -> append chunks at the current offset (each with
+//   an Upload-Checksum) -> query offset to resume -> finalize (size + whole-file SHA-256 check).
+// Each upload is a `<id>.json` session file and a `<id>.bin` data file; the data
+// file's size on disk is the authoritative offset, so uploads survive restarts.
+class ChunkedUploadService {
+  constructor() {
+    this.uploadDir = path.join(process.env.UPLOAD_DIR || 'uploads', 'chunked');
+    this.maxFileSize = parseInt(process.env.MAX_FILE_SIZE) || 1073741824; // 1GB
+    this.chunkSize = parseInt(process.env.UPLOAD_CHUNK_SIZE) || 8 * 1024 * 1024;
+    this.locks = new Set();
+
+    fs.ensureDirSync(this.uploadDir);
+  }
+
+  getMetaPath(uploadId) {
+    return path.join(this.uploadDir, `${uploadId}.json`);
+  }
+
+  getDataPath(uploadId) {
+    return path.join(this.uploadDir, `${uploadId}.bin`);
+  }
+
+  async createUpload({ fileName, fileSize, mimeType, checksum, metadata = {} }) {
+    const size = parseInt(fileSize);
+    if (!fileName) {
+      throw this.createError(400, 'fileName is required');
+    }
+    if (!Number.isInteger(size) || size <= 0) {
+      throw this.createError(400, 'fileSize must be a positive integer');
+    }
+    if (size > this.maxFileSize) {
+      throw this.createError(413, `File too large. Maximum size is ${this.maxFileSize} bytes`);
+    }
+    if (!checksum) {
+      throw this.createError(400, 'checksum (SHA-256 of the whole file) is required');
+    }
+
+    const expectedChecksum = this.parseFileChecksum(checksum);
+    const upload = {
+      uploadId: uuidv4(),
+      fileName: fileName,
+      fileSize: size,
+      mimeType: mimeType || 'application/octet-stream',
+      checksum: expectedChecksum,
+      metadata: metadata,
+      chunkSize: this.chunkSize,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      finalizedAt: null
+    };
+
+    await fs.writeJson(this.getMetaPath(upload.uploadId), upload, { spaces: 2 });
+    await fs.writeFile(this.getDataPath(upload.uploadId), Buffer.alloc(0));
+
+    console.log(`Chunked upload created: ${upload.uploadId} (${fileName}, ${size} bytes)`);
+    return this.getStatus(upload.uploadId);
+  }
+
+  async getUpload(uploadId) {
+    const metaPath = this.getMetaPath(uploadId);
+    if (!this.isValidId(uploadId) || !(await fs.pathExists(metaPath))) {
+      throw this.createError(404, `Upload not found: ${uploadId}`);
+    }
+    return fs.readJson(metaPath);
+  }
+
+  async getStatus(uploadId) {
+    const upload = await this.getUpload(uploadId);
+    const offset = await this.getOffset(uploadId);
+
+    return {
+      uploadId: upload.uploadId,
+      fileName: upload.fileName,
+      fileSize: upload.fileSize,
+      offset: offset,
+      chunkSize: upload.chunkSize,
+      complete: offset === upload.fileSize,
+      finalized: Boolean(upload.finalizedAt)
+    };
+  }
+
+  async getOffset(uploadId) {
+    try {
+      const stats = await fs.stat(this.getDataPath(uploadId));
+      return stats.size;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  // Append one chunk read from `stream`, verified against its Upload-Checksum. `offset` must
+  // equal the current size on disk. The chunk is written at `offset`, and on a checksum
+  // mismatch, overflow or broken stream the data file is truncated back to it once the
+  // write stream is closed, so no late write can land after the truncate.
+  async appendChunk(uploadId, offset, stream, checksumHeader) {
+    const upload = await this.getUpload(uploadId);
+    if (upload.finalizedAt) {
+      throw this.createError(409, 'Upload already finalized');
+    }
+    if (!checksumHeader) {
+      throw this.createError(400, 'Upload-Checksum header is required');
+    }
+    if (this.locks.has(uploadId)) {
+      throw this.createError(423, 'Another chunk is being written for this upload');
+    }
+
+    this.locks.add(uploadId);
+    try {
+      const currentOffset = await this.getOffset(uploadId);
+      if (parseInt(offset) !== currentOffset) {
+        throw this.createError(409, `Offset mismatch: expected ${currentOffset}, got ${offset}`);
+      }
+
+      const expected = this.parseChunkChecksum(checksumHeader);
+      const hash = crypto.createHash(expected.algorithm);
+      const remaining = upload.fileSize - currentOffset;
+      const dataPath = this.getDataPath(uploadId);
+      const writeStream = fs.createWriteStream(dataPath, { flags: 'r+', start: currentOffset });
+      const closed = new Promise(resolve => writeStream.on('close', resolve));
+      let written = 0;
+
+      try {
+        await new Promise((resolve, reject) => {
+          stream.on('data', (chunk) => {
+            written += chunk.length;
+            if (written > remaining) {
+              reject(this.createError(413, 'Chunk exceeds declared file size'));
+              return;
+            }
+            hash.update(chunk);
+          });
+          stream.on('error', reject);
+          stream.on('aborted', () => reject(this.createError(400, 'Client aborted the chunk upload')));
+          writeStream.on('error', reject);
+          writeStream.on('finish', resolve);
+          stream.pipe(writeStream);
+        });
+
+        if (hash.digest('base64') !== expected.value) {
+          throw this.createError(412, 'Chunk checksum mismatch');
+        }
+      } catch (error) {
+        stream.unpipe(writeStream);
+        writeStream.destroy();
+        await closed;
+        await fs.truncate(dataPath, currentOffset);
+        throw error;
+      }
+      await closed;
+
+      upload.updatedAt = new Date().toISOString();
+      await fs.writeJson(this.getMetaPath(uploadId), upload, { spaces: 2 });
+
+      return this.getStatus(uploadId);
+    } finally {
+      this.locks.delete(uploadId);
+    }
+  }
+
+  // Verify the assembled file and hand it to `processFile(upload)` (upload plus `path`), which
+  // owns the file afterwards. Its result, or its error, is stored with the session, so finalizing
+  // again returns the same response instead of processing the file twice.
+  async finalize(uploadId, processFile) {
+    if (this.locks.has(uploadId)) {
+      throw this.createError(423, 'This upload is being written or finalized');
+    }
+
+    this.locks.add(uploadId);
+    try {
+      const upload = await this.getUpload(uploadId);
+      if (upload.finalizedAt) {
+        return this.getFinalizedResult(upload);
+      }
+
+      const offset = await this.getOffset(uploadId);
+      if (offset !== upload.fileSize) {
+        throw this.createError(409, `Upload incomplete: ${offset} of ${upload.fileSize} bytes received`);
+      }
+
+      const sha256 = await this.hashFile(this.getDataPath(uploadId));
+      // Sessions created before the checksum was required have none
+      if (upload.checksum && upload.checksum !== sha256) {
+        throw this.createError(412, 'File checksum mismatch');
+      }
+
+      const filePath = path.join(
+        process.env.UPLOAD_DIR || 'uploads',
+        `${Date.now()}-${Math.round(Math.random() * 1E9)}${path.extname(upload.fileName)}`
+      );
+      await fs.move(this.getDataPath(uploadId), filePath);
+
+      upload.finalizedAt = new Date().toISOString();
+      upload.sha256 = sha256;
+      await fs.writeJson(this.getMetaPath(uploadId), upload, { spaces: 2 });
+      console.log(`Chunked upload finalized: ${uploadId} -> ${filePath}`);
+
+      try {
+        upload.result = await processFile({ ...upload, path: filePath });
+      } catch (error) {
+        upload.error = { status: error.status || 500, message: error.message, code: error.code, jobId: error.jobId };
+        throw error;
+      } finally {
+        upload.updatedAt = new Date().toISOString();
+        await fs.writeJson(this.getMetaPath(uploadId), upload, { spaces: 2 });
+      }
+      return upload.result;
+    } finally {
+      this.locks.delete(uploadId);
+    }
+  }
+
+  // The stored outcome of the first finalize
+  getFinalizedResult(upload) {
+    if (upload.error) {
+      throw Object.assign(this.createError(upload.error.status, upload.error.message), {
+        code: upload.error.code,
+        jobId: upload.error.jobId
+      });
+    }
+    if (!upload.result) {
+      // Finalized by a process that stopped before it stored the outcome
+      throw this.createError(409, 'Upload already finalized');
+    }
+    return upload.result;
+  }
+
+  async abort(uploadId) {
+    await this.getUpload(uploadId);
+    await fs.remove(this.getDataPath(uploadId));
+    await fs.remove(this.getMetaPath(uploadId));
+    console.log(`Chunked upload aborted: ${uploadId}`);
+  }
+
+  async hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256');
+      fs.createReadStream(filePath)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')))
+        .on('error', reject);
+    });
+  }
+
+  // tus checksum extension: "Upload-Checksum: <algorithm> <base64 digest>"
+  parseChunkChecksum(header) {
+    const [algorithm, value] = String(header).trim().split(/\s+/);
+    const supported = { sha1: 'sha1', sha256: 'sha256', md5: 'md5' };
+
+    if (!supported[algorithm] || !value) {
+      throw this.createError(400, `Unsupported Upload-Checksum: ${header}`);
+    }
+    return { algorithm: supported[algorithm], value: value };
+  }
+
+  // Whole-file checksum given at creation: "sha256:<hex>" or bare hex
+  parseFileChecksum(checksum) {
+    const value = String(checksum).replace(/^sha256:/, '').toLowerCase();
+    if (!/^[a-f0-9]{64}$/.test(value)) {
+      throw this.createError(400, 'checksum must be a SHA-256 hex digest');
+    }
+    return value;
+  }
+
+  isValidId(uploadId) {
+    return /^[a-f0-9-]{36}$/.test(uploadId);
+  }
+
+  createError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+}
+
+module.exports = ChunkedUploadService;
@@ -0,0 +1,139 @@
+const { getDisplaySize, computeScaling } = require('../utils/scaling');
+const { getVideoEncoder } = require('../utils/codecs');
+
+// ffprobe codec names of the audio encoders presets use
+const AUDIO_CODEC_NAMES = {
+  aac: 'aac',
+  libmp3lame: 'mp3',
+  libopus: 'opus'
+};
+
+// Pixel formats every H.264/HEVC player decodes
+const PLAYABLE_PIXEL_FORMATS = ['yuv420p', 'yuvj420p'];
+
+// Relative frame rate difference that still matches, so 30 fps passes for 29.97 (NTSC rates)
+const FPS_TOLERANCE = 0.01;
+
+// Decides whether a source already matches a preset, so it can be remuxed (stream copy with
+// faststart) instead of transcoded. `check()` returns the reasons it does not; an empty
+// list means the source complies.
+class ComplianceChecker {
+  constructor(options = {}) {
+    this.maxVideoSizeMB = options.maxVideoSizeMB || parseInt(process.env.MAX_VIDEO_SIZE_MB) || 98;
+  }
+
+  isEnabled(preset) {
+    return preset.remux ?? process.env.REMUX_COMPLIANT !== 'false';
+  }
+
+  // `context`: the job's audioPlan, and the burn-in filter and overlay that force an encode
+  check(preset, videoInfo, { audioPlan = null, burnInFilter = null, overlay = null } = {}) {
+    if (!this.isEnabled(preset)) {
+      return ['remux disabled'];
+    }
+    if (!videoInfo) {
+      return ['source not analyzed'];
+    }
+
+    const reasons = [];
+    if (preset.video) {
+      reasons.push(...this.checkVideo(preset, videoInfo));
+      if (burnInFilter) {
+        reasons.push('subtitles are burned in');
+      }
+      if (overlay) {
+        reasons.push('overlay is drawn');
+      }
+    }
+    if (preset.audio) {
+      reasons.push(...this.checkAudio(preset.audio, audioPlan));
+    }
+    return reasons;
+  }
+
+  checkVideo(preset, videoInfo) {
+    const { video } = preset;
+    const reasons = [];
+    const encoder = getVideoEncoder(video.codec);
+
+    if (videoInfo.videoCodec !== encoder.family) {
+      reasons.push(`video codec ${videoInfo.videoCodec} is not ${encoder.family}`);
+    }
+
+    const source = getDisplaySize(videoInfo);
+    const geometry = computeScaling(source, video);
+    if (!source || geometry.width !== source.width || geometry.height !== source.height) {
+      reasons.push(`frame size ${source ? `${source.width}x${source.height}` : 'unknown'} needs scaling`);
+    }
+
+    if (video.fps && !(videoInfo.fps && Math.abs(videoInfo.fps - video.fps) <= video.fps * FPS_TOLERANCE)) {
+      reasons.push(`frame rate ${videoInfo.fps || 'unknown'} is not ${video.fps}`);
+    }
+
+    const pixelFormats = video.pixelFormat ? [video.pixelFormat] : PLAYABLE_PIXEL_FORMATS;
+    if (!pixelFormats.includes(videoInfo.pixelFormat)) {
+      reasons.push(`pixel format ${videoInfo.pixelFormat || 'unknown'} is not ${pixelFormats.join('/')}`);
+    }
+    if (video.profile && String(videoInfo.videoProfile || '').toLowerCase() !== video.profile.toLowerCase()) {
+      reasons.push(`profile ${videoInfo.videoProfile || 'unknown'} is not ${video.profile}`);
+    }
+    if (video.extraOptions.length > 0) {
+      reasons.push('preset has extra encoder options');
+    }
+
+    reasons.push(...this.checkSize(preset, videoInfo));
+    return reasons;
+  }
+
+  // Only limits the preset actually encodes to: its bitrate cap (the lower of `maxBitrate` and,
+  // in bitrate mode, `bitrate`), which a remuxed source must not exceed, and the size cap of
+  // target-size encodes (a bigger source would be split where an encode would fit in one file).
+  // A CRF preset without a cap takes any bitrate.
+  checkSize(preset, videoInfo) {
+    const { video } = preset;
+    const reasons = [];
+    const caps = [video.maxBitrate, video.rateControl === 'bitrate' ? video.bitrate : null].filter(Boolean);
+    const limit = caps.length > 0 ? Math.min(...caps) : null;
+
+    if (limit) {
+      const bitrate = parseInt(videoInfo.videoBitrate || videoInfo.bitrate) / 1000;
+      if (!(bitrate <= limit)) {
+        reasons.push(`video bitrate ${Number.isFinite(bitrate) ? `${Math.round(bitrate)}k` : 'unknown'} is above ${limit}k`);
+      }
+    }
+
+    if (video.rateControl === 'target-size') {
+      const targetSizeMB = video.targetSizeMB || this.maxVideoSizeMB;
+      const sizeMB = parseInt(videoInfo.size) / (1024 * 1024);
+      if (!(sizeMB <= targetSizeMB)) {
+        reasons.push(`file size ${Number.isFinite(sizeMB) ? `${sizeMB.toFixed(1)}MB` : 'unknown'} is above ${targetSizeMB}MB`);
+      }
+    }
+    return reasons;
+  }
+
+  checkAudio(audio, audioPlan) {
+    if (!audioPlan) {
+      return [];
+    }
+    if (audioPlan.silent) {
+      return ['a silent audio track is added'];
+    }
+    if (audioPlan.filters.some(Boolean)) {
+      return ['audio is loudness-normalized'];
+    }
+
+    const reasons = [];
+    for (const track of audioPlan.tracks) {
+      if (audio.codec !== 'copy' && track.codec !== AUDIO_CODEC_NAMES[audio.codec]) {
+        reasons.push(`audio track #${track.index} is ${track.codec}, not ${AUDIO_CODEC_NAMES[audio.codec]}`);
+      }
+      if (audio.codec !== 'copy' && track.channels > audio.channels) {
+        reasons.push(`audio track #${track.index} has ${track.channels} channels, more than ${audio.channels}`);
+      }
+    }
+    return reasons;
+  }
+}
+
+module.exports = ComplianceChecker;
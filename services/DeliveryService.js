@@ -0,0 +1,195 @@
+const JobTracker = require('./JobTracker');
+const OutputManager = require('./OutputManager');
+const { createStorage } = require('./storage');
+
+// Named transformations offered by the delivery API, per result type. ImageKit transformation
+// objects (width, height, quality, format, ...). DELIVERY_TRANSFORMATIONS (JSON) adds or
+// replaces entries.
+const DEFAULT_TRANSFORMATIONS = {
+  'thumbnail-small': { types: ['thumbnail', 'poster'], transformation: [{ width: 320 }] },
+  'thumbnail-medium': { types: ['thumbnail', 'poster'], transformation: [{ width: 640 }] },
+  'thumbnail-large': { types: ['thumbnail', 'poster'], transformation: [{ width: 1280 }] },
+  'video-480p': { types: ['video', 'preview'], transformation: [{ height: 480 }] },
+  'video-720p': { types: ['video', 'preview'], transformation: [{ height: 720 }] },
+  'video-1080p': { types: ['video', 'preview'], transformation: [{ height: 1080 }] }
+};
+
+// Signed, expiring URLs for a job's results or a single output, optionally with a named
+// transformation. The destination storage signs them (ImageKit: `getSignedUrl`).
+class DeliveryService {
+  constructor(services = {}) {
+    this.destination = services.destination || createStorage('destination');
+    this.jobTracker = services.jobTracker || new JobTracker();
+    this.outputManager = services.outputManager || new OutputManager({
+      destination: this.destination,
+      jobTracker: this.jobTracker,
+      source: services.source,
+      googleSheetsService: services.googleSheetsService
+    });
+
+    // A Map, so names from the query string never reach Object.prototype (`__proto__`, `constructor`)
+    this.transformations = new Map(Object.entries({ ...DEFAULT_TRANSFORMATIONS, ...this.loadTransformations() }));
+    this.defaultExpireSeconds = parseInt(process.env.DELIVERY_URL_EXPIRE_SECONDS) || 3600;
+    this.maxExpireSeconds = parseInt(process.env.DELIVERY_URL_MAX_EXPIRE_SECONDS) || 86400;
+  }
+
+  loadTransformations() {
+    if (!process.env.DELIVERY_TRANSFORMATIONS) {
+      return {};
+    }
+
+    let transformations;
+    try {
+      transformations = JSON.parse(process.env.DELIVERY_TRANSFORMATIONS);
+    } catch (error) {
+      throw new Error(`DELIVERY_TRANSFORMATIONS is not valid JSON: ${error.message}`);
+    }
+    for (const [name, entry] of Object.entries(transformations)) {
+      if (!Array.isArray(entry?.transformation) || (entry.types && !Array.isArray(entry.types))) {
+        throw new Error(`DELIVERY_TRANSFORMATIONS.${name} needs a "transformation" array and optional "types" array`);
+      }
+    }
+    return transformations;
+  }
+
+  listTransformations() {
+    return [...this.transformations].map(([name, entry]) => ({
+      name: name,
+      types: entry.types || null,
+      transformation: entry.transformation
+    }));
+  }
+
+  // Every result of a done job: { url, transformations: { name: url } } per result. `transformation`
+  // limits the transformed URLs to one name. `scopes` are the caller's API key scopes; jobs
+  // outside them answer 404 like unknown ones.
+  async getJobUrls(jobId, { transformation = null, expires = null, scopes = null } = {}) {
+    const job = this.outputManager.requireJob(jobId);
+    if (!this.isInScope(job, scopes)) {
+      throw createError(404, `Job not found: ${jobId}`);
+    }
+    if (job.status !== 'done') {
+      throw createError(409, `Job ${jobId} is ${job.status}, not done`);
+    }
+
+    const expireSeconds = this.getExpireSeconds(expires);
+    const names = this.getTransformationNames(transformation);
+    const files = [];
+    for (const result of job.results || []) {
+      files.push({
+        name: result.name,
+        type: result.type,
+        fileId: result.fileId || null,
+        ...await this.signFile(result, names, expireSeconds)
+      });
+    }
+
+    return { jobId, expiresAt: this.getExpiresAt(expireSeconds), files };
+  }
+
+  // One output recorded on a job (results, or any uploaded file such as a stream segment)
+  async getFileUrl(fileId, { transformation = null, expires = null, scopes = null } = {}) {
+    const file = this.findOutput(fileId, scopes);
+    if (!file) {
+      throw createError(404, `No job output with file ID ${fileId}`);
+    }
+
+    const expireSeconds = this.getExpireSeconds(expires);
+    const url = file.url || await this.destination.getUrl(fileId);
+    return {
+      fileId: fileId,
+      jobId: file.jobId,
+      name: file.name,
+      type: file.type,
+      expiresAt: this.getExpiresAt(expireSeconds),
+      ...await this.signFile({ ...file, url }, this.getTransformationNames(transformation), expireSeconds)
+    };
+  }
+
+  async signFile(file, names, expireSeconds) {
+    if (typeof this.destination.getSignedUrl !== 'function') {
+      throw createError(501, 'The destination storage does not support signed URLs');
+    }
+
+    const transformations = {};
+    for (const name of names) {
+      const { types, transformation } = this.transformations.get(name);
+      if (!types || types.includes(file.type)) {
+        transformations[name] = await this.destination.getSignedUrl(file.url, { expireSeconds, transformation });
+      }
+    }
+
+    return {
+      url: await this.destination.getSignedUrl(file.url, { expireSeconds }),
+      transformations: transformations
+    };
+  }
+
+  findOutput(fileId, scopes = null) {
+    for (const job of this.jobTracker.listJobs({ status: 'done' })) {
+      if (!this.isInScope(job, scopes)) {
+        continue;
+      }
+      const result = (job.results || []).find(entry => entry.fileId === fileId);
+      const output = result || this.outputManager.getOutputs(job).find(entry => entry.id === fileId);
+      if (output) {
+        return { ...output, jobId: job.jobId };
+      }
+    }
+    return null;
+  }
+
+  // Key scopes (see utils/apiKeys.js): `*`, `job:<jobId>` or a prefix of the source file name.
+  // No scopes means an internal caller without a scoped key.
+  isInScope(job, scopes) {
+    if (!scopes) {
+      return true;
+    }
+    return scopes.some(scope => {
+      if (scope === '*') {
+        return true;
+      }
+      if (scope.startsWith('job:')) {
+        return scope.slice('job:'.length) === job.jobId;
+      }
+      return typeof job.fileName === 'string' && job.fileName.startsWith(scope);
+    });
+  }
+
+  // All names unless one is asked for; unknown names are a 400
+  getTransformationNames(transformation) {
+    if (!transformation) {
+      return [...this.transformations.keys()];
+    }
+    if (!this.transformations.has(transformation)) {
+      throw createError(400, `Unknown transformation "${transformation}"; use one of ${[...this.transformations.keys()].join(', ')}`);
+    }
+    return [transformation];
+  }
+
+  getExpireSeconds(expires) {
+    if (expires === null || expires === undefined || expires === '') {
+      return this.defaultExpireSeconds;
+    }
+
+    const seconds = Number(expires);
+    if (!Number.isInteger(seconds) || seconds <= 0 || seconds > this.maxExpireSeconds) {
+      throw createError(400, `expires must be a whole number of seconds between 1 and ${this.maxExpireSeconds}`);
+    }
+    return seconds;
+  }
+
+  getExpiresAt(expireSeconds) {
+    return new Date(Date.now() + expireSeconds * 1000).toISOString();
+  }
+}
+
+function createError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+DeliveryService.DEFAULT_TRANSFORMATIONS = DEFAULT_TRANSFORMATIONS;
+
+module.exports = DeliveryService;
@@ -0,0 +1,282 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const JobTracker = require('./JobTracker');
+const OutputManager = require('./OutputManager');
+const { createStorage } = require('./storage');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Retention policies, applied by scripts/garbage-collect.js:
+//   - source originals are deleted (or archived) RETENTION_SOURCE_DAYS after their file's latest
+//     job is done (0 keeps them)
+//   - destination files in the pipeline's output folders that no job records are deleted when
+//     RETENTION_DELETE_ORPHANS=true and jobs run locally, once older than
+//     RETENTION_ORPHAN_GRACE_HOURS (uploads of running jobs are not recorded yet). Only files
+//     created after the job store's first job and not listed in Google Sheets count, and only
+//     after a dry run has listed them for review (see collectOrphans)
+//   - files in UPLOAD_DIR and TEMP_DIR untouched for RETENTION_TEMP_HOURS are removed
+// A dry run builds the same report without deleting anything.
+class GarbageCollector {
+  constructor(services = {}, options = {}) {
+    this.source = services.source || createStorage('source');
+    this.destination = services.destination || createStorage('destination');
+    this.jobTracker = services.jobTracker || new JobTracker();
+    this.outputManager = services.outputManager || new OutputManager({
+      source: this.source,
+      destination: this.destination,
+      googleSheetsService: services.googleSheetsService,
+      jobTracker: this.jobTracker
+    });
+    this.googleSheetsService = services.googleSheetsService || this.outputManager.googleSheetsService;
+
+    this.sourceRetentionDays = options.sourceRetentionDays ?? (parseFloat(process.env.RETENTION_SOURCE_DAYS) || 0);
+    this.sourceAction = options.sourceAction || process.env.RETENTION_SOURCE_ACTION || 'delete';
+    this.deleteOrphans = options.deleteOrphans ?? process.env.RETENTION_DELETE_ORPHANS === 'true';
+    this.processingRunner = options.processingRunner || process.env.PROCESSING_RUNNER || 'github';
+    this.orphanGraceHours = options.orphanGraceHours ?? parseFloat(process.env.RETENTION_ORPHAN_GRACE_HOURS ?? '24');
+    this.tempMaxAgeHours = options.tempMaxAgeHours ?? parseFloat(process.env.RETENTION_TEMP_HOURS ?? '24');
+    this.localDirs = options.localDirs || [process.env.UPLOAD_DIR || 'uploads', process.env.TEMP_DIR || 'temp'];
+    this.orphanReviewPath = options.orphanReviewPath || process.env.RETENTION_ORPHAN_REVIEW_PATH ||
+      path.join(path.dirname(this.jobTracker.store.storePath), 'orphan-review.json');
+
+    if (!['archive', 'delete'].includes(this.sourceAction)) {
+      throw new Error(`RETENTION_SOURCE_ACTION must be archive or delete, got "${this.sourceAction}"`);
+    }
+  }
+
+  // Report: { dryRun, sources, orphans, temp, errors }; each entry is { id, name, size, reason }
+  async run({ dryRun = false } = {}) {
+    const report = { dryRun, sources: [], orphans: [], temp: [], errors: [] };
+
+    await this.collectSources(report, dryRun);
+    await this.collectOrphans(report, dryRun);
+    await this.collectTemp(report, dryRun);
+
+    console.log(`${dryRun ? 'Would remove' : 'Removed'} ${report.sources.length} source originals, ` +
+      `${report.orphans.length} orphaned outputs and ${report.temp.length} local files` +
+      (report.errors.length > 0 ? ` (${report.errors.length} errors)` : ''));
+    return report;
+  }
+
+  async collectSources(report, dryRun) {
+    if (!this.sourceRetentionDays) {
+      return;
+    }
+
+    const cutoff = Date.now() - this.sourceRetentionDays * DAY_MS;
+    const jobsByFile = new Map();
+    for (const job of this.jobTracker.listJobs()) {
+      if (job.fileId) {
+        jobsByFile.set(job.fileId, [...(jobsByFile.get(job.fileId) || []), job]);
+      }
+    }
+
+    for (const [fileId, jobs] of jobsByFile) {
+      // Jobs are listed newest first; a file that is being (re)processed or was already
+      // archived or deleted is left alone
+      const latest = jobs[0];
+      const completedAt = latest.steps?.done?.completedAt || latest.updatedAt;
+      if (latest.status !== 'done' || Date.parse(completedAt) > cutoff ||
+        jobs.some(job => ['archive', 'delete'].includes(job.sourceFile?.action))) {
+        continue;
+      }
+
+      const entry = {
+        id: fileId,
+        name: latest.fileName,
+        size: latest.fileSize,
+        reason: `${this.sourceAction} ${this.sourceRetentionDays} days after job ${latest.jobId} completed`
+      };
+      await this.apply(report, 'sources', entry, dryRun, async () => {
+        const sourceFile = await this.outputManager.applySourceAction(latest, this.sourceAction);
+        this.jobTracker.update(latest.jobId, { sourceFile });
+      });
+    }
+  }
+
+  // A file is an orphan when no job in this store records it, it was created after the store's
+  // first job (older outputs of the pre-store pipeline or of other stores are unknown here), and
+  // Google Sheets doesn't list its URL. A dry run saves the orphans it lists to
+  // RETENTION_ORPHAN_REVIEW_PATH; a real run needs that review and only deletes the files it
+  // listed, or ones created after it.
+  async collectOrphans(report, dryRun) {
+    if (!this.deleteOrphans) {
+      return;
+    }
+    // Jobs run on GitHub Actions record their outputs in the runner's job store, which is not
+    // kept, so here their files would look orphaned
+    if (this.processingRunner !== 'local') {
+      report.errors.push({ id: null, name: 'orphans', error: 'Orphan cleanup needs PROCESSING_RUNNER=local; skipped' });
+      return;
+    }
+    if (typeof this.destination.listOutputs !== 'function') {
+      report.errors.push({ id: null, name: 'orphans', error: 'The destination storage cannot list its output files' });
+      return;
+    }
+
+    const tracked = new Set();
+    for (const job of this.jobTracker.listJobs()) {
+      this.outputManager.getOutputs(job).forEach(file => tracked.add(file.id));
+      (job.results || []).forEach(result => result.fileId && tracked.add(result.fileId));
+      (job.replaceOutputs || []).forEach(file => tracked.add(file.id));
+    }
+    // An empty or missing job store would make every file look orphaned
+    const storeCreatedAt = Date.parse(this.jobTracker.store.getCreatedAt());
+    if (tracked.size === 0 || !Number.isFinite(storeCreatedAt)) {
+      report.errors.push({ id: null, name: 'orphans', error: 'No outputs are recorded in the job store; skipped' });
+      return;
+    }
+
+    const review = await this.readOrphanReview();
+    if (!dryRun && !review) {
+      report.errors.push({
+        id: null,
+        name: 'orphans',
+        error: `Run with --dry-run and review the orphans it lists (${this.orphanReviewPath}) before deleting any; skipped`
+      });
+      return;
+    }
+
+    let files;
+    let sheetsUrls;
+    try {
+      files = await this.destination.listOutputs();
+      sheetsUrls = await this.getSheetsUrls();
+    } catch (error) {
+      report.errors.push({ id: null, name: 'orphans', error: error.message });
+      return;
+    }
+
+    const cutoff = Date.now() - this.orphanGraceHours * HOUR_MS;
+    const listedInSheets = (file) => [file.url, file.id].some(value => value && sheetsUrls.includes(value));
+    const orphans = files.filter(file => {
+      const createdAt = Date.parse(file.createdTime);
+      return !tracked.has(file.id) && createdAt > storeCreatedAt && createdAt <= cutoff && !listedInSheets(file);
+    });
+
+    if (dryRun) {
+      await fs.outputJson(this.orphanReviewPath, {
+        reviewedAt: new Date().toISOString(),
+        orphans: orphans.map(file => file.id)
+      }, { spaces: 2 });
+    }
+
+    const reviewed = new Set(review?.orphans || []);
+    const reviewedAt = Date.parse(review?.reviewedAt);
+    for (const file of orphans) {
+      if (!dryRun && !reviewed.has(file.id) && !(Date.parse(file.createdTime) > reviewedAt)) {
+        continue;
+      }
+
+      const entry = { id: file.id, name: file.name, size: file.size, reason: 'not recorded on any job' };
+      await this.apply(report, 'orphans', entry, dryRun, () => this.destination.delete(file.id));
+    }
+  }
+
+  async readOrphanReview() {
+    try {
+      return await fs.readJson(this.orphanReviewPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Every output URL the Sheets log lists, as one string to search; the pre-store pipeline
+  // recorded its outputs only there
+  async getSheetsUrls() {
+    if (!this.googleSheetsService?.isEnabled()) {
+      return '';
+    }
+
+    const entries = await this.googleSheetsService.getVideoEntries(100000);
+    return entries
+      .map(entry => [entry.videoUrls, entry.thumbnailUrl, entry.previewUrls].join('\n'))
+      .join('\n');
+  }
+
+  async collectTemp(report, dryRun) {
+    const cutoff = Date.now() - this.tempMaxAgeHours * HOUR_MS;
+
+    for (const dir of this.localDirs) {
+      for (const group of await this.listLocalFiles(dir)) {
+        if (group.mtimeMs > cutoff) {
+          continue;
+        }
+
+        for (const file of group.files) {
+          const entry = { id: file.path, name: path.basename(file.path), size: file.size, reason: `untouched for ${this.tempMaxAgeHours}h` };
+          await this.apply(report, 'temp', entry, dryRun, () => fs.remove(file.path));
+        }
+      }
+    }
+  }
+
+  // Files under `dir` in groups removed together. A chunked upload's session and data files
+  // (`<id>.json`, `<id>.bin`) form one group that is only as old as its newest file.
+  async listLocalFiles(dir) {
+    if (!await fs.pathExists(dir)) {
+      return [];
+    }
+
+    // The server's own cleanup may remove files between readdir and stat; those are skipped
+    const ignoreMissing = (error) => {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      return null;
+    };
+
+    const groups = new Map();
+    const walk = async (current) => {
+      for (const entry of await fs.readdir(current, { withFileTypes: true }).catch(ignoreMissing) || []) {
+        const entryPath = path.join(current, entry.name);
+        if (entry.isDirectory()) {
+          await walk(entryPath);
+          continue;
+        }
+
+        const stats = await fs.stat(entryPath).catch(ignoreMissing);
+        if (!stats) {
+          continue;
+        }
+        const key = path.basename(current) === 'chunked'
+          ? path.join(current, path.parse(entry.name).name)
+          : entryPath;
+        const group = groups.get(key) || { mtimeMs: 0, files: [] };
+        group.mtimeMs = Math.max(group.mtimeMs, stats.mtimeMs);
+        group.files.push({ path: entryPath, size: stats.size });
+        groups.set(key, group);
+      }
+    };
+
+    await walk(dir);
+    return Array.from(groups.values());
+  }
+
+  async apply(report, category, entry, dryRun, remove) {
+    if (dryRun) {
+      report[category].push(entry);
+      return;
+    }
+
+    try {
+      await remove();
+      report[category].push(entry);
+    } catch (error) {
+      // Already gone counts as removed
+      if (error.status === 404) {
+        report[category].push(entry);
+        return;
+      }
+      console.warn(`Failed to remove ${entry.name || entry.id}: ${error.message}`);
+      report.errors.push({ id: entry.id, name: entry.name, error: error.message });
+    }
+  }
+}
+
+module.exports = GarbageCollector;
@@ -1,14 +1,31 @@
 const { google } = require('googleapis');
+const axios = require('axios');
 const fs = require('fs-extra');
 const path = require('path');
+const { pipeline } = require('stream/promises');
+const { retryWithBackoff, isRetryableHttpError } = require('../utils/retry');
+
+const DRIVE_UPLOAD_URL = 'https://www.googleapis.com/upload/drive/v3/files';
+const DRIVE_FILE_FIELDS = 'id,name,webViewLink,size,mimeType';
+
+// Resumable upload chunks must be a multiple of 256 KiB
+const CHUNK_GRANULARITY = 256 * 1024;
+
+// Chunks in a row a resumable session may answer without storing anything new
+const MAX_STALLED_CHUNKS = 3;
 
 class GoogleDriveService {
   constructor() {
+    this.auth = this.getAuthClient();
     this.drive = google.drive({
       version: 'v3',
-      auth: this.getAuthClient()
+      auth: this.auth
     });
     this.folderId = process.env.GOOGLE_DRIVE_FOLDER_ID;
+    this.archiveFolderId = process.env.GOOGLE_DRIVE_ARCHIVE_FOLDER_ID || null;
+    this.resumableThreshold = (parseInt(process.env.DRIVE_RESUMABLE_THRESHOLD_MB) || 5) * 1024 * 1024;
+    this.uploadChunkSize = this.alignChunkSize((parseInt(process.env.DRIVE_UPLOAD_CHUNK_MB) || 16) * 1024 * 1024);
+    this.transferRetries = parseInt(process.env.DRIVE_TRANSFER_RETRIES ?? '5');
   }
 
   getAuthClient() {
@@ -25,8 +42,15 @@ class GoogleDriveService {
     return oauth2Client;
   }
 
-  async uploadFile(filePath, fileName) {
+  async uploadFile(filePath, fileName, mimeType = null) {
     try {
+      const { size } = await fs.stat(filePath);
+      mimeType = this.resolveMimeType(fileName, mimeType);
+
+      if (size >= this.resumableThreshold) {
+        return await this.uploadFileResumable(filePath, fileName, mimeType, size);
+      }
+
       console.log(`Uploading ${fileName} to Google Drive...`);
       
       const fileMetadata = {
@@ -35,14 +59,14 @@ class GoogleDriveService {
       };
 
       const media = {
-        mimeType: 'video/mp4',
+        mimeType: mimeType,
         body: fs.createReadStream(filePath)
       };
 
       const response = await this.drive.files.create({
         resource: fileMetadata,
         media: media,
-        fields: 'id,name,webViewLink,size'
+        fields: DRIVE_FILE_FIELDS
       });
 
       console.log(`File uploaded successfully: ${response.data.name} (ID: ${response.data.id})`);
@@ -53,44 +77,240 @@ class GoogleDriveService {
     }
   }
 
+  // Drive resumable upload protocol: open a session, PUT chunks with Content-Range,
+  // and after an interruption ask the session how many bytes it has before continuing.
+  async uploadFileResumable(filePath, fileName, mimeType, fileSize) {
+    console.log(`Uploading ${fileName} to Google Drive (resumable, ${fileSize} bytes)...`);
+
+    const sessionUrl = await this.createResumableSession(fileName, mimeType, fileSize);
+
+    const data = await retryWithBackoff(async (attempt) => {
+      let offset = 0;
+      if (attempt > 0) {
+        const status = await this.getResumableStatus(sessionUrl, fileSize);
+        if (status.done) {
+          return status.data;
+        }
+        offset = status.offset;
+        console.log(`Resuming Drive upload at byte ${offset}`);
+      }
+
+      // A session that keeps answering 308 without taking bytes (e.g. no Range header) fails
+      // this attempt; the retries resume from what it reports, up to `transferRetries`
+      let stalled = 0;
+      while (true) {
+        const response = await this.uploadChunk(sessionUrl, filePath, offset, fileSize);
+        if (response.status === 200 || response.status === 201) {
+          return response.data;
+        }
+
+        const nextOffset = this.parseRangeHeader(response.headers.range);
+        stalled = nextOffset > offset ? 0 : stalled + 1;
+        if (stalled >= MAX_STALLED_CHUNKS) {
+          throw new Error(`Drive upload session stored nothing for ${stalled} chunks in a row at byte ${nextOffset}`);
+        }
+
+        offset = nextOffset;
+        console.log(`Drive upload progress: ${((offset / fileSize) * 100).toFixed(1)}%`);
+      }
+    }, {
+      retries: this.transferRetries,
+      shouldRetry: isRetryableHttpError,
+      onRetry: (error, attempt, waitMs) => {
+        console.warn(`Drive upload interrupted (attempt ${attempt}), resuming in ${waitMs}ms: ${error.message}`);
+      }
+    });
+
+    console.log(`File uploaded successfully: ${data.name} (ID: ${data.id})`);
+    return data;
+  }
+
+  async createResumableSession(fileName, mimeType, fileSize) {
+    const response = await axios.post(
+      `${DRIVE_UPLOAD_URL}?uploadType=resumable&fields=${DRIVE_FILE_FIELDS}`,
+      {
+        name: fileName,
+        mimeType: mimeType,
+        parents: [this.folderId]
+      },
+      {
+        headers: {
+          ...(await this.getAuthHeaders()),
+          'Content-Type': 'application/json; charset=UTF-8',
+          'X-Upload-Content-Type': mimeType,
+          'X-Upload-Content-Length': String(fileSize)
+        }
+      }
+    );
+
+    return response.headers.location;
+  }
+
+  async uploadChunk(sessionUrl, filePath, offset, fileSize) {
+    const end = Math.min(offset + this.uploadChunkSize, fileSize) - 1;
+
+    return axios.put(sessionUrl, fs.createReadStream(filePath, { start: offset, end: end }), {
+      headers: {
+        ...(await this.getAuthHeaders()),
+        'Content-Length': String(end - offset + 1),
+        'Content-Range': `bytes ${offset}-${end}/${fileSize}`
+      },
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity,
+      validateStatus: (status) => [200, 201, 308].includes(status)
+    });
+  }
+
+  async getResumableStatus(sessionUrl, fileSize) {
+    const response = await axios.put(sessionUrl, null, {
+      headers: {
+        ...(await this.getAuthHeaders()),
+        'Content-Length': '0',
+        'Content-Range': `bytes */${fileSize}`
+      },
+      validateStatus: (status) => [200, 201, 308].includes(status)
+    });
+
+    if (response.status === 308) {
+      return { done: false, offset: this.parseRangeHeader(response.headers.range) };
+    }
+    return { done: true, data: response.data };
+  }
+
+  // "bytes=0-1048575" -> next offset 1048576; no header means nothing was stored
+  parseRangeHeader(range) {
+    if (!range) {
+      return 0;
+    }
+    const match = /bytes=\d+-(\d+)/.exec(range);
+    return match ? parseInt(match[1]) + 1 : 0;
+  }
+
+  async getAuthHeaders() {
+    const { token } = await this.auth.getAccessToken();
+    return { Authorization: `Bearer ${token}` };
+  }
+
+  alignChunkSize(size) {
+    return Math.max(CHUNK_GRANULARITY, Math.floor(size / CHUNK_GRANULARITY) * CHUNK_GRANULARITY);
+  }
+
+  // The extension decides. A client-supplied type is only used for extensions not known here,
+  // and only if it is a video type.
+  resolveMimeType(fileName, mimeType) {
+    const detected = this.getMimeType(fileName);
+    if (detected === 'application/octet-stream' && /^video\/[\w.+-]+$/.test(mimeType || '')) {
+      return mimeType;
+    }
+    return detected;
+  }
+
+  getMimeType(fileName) {
+    const mimeMap = {
+      '.mp4': 'video/mp4',
+      '.m4v': 'video/x-m4v',
+      '.avi': 'video/x-msvideo',
+      '.mov': 'video/quicktime',
+      '.mkv': 'video/x-matroska',
+      '.wmv': 'video/x-ms-wmv',
+      '.flv': 'video/x-flv',
+      '.webm': 'video/webm',
+      '.srt': 'application/x-subrip',
+      '.vtt': 'text/vtt',
+      '.json': 'application/json',
+      '.jpg': 'image/jpeg',
+      '.jpeg': 'image/jpeg',
+      '.png': 'image/png'
+    };
+
+    return mimeMap[path.extname(fileName).toLowerCase()] || 'application/octet-stream';
+  }
+
+  async getFileMetadata(fileId) {
+    try {
+      const response = await this.drive.files.get({
+        fileId: fileId,
+        fields: 'id,name,size,mimeType,md5Checksum,parents'
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Google Drive metadata error:', error);
+      throw new Error(`Failed to get file metadata: ${error.message}`);
+    }
+  }
+
+  // Streams to disk, resuming with a Range request after interruptions. Resolves only
+  // after the local file is fully flushed and its size matches Drive's `size`.
   async downloadFile(fileId, fileName) {
     try {
       console.log(`Downloading ${fileName} from Google Drive...`);
       
       const tempDir = process.env.TEMP_DIR || 'temp';
-      const localPath = path.join(tempDir, `${Date.now()}-${fileName}`);
+      const localPath = path.join(tempDir, `${Date.now()}-${path.basename(fileName)}`);
       
       await fs.ensureDir(tempDir);
 
-      const response = await this.drive.files.get({
-        fileId: fileId,
-        alt: 'media'
-      }, { responseType: 'stream' });
+      const metadata = await this.getFileMetadata(fileId);
+      const expectedSize = metadata.size !== undefined ? parseInt(metadata.size) : null;
 
-      const writeStream = fs.createWriteStream(localPath);
-      
-      return new Promise((resolve, reject) => {
-        response.data
-          .on('end', () => {
-            console.log(`File downloaded successfully: ${localPath}`);
-            resolve(localPath);
-          })
-          .on('error', (error) => {
-            console.error('Download error:', error);
-            reject(new Error(`Failed to download file: ${error.message}`));
-          })
-          .pipe(writeStream);
+      await retryWithBackoff(async () => {
+        const offset = await this.getLocalSize(localPath);
+        if (expectedSize !== null && offset === expectedSize) {
+          return;
+        }
+        if (offset > 0) {
+          console.log(`Resuming download at byte ${offset}`);
+        }
+        await this.downloadRange(fileId, localPath, offset);
+      }, {
+        retries: this.transferRetries,
+        shouldRetry: isRetryableHttpError,
+        onRetry: (error, attempt, waitMs) => {
+          console.warn(`Download interrupted (attempt ${attempt}), resuming in ${waitMs}ms: ${error.message}`);
+        }
       });
+
+      const localSize = await this.getLocalSize(localPath);
+      if (expectedSize !== null && localSize !== expectedSize) {
+        await fs.remove(localPath);
+        throw new Error(`Size mismatch: expected ${expectedSize} bytes, got ${localSize}`);
+      }
+
+      console.log(`File downloaded successfully: ${localPath} (${localSize} bytes)`);
+      return localPath;
     } catch (error) {
       console.error('Google Drive download error:', error);
       throw new Error(`Failed to download file from Google Drive: ${error.message}`);
     }
   }
 
+  async downloadRange(fileId, localPath, offset) {
+    const response = await this.drive.files.get({
+      fileId: fileId,
+      alt: 'media'
+    }, {
+      responseType: 'stream',
+      headers: offset > 0 ? { Range: `bytes=${offset}-` } : {}
+    });
+
+    // A 200 to a Range request means the server sent the whole file again
+    const append = offset > 0 && response.status === 206;
+    await pipeline(response.data, fs.createWriteStream(localPath, { flags: append ? 'a' : 'w' }));
+  }
+
+  async getLocalSize(filePath) {
+    try {
+      const stats = await fs.stat(filePath);
+      return stats.size;
+    } catch (error) {
+      return 0;
+    }
+  }
+
   async listFiles() {
     try {
       const response = await this.drive.files.list({
-        q: `'${this.folderId}' in parents`,
+        q: `'${this.folderId}' in parents and trashed = false`,
         fields: 'files(id,name,size,createdTime,webViewLink)',
         orderBy: 'createdTime desc'
       });
@@ -102,6 +322,100 @@ class GoogleDriveService {
     }
   }
 
+  // Downloads a file under its Drive name (the extension tells ffmpeg how to read it)
+  async downloadAsset(fileId) {
+    const metadata = await this.getFileMetadata(fileId);
+    return this.downloadFile(fileId, metadata.name);
+  }
+
+  // Files in the same folder(s) as `fileId` whose name starts with `namePrefix`
+  async listSiblings(fileId, namePrefix) {
+    try {
+      const metadata = await this.getFileMetadata(fileId);
+      // Drive query strings escape backslashes and single quotes
+      const queryName = namePrefix.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+      const files = [];
+
+      for (const parent of metadata.parents || []) {
+        const response = await this.drive.files.list({
+          q: `'${parent}' in parents and trashed = false and name contains '${queryName}'`,
+          fields: 'files(id,name,size)'
+        });
+
+        files.push(...response.data.files
+          .filter(file => file.id !== fileId && file.name.toLowerCase().startsWith(namePrefix.toLowerCase()))
+          .map(file => ({ id: file.id, name: file.name, size: file.size !== undefined ? parseInt(file.size) : null })));
+      }
+
+      return files;
+    } catch (error) {
+      console.error('Google Drive sibling lookup error:', error);
+      throw new Error(`Failed to list files next to ${fileId}: ${error.message}`);
+    }
+  }
+
+  // Storage adapter interface: list, download, upload, delete, getUrl, archive
+
+  async list() {
+    const files = await this.listFiles();
+    return files.map(file => ({
+      id: file.id,
+      name: file.name,
+      size: file.size !== undefined ? parseInt(file.size) : null,
+      createdTime: file.createdTime,
+      url: file.webViewLink
+    }));
+  }
+
+  // Without a name the file is saved under its Drive name
+  async download(fileId, fileName = null) {
+    return fileName ? this.downloadFile(fileId, fileName) : this.downloadAsset(fileId);
+  }
+
+  async upload(filePath, fileName, options = {}) {
+    const file = await this.uploadFile(filePath, fileName, options.mimeType);
+    return {
+      id: file.id,
+      name: file.name,
+      url: file.webViewLink,
+      size: file.size !== undefined ? parseInt(file.size) : null
+    };
+  }
+
+  async delete(fileId) {
+    await this.deleteFile(fileId);
+  }
+
+  async getUrl(fileId) {
+    return `https://drive.google.com/file/d/${fileId}/view`;
+  }
+
+  // Moves the file into GOOGLE_DRIVE_ARCHIVE_FOLDER_ID, or to the trash when none is set.
+  // Drive keeps the file ID either way.
+  async archive(fileId) {
+    try {
+      if (this.archiveFolderId) {
+        const metadata = await this.getFileMetadata(fileId);
+        await this.drive.files.update({
+          fileId: fileId,
+          addParents: this.archiveFolderId,
+          removeParents: (metadata.parents || []).join(','),
+          fields: 'id,parents'
+        });
+      } else {
+        await this.drive.files.update({
+          fileId: fileId,
+          requestBody: { trashed: true }
+        });
+      }
+      console.log(`File archived: ${fileId}`);
+      return fileId;
+    } catch (error) {
+      console.error('Google Drive archive error:', error);
+      throw new Error(`Failed to archive file: ${error.message}`);
+    }
+  }
+
   async deleteFile(fileId) {
     try {
       await this.drive.files.delete({
@@ -110,7 +424,9 @@ class GoogleDriveService {
       console.log(`File deleted successfully: ${fileId}`);
     } catch (error) {
       console.error('Google Drive delete error:', error);
-      throw new Error(`Failed to delete file: ${error.message}`);
+      const deleteError = new Error(`Failed to delete file: ${error.message}`);
+      deleteError.status = error.response?.status;
+      throw deleteError;
     }
   }
 }
@@ -1,4 +1,5 @@
 const { google } = require('googleapis');
+const { withoutPrivateUrls } = require('../utils/privateFiles');
 
 class GoogleSheetsService {
   constructor() {
@@ -8,6 +9,12 @@ class GoogleSheetsService {
     });
     this.spreadsheetId = process.env.GOOGLE_SHEETS_SPREADSHEET_ID;
     this.sheetName = 'VideoProcessing';
+    this.exportEnabled = process.env.GOOGLE_SHEETS_EXPORT !== 'false';
+  }
+
+  // Sheets is an optional export sink; the local job store is the source of truth
+  isEnabled() {
+    return Boolean(this.spreadsheetId) && this.exportEnabled;
   }
 
   getAuthClient() {
@@ -83,12 +90,14 @@ class GoogleSheetsService {
         'Thumbnail URL',
         'Total Size (MB)',
         'Processing Time (s)',
-        'Error Message'
+        'Error Message',
+        'Preview URLs',
+        'Quality'
       ];
 
       await this.sheets.spreadsheets.values.update({
         spreadsheetId: this.spreadsheetId,
-        range: `${this.sheetName}!A1:J1`,
+        range: `${this.sheetName}!A1:L1`,
         valueInputOption: 'RAW',
         resource: {
           values: [headers]
@@ -161,62 +170,134 @@ class GoogleSheetsService {
     try {
       await this.initializeSheet();
 
-      const {
-        fileName,
-        originalFileId,
-        processedVideos,
-        timestamp,
-        processingTime,
-        errorMessage
-      } = data;
-
-      // Separate videos and thumbnails
-      const videos = processedVideos.filter(v => v.type === 'video');
-      const thumbnails = processedVideos.filter(v => v.type === 'thumbnail');
-
-      // Calculate total size
-      const totalSizeMB = processedVideos.reduce((sum, v) => sum + (v.size / (1024 * 1024)), 0);
-
-      // Prepare video URLs
-      const videoUrls = videos.map(v => v.url).join(' | ');
-      const thumbnailUrl = thumbnails.length > 0 ? thumbnails[0].url : '';
-
-      const rowData = [
-        timestamp || new Date().toISOString(),
-        fileName,
-        originalFileId,
-        errorMessage ? 'ERROR' : 'COMPLETED',
-        videos.length,
-        videoUrls,
-        thumbnailUrl,
-        totalSizeMB.toFixed(2),
-        processingTime ? processingTime.toFixed(2) : '',
-        errorMessage || ''
-      ];
-
       // Append row to sheet
       await this.sheets.spreadsheets.values.append({
         spreadsheetId: this.spreadsheetId,
-        range: `${this.sheetName}!A:J`,
+        range: `${this.sheetName}!A:L`,
         valueInputOption: 'RAW',
         insertDataOption: 'INSERT_ROWS',
         resource: {
-          values: [rowData]
+          values: [this.buildEntryRow(data)]
         }
       });
 
-      console.log(`Added video entry to Google Sheets: ${fileName}`);
+      console.log(`Added video entry to Google Sheets: ${data.fileName}`);
     } catch (error) {
       console.error('Failed to add video entry:', error);
       throw new Error(`Failed to add entry to Google Sheets: ${error.message}`);
     }
   }
 
+  // One row per source file: a reprocessed file overwrites its existing row
+  async saveVideoEntry(data) {
+    const rowIndex = data.originalFileId ? await this.findEntryRow(data.originalFileId) : -1;
+    if (rowIndex === -1) {
+      return this.addVideoEntry(data);
+    }
+
+    try {
+      await this.sheets.spreadsheets.values.update({
+        spreadsheetId: this.spreadsheetId,
+        range: `${this.sheetName}!A${rowIndex}:L${rowIndex}`,
+        valueInputOption: 'RAW',
+        resource: {
+          values: [this.buildEntryRow(data)]
+        }
+      });
+
+      console.log(`Updated video entry in Google Sheets: ${data.fileName}`);
+    } catch (error) {
+      console.error('Failed to update video entry:', error);
+      throw new Error(`Failed to update entry in Google Sheets: ${error.message}`);
+    }
+  }
+
+  buildEntryRow(data) {
+    const {
+      fileName,
+      originalFileId,
+      processedVideos,
+      timestamp,
+      processingTime,
+      errorMessage
+    } = data;
+
+    // Separate videos and thumbnails
+    const videos = processedVideos.filter(v => v.type === 'video');
+    const thumbnails = processedVideos.filter(v => v.type === 'thumbnail');
+
+    // Calculate total size
+    const totalSizeMB = processedVideos.reduce((sum, v) => sum + (v.size / (1024 * 1024)), 0);
+
+    // Prepare video URLs (adaptive stream master playlists are listed after the parts)
+    const playlists = processedVideos.filter(v => v.type === 'playlist');
+    // Private files (without a URL here) are listed by file ID, for GET /delivery/files/:fileId
+    const link = v => v.url || v.fileId || '';
+    const videoUrls = videos.concat(playlists).map(link).join(' | ');
+    const thumbnailUrl = thumbnails.length > 0 ? link(thumbnails[0]) : '';
+    const previewUrls = processedVideos.filter(v => v.type === 'preview').map(link).join(' | ');
+
+    return [
+      timestamp || new Date().toISOString(),
+      fileName,
+      originalFileId,
+      errorMessage ? 'ERROR' : 'COMPLETED',
+      videos.length,
+      videoUrls,
+      thumbnailUrl,
+      totalSizeMB.toFixed(2),
+      processingTime ? processingTime.toFixed(2) : '',
+      errorMessage || '',
+      previewUrls,
+      this.formatQuality(videos)
+    ];
+  }
+
+  // Quality scores per encode: split parts share their encode's scores, variants have their own
+  formatQuality(videos) {
+    const encodes = new Map();
+    for (const video of videos) {
+      if (video.quality && !encodes.has(video.variant || video.codec)) {
+        encodes.set(video.variant || video.codec, video.quality);
+      }
+    }
+
+    return [...encodes].map(([name, quality]) => {
+      const scores = ['vmaf', 'ssim', 'psnr']
+        .filter(metric => quality[metric] !== undefined)
+        .map(metric => `${metric.toUpperCase()} ${quality[metric] ?? '?'}`);
+      return `${name}: ${scores.join(', ')}${quality.passed ? '' : ' (below target)'}`;
+    }).join(' | ');
+  }
+
+  async exportJob(job) {
+    if (!this.isEnabled()) {
+      return false;
+    }
+
+    const entry = {
+      fileName: job.fileName,
+      originalFileId: job.fileId,
+      processedVideos: withoutPrivateUrls(job.results || []),
+      timestamp: job.updatedAt,
+      processingTime: job.processingTime,
+      errorMessage: job.error && (job.error.code ? `${job.error.code}: ${job.error.message}` : job.error.message)
+    };
+
+    // A failed reprocess leaves the previous outputs in place, so it keeps their row
+    if (job.error && job.replaces) {
+      await this.addVideoEntry(entry);
+    } else {
+      await this.saveVideoEntry(entry);
+    }
+    return true;
+  }
+
   async getVideoEntries(limit = 100) {
     try {
       const response = await this.sheets.spreadsheets.values.get({
         spreadsheetId: this.spreadsheetId,
-        range: `${this.sheetName}!A2:J${limit + 1}`,
+        range: `${this.sheetName}!A2:L${limit + 1}`,
         valueRenderOption: 'UNFORMATTED_VALUE'
       });
 
@@ -224,7 +305,7 @@ class GoogleSheetsService {
       const headers = [
         'timestamp', 'fileName', 'originalFileId', 'status', 
         'videoParts', 'videoUrls', 'thumbnailUrl', 'totalSizeMB', 
-        'processingTime', 'errorMessage'
+        'processingTime', 'errorMessage', 'previewUrls', 'quality'
       ];
 
       return rows.map(row => {
@@ -240,23 +321,34 @@ class GoogleSheetsService {
     }
   }
 
-  async updateEntryStatus(fileId, status, additionalData = {}) {
+  // 1-based row of the latest entry for a source file, or -1
+  async findEntryRow(fileId) {
     try {
-      // Find the row with the file ID
       const response = await this.sheets.spreadsheets.values.get({
         spreadsheetId: this.spreadsheetId,
-        range: `${this.sheetName}!A:C`
+        range: `${this.sheetName}!C:C`
       });
 
       const rows = response.data.values || [];
-      let rowIndex = -1;
-
-      for (let i = 0; i < rows.length; i++) {
-        if (rows[i][2] === fileId) { // Column C contains originalFileId
-          rowIndex = i + 1; // +1 because sheets are 1-indexed
-          break;
+      for (let i = rows.length - 1; i > 0; i--) {
+        if (rows[i][0] === fileId) {
+          return i + 1; // +1 because sheets are 1-indexed
         }
       }
+      return -1;
+    } catch (error) {
+      // A sheet that does not exist yet has no entries
+      if (error.response?.status === 400) {
+        return -1;
+      }
+      console.error('Failed to find entry:', error);
+      throw new Error(`Failed to find entry in Google Sheets: ${error.message}`);
+    }
+  }
+
+  async updateEntryStatus(fileId, status, additionalData = {}) {
+    try {
+      const rowIndex = await this.findEntryRow(fileId);
 
       if (rowIndex === -1) {
         throw new Error(`Entry not found for file ID: ${fileId}`);
@@ -1,97 +1,191 @@
 const ImageKit = require('imagekit');
+const axios = require('axios');
+const FormData = require('form-data');
 const fs = require('fs-extra');
 const path = require('path');
+const { pipeline } = require('stream/promises');
+const { THUMBNAIL_TYPES, getUploadFolder, isOutputPath } = require('../utils/folders');
+const { retryWithBackoff, isRetryableHttpError } = require('../utils/retry');
+const { PUBLIC_RESULT_TYPES } = require('../utils/privateFiles');
+const { mapWithConcurrency } = require('../utils/concurrency');
 
+const IMAGEKIT_UPLOAD_URL = 'https://upload.imagekit.io/api/v1/files/upload';
+// Tag on every file the pipeline uploads
+const PIPELINE_TAG = 'video-processing';
+
+// Destination storage on ImageKit. Files are addressed by ImageKit fileId. Uploads stream
+// the file from disk (multipart, with a known length) instead of buffering it in memory.
 class ImageKitService {
   constructor() {
+    this.privateKey = process.env.IMAGEKIT_PRIVATE_KEY;
     this.imagekit = new ImageKit({
       publicKey: process.env.IMAGEKIT_PUBLIC_KEY,
-      privateKey: process.env.IMAGEKIT_PRIVATE_KEY,
+      privateKey: this.privateKey,
       urlEndpoint: process.env.IMAGEKIT_URL_ENDPOINT
     });
+    this.uploadRetries = parseInt(process.env.IMAGEKIT_UPLOAD_RETRIES ?? '3');
+    this.uploadConcurrency = parseInt(process.env.UPLOAD_CONCURRENCY) || 2;
+    // Private files are only served through signed URLs (see getSignedUrl)
+    this.privateFiles = process.env.IMAGEKIT_PRIVATE_FILES === 'true';
+  }
+
+  // Storage adapter interface: list, download, upload, delete, getUrl
+
+  async list({ folder = 'videos', limit = 100 } = {}) {
+    const files = await this.listFiles(folder, limit);
+    return files.map(file => ({
+      id: file.fileId,
+      name: file.name,
+      size: file.size,
+      createdTime: file.createdAt,
+      url: file.url
+    }));
+  }
+
+  // Files this pipeline uploaded: tagged `PIPELINE_TAG` and inside one of the output folders,
+  // so the rest of a shared media library is never listed for orphan cleanup
+  async listOutputs() {
+    const files = [];
+    const pageSize = 1000;
+
+    for (let skip = 0; ; skip += pageSize) {
+      const page = await this.imagekit.listFiles({ skip: skip, limit: pageSize, tags: PIPELINE_TAG });
+      files.push(...page.filter(file => file.type !== 'folder' && isOutputPath(file.filePath)).map(file => ({
+        id: file.fileId,
+        name: file.name,
+        size: file.size,
+        createdTime: file.createdAt,
+        url: file.url
+      })));
+      if (page.length < pageSize) {
+        return files;
+      }
+    }
   }
 
-  async uploadVideo(filePath, fileName) {
+  async download(fileId, fileName = null) {
     try {
-      console.log(`Uploading ${fileName} to ImageKit...`);
-      
-      const fileBuffer = await fs.readFile(filePath);
-      const fileExtension = path.extname(fileName).toLowerCase();
-      
-      // Determine folder based on file type
-      const folder = this.getFolderByExtension(fileExtension);
-      
-      const uploadResponse = await this.imagekit.upload({
-        file: fileBuffer,
-        fileName: fileName,
-        folder: folder,
-        useUniqueFileName: true,
-        tags: ['video-processing', 'automated'],
-        responseFields: ['url', 'fileId', 'name', 'size']
-      });
+      const details = await this.getFileDetails(fileId);
+      const tempDir = process.env.TEMP_DIR || 'temp';
+      const localPath = path.join(tempDir, `${Date.now()}-${path.basename(fileName || details.name)}`);
+      await fs.ensureDir(tempDir);
 
-      console.log(`Uploaded to ImageKit: ${uploadResponse.name} (${uploadResponse.url})`);
-      return uploadResponse.url;
+      const response = await axios.get(details.url, { responseType: 'stream' });
+      await pipeline(response.data, fs.createWriteStream(localPath));
+      return localPath;
     } catch (error) {
-      console.error('ImageKit upload error:', error);
-      throw new Error(`Failed to upload to ImageKit: ${error.message}`);
+      console.error('ImageKit download error:', error);
+      throw new Error(`Failed to download file from ImageKit: ${error.message}`);
     }
   }
 
-  async uploadThumbnail(filePath, fileName) {
+  // `options`: result `type` (picks the folder and tags), `folder`, `useUniqueFileName` and
+  // `onProgress(bytesSent, totalBytes)`. Transient failures are retried from the start of the
+  // file. Returns ImageKit's response: { id, fileId, name, url, size, filePath }.
+  // Adaptive stream files stay public with IMAGEKIT_PRIVATE_FILES, as players fetch their
+  // segments by the unsigned URLs in the playlists.
+  async upload(filePath, fileName, options = {}) {
+    const type = options.type || 'video';
+    const onProgress = options.onProgress || (() => {});
+    const form = {
+      fileName: fileName,
+      folder: options.folder || getUploadFolder(fileName, type),
+      useUniqueFileName: String(options.useUniqueFileName ?? true),
+      tags: (THUMBNAIL_TYPES.includes(type) ? ['thumbnail', PIPELINE_TAG] : [PIPELINE_TAG, 'automated']).join(','),
+      isPrivateFile: String(this.privateFiles && !PUBLIC_RESULT_TYPES.includes(type))
+    };
+
     try {
-      console.log(`Uploading thumbnail ${fileName} to ImageKit...`);
-      
-      const fileBuffer = await fs.readFile(filePath);
-      
-      const uploadResponse = await this.imagekit.upload({
-        file: fileBuffer,
-        fileName: fileName,
-        folder: 'thumbnails',
-        useUniqueFileName: true,
-        tags: ['thumbnail', 'video-processing'],
-        responseFields: ['url', 'fileId', 'name', 'size']
+      const { size } = await fs.stat(filePath);
+      console.log(`Uploading ${fileName} to ImageKit (${size} bytes)...`);
+
+      const data = await retryWithBackoff(() => this.uploadStream(filePath, size, form, onProgress), {
+        retries: this.uploadRetries,
+        shouldRetry: isRetryableHttpError,
+        onRetry: (error, attempt, waitMs) => {
+          console.warn(`ImageKit upload of ${fileName} failed (attempt ${attempt}), retrying in ${waitMs}ms: ${error.message}`);
+        }
       });
 
-      console.log(`Thumbnail uploaded: ${uploadResponse.name} (${uploadResponse.url})`);
-      return uploadResponse.url;
+      console.log(`Uploaded to ImageKit: ${data.name} (${data.url})`);
+      return {
+        id: data.fileId,
+        fileId: data.fileId,
+        name: data.name,
+        url: data.url,
+        size: data.size,
+        filePath: data.filePath
+      };
     } catch (error) {
-      console.error('ImageKit thumbnail upload error:', error);
-      throw new Error(`Failed to upload thumbnail to ImageKit: ${error.message}`);
+      console.error('ImageKit upload error:', error.message);
+      const uploadError = new Error(`Failed to upload ${fileName} to ImageKit: ${error.response?.data?.message || error.message}`);
+      // Rejected uploads (bad credentials, invalid file, quota) fail the same way every time
+      if (!isRetryableHttpError(error)) {
+        uploadError.status = error.response?.status;
+        uploadError.retryable = false;
+      }
+      throw uploadError;
     }
   }
 
-  async uploadFile(filePath, fileName, fileType = 'video') {
+  // One attempt: a fresh read stream each time, as a failed request consumes it
+  async uploadStream(filePath, size, fields, onProgress) {
+    const form = new FormData();
+    const stream = fs.createReadStream(filePath);
+    let sent = 0;
+    stream.on('data', (chunk) => {
+      sent += chunk.length;
+      onProgress(sent, size);
+    });
+
+    form.append('file', stream, { filename: fields.fileName, knownLength: size });
+    for (const [name, value] of Object.entries(fields)) {
+      form.append(name, value);
+    }
+
     try {
-      const fileExtension = path.extname(fileName).toLowerCase();
-      
-      if (fileType === 'thumbnail' || fileExtension === '.jpg' || fileExtension === '.png') {
-        return await this.uploadThumbnail(filePath, fileName);
-      } else {
-        return await this.uploadVideo(filePath, fileName);
-      }
-    } catch (error) {
-      console.error('ImageKit upload error:', error);
-      throw new Error(`Failed to upload file to ImageKit: ${error.message}`);
+      const response = await axios.post(IMAGEKIT_UPLOAD_URL, form, {
+        headers: { ...form.getHeaders(), 'Content-Length': String(form.getLengthSync()) },
+        auth: { username: this.privateKey, password: '' },
+        maxBodyLength: Infinity,
+        maxContentLength: Infinity
+      });
+      return response.data;
+    } finally {
+      stream.destroy();
     }
   }
 
-  getFolderByExtension(extension) {
-    const folderMap = {
-      '.mp4': 'videos',
-      '.avi': 'videos',
-      '.mov': 'videos',
-      '.mkv': 'videos',
-      '.wmv': 'videos',
-      '.flv': 'videos',
-      '.webm': 'videos',
-      '.jpg': 'thumbnails',
-      '.jpeg': 'thumbnails',
-      '.png': 'thumbnails',
-      '.gif': 'thumbnails'
-    };
+  async delete(fileId) {
+    await this.deleteFile(fileId);
+  }
+
+  async getUrl(fileId) {
+    const details = await this.getFileDetails(fileId);
+    return details.url;
+  }
 
-    return folderMap[extension] || 'videos';
+  // Signed URL for a stored file's URL that stops working after `expireSeconds`, with an
+  // optional ImageKit transformation (e.g. [{ width: 320 }])
+  async getSignedUrl(url, { expireSeconds = 3600, transformation = [] } = {}) {
+    return this.generateUrl(null, {
+      src: url,
+      transformation: transformation,
+      signed: true,
+      expireSeconds: expireSeconds
+    });
+  }
+
+  async uploadVideo(filePath, fileName, options = {}) {
+    return this.upload(filePath, fileName, options);
+  }
+
+  async uploadThumbnail(filePath, fileName, options = {}) {
+    return this.upload(filePath, fileName, { ...options, type: 'thumbnail' });
+  }
+
+  async uploadFile(filePath, fileName, fileType = 'video', options = {}) {
+    return this.upload(filePath, fileName, { ...options, type: fileType });
   }
 
   async listFiles(folder = 'videos', limit = 100) {
@@ -115,7 +209,9 @@ class ImageKitService {
       return response;
     } catch (error) {
       console.error('ImageKit delete error:', error);
-      throw new Error(`Failed to delete file from ImageKit: ${error.message}`);
+      const deleteError = new Error(`Failed to delete file from ImageKit: ${error.message}`);
+      deleteError.status = error.$ResponseMetadata?.statusCode;
+      throw deleteError;
     }
   }
 
@@ -138,9 +234,10 @@ class ImageKitService {
       };
 
       const finalOptions = { ...defaultOptions, ...options };
-      
+
+      // Either a path relative to the URL endpoint or a full URL in `options.src`
       return this.imagekit.url({
-        path: filePath,
+        ...(filePath ? { path: filePath } : {}),
         ...finalOptions
       });
     } catch (error) {
@@ -149,20 +246,25 @@ class ImageKitService {
     }
   }
 
-  async uploadMultipleFiles(files) {
-    try {
-      const uploadPromises = files.map(file => 
-        this.uploadFile(file.path, file.name, file.type)
-      );
-
-      const results = await Promise.all(uploadPromises);
-      console.log(`Uploaded ${results.length} files to ImageKit`);
-      
-      return results;
-    } catch (error) {
-      console.error('ImageKit multiple upload error:', error);
-      throw new Error(`Failed to upload multiple files to ImageKit: ${error.message}`);
-    }
+  // `files`: [{ path, name, type }], uploaded `concurrency` at a time. `onProgress(bytesSent,
+  // totalBytes)` reports all files together. Returns the upload responses in order.
+  async uploadMultipleFiles(files, { concurrency = this.uploadConcurrency, onProgress = () => {} } = {}) {
+    const sizes = await Promise.all(files.map(async file => (await fs.stat(file.path)).size));
+    const totalBytes = sizes.reduce((sum, size) => sum + size, 0);
+    const sent = sizes.map(() => 0);
+
+    const results = await mapWithConcurrency(files, concurrency, (file, index) =>
+      this.upload(file.path, file.name, {
+        type: file.type,
+        onProgress: (bytes) => {
+          sent[index] = bytes;
+          onProgress(sent.reduce((sum, value) => sum + value, 0), totalBytes);
+        }
+      })
+    );
+    console.log(`Uploaded ${results.length} files to ImageKit`);
+
+    return results;
   }
 }
 
@@ -0,0 +1,278 @@
+const EventEmitter = require('events');
+const os = require('os');
+
+const JobTracker = require('./JobTracker');
+const { getBackoffDelay } = require('../utils/retry');
+
+// In-process work queue. Jobs live in the job store; the queue only holds job IDs
+// and hands them to `handler(jobId, { signal })` with at most `concurrency` running.
+// A job that fails is retried with exponential backoff until `maxAttempts`, then
+// parked in the dead-letter list (status 'failed' with `deadLetter: true`). Errors marked
+// `retryable: false` (typed input errors) go to the dead-letter list right away.
+//
+// Events: 'started', 'completed', 'retry', 'dead-letter', 'requeued', 'idle'
+class JobQueue extends EventEmitter {
+  constructor({ handler, jobTracker, concurrency, maxAttempts, retryBaseDelayMs, shutdownTimeoutMs } = {}) {
+    super();
+
+    if (typeof handler !== 'function') {
+      throw new Error('JobQueue requires a handler function');
+    }
+
+    this.handler = handler;
+    this.jobTracker = jobTracker || new JobTracker();
+    this.concurrency = concurrency || parseInt(process.env.QUEUE_CONCURRENCY) || 1;
+    this.maxAttempts = maxAttempts || parseInt(process.env.QUEUE_MAX_ATTEMPTS) || 3;
+    this.retryBaseDelayMs = retryBaseDelayMs || parseInt(process.env.QUEUE_RETRY_BASE_DELAY_MS) || 30000;
+    this.shutdownTimeoutMs = shutdownTimeoutMs || parseInt(process.env.QUEUE_SHUTDOWN_TIMEOUT_MS) || 60000;
+    this.workerId = `${os.hostname()}:${process.pid}`;
+
+    this.pending = [];
+    this.active = new Map();
+    this.retryTimers = new Map();
+    this.accepting = true;
+  }
+
+  enqueue(jobId) {
+    if (!this.accepting) {
+      throw new Error('Queue is shutting down');
+    }
+
+    if (this.isQueued(jobId)) {
+      return this.jobTracker.getJob(jobId);
+    }
+
+    const job = this.jobTracker.requireJob(jobId);
+
+    // Jobs handed to an external runner (GitHub Actions) stay with that runner, so a shared
+    // store never has the same file processed twice
+    if (job.dispatchedTo) {
+      const error = new Error(`Job ${jobId} is dispatched to ${job.dispatchedTo}`);
+      error.status = 409;
+      throw error;
+    }
+
+    if (job.status !== 'queued' && job.status !== 'uploaded') {
+      this.jobTracker.requeue(jobId);
+    } else if (job.status === 'uploaded') {
+      this.jobTracker.transition(jobId, 'queued');
+    }
+
+    this.pending.push(jobId);
+    console.log(`Queued job ${jobId} (${this.pending.length} pending, ${this.active.size} active)`);
+    this.processNext();
+    return this.jobTracker.getJob(jobId);
+  }
+
+  isQueued(jobId) {
+    return this.pending.includes(jobId) || this.active.has(jobId) || this.retryTimers.has(jobId);
+  }
+
+  // Pick up queued jobs left in the store, and jobs whose worker process died mid-run.
+  // Jobs dispatched to an external runner are left to that runner, also while it reports
+  // them as running.
+  restore() {
+    const jobs = this.jobTracker.listJobs({ status: ['queued', ...JobTracker.ACTIVE_STATES] })
+      .filter(job => !job.dispatchedTo && (job.status === 'queued' || !this.isWorkerAlive(job.worker)))
+      .reverse();
+
+    for (const job of jobs) {
+      this.enqueue(job.jobId);
+    }
+
+    if (jobs.length > 0) {
+      console.log(`Restored ${jobs.length} jobs from the job store`);
+    }
+    return jobs.length;
+  }
+
+  isWorkerAlive(worker) {
+    if (!worker) {
+      return false;
+    }
+
+    const [hostname, pid] = worker.split(':');
+    if (hostname !== os.hostname()) {
+      // Can't tell for other hosts; leave their jobs alone
+      return true;
+    }
+
+    try {
+      process.kill(parseInt(pid), 0);
+      return true;
+    } catch (error) {
+      return error.code === 'EPERM';
+    }
+  }
+
+  processNext() {
+    while (this.accepting && this.active.size < this.concurrency && this.pending.length > 0) {
+      this.runJob(this.pending.shift());
+    }
+
+    if (this.isIdle()) {
+      this.emit('idle');
+    }
+  }
+
+  async runJob(jobId) {
+    const controller = new AbortController();
+    this.active.set(jobId, controller);
+    let attempt = 1;
+
+    try {
+      // Inside the try: a job deleted from the store fails here instead of holding the slot
+      const job = this.jobTracker.requireJob(jobId);
+      attempt = (job.attempts || 0) + 1;
+      this.jobTracker.update(jobId, { attempts: attempt, worker: this.workerId });
+      this.emit('started', job, attempt);
+
+      const result = await this.handler(jobId, { signal: controller.signal });
+      this.emit('completed', this.jobTracker.getJob(jobId), result);
+    } catch (error) {
+      if (!this.jobTracker.getJob(jobId)) {
+        console.error(`Job ${jobId} is no longer in the job store: ${error.message}`);
+      } else if (controller.signal.aborted) {
+        this.jobTracker.requeue(jobId, { attempts: attempt - 1, worker: null });
+        this.emit('requeued', this.jobTracker.getJob(jobId));
+      } else {
+        this.handleFailure(jobId, error, attempt);
+      }
+    } finally {
+      this.active.delete(jobId);
+      this.processNext();
+    }
+  }
+
+  handleFailure(jobId, error, attempt) {
+    const retryable = error.retryable !== false;
+
+    if (retryable && attempt < this.maxAttempts && this.accepting) {
+      const waitMs = getBackoffDelay(attempt, {
+        baseDelayMs: this.retryBaseDelayMs,
+        maxDelayMs: this.retryBaseDelayMs * 32
+      });
+
+      console.warn(`Job ${jobId} failed (attempt ${attempt}/${this.maxAttempts}), retrying in ${waitMs}ms: ${error.message}`);
+      const timer = setTimeout(() => this.retry(jobId, error), waitMs);
+      this.retryTimers.set(jobId, timer);
+      this.emit('retry', this.jobTracker.getJob(jobId), error, waitMs);
+      return;
+    }
+
+    if (retryable && attempt < this.maxAttempts) {
+      // Shutting down: leave it queued for the next start instead of burning an attempt
+      this.jobTracker.requeue(jobId, { worker: null });
+      return;
+    }
+
+    console.error(`Job ${jobId} moved to dead-letter after ${attempt} attempts: ${error.message}`);
+    const deadJob = this.jobTracker.update(jobId, { deadLetter: true, worker: null });
+    this.emit('dead-letter', deadJob, error);
+  }
+
+  // Runs from a timer, so nothing may throw. A job that can't be re-queued any more (deleted,
+  // finished or dispatched elsewhere in the meantime) is dead-lettered if it is still failed.
+  retry(jobId, error) {
+    this.retryTimers.delete(jobId);
+
+    try {
+      this.enqueue(jobId);
+    } catch (enqueueError) {
+      console.error(`Job ${jobId} could not be retried: ${enqueueError.message}`);
+      if (this.jobTracker.getJob(jobId)?.status === 'failed') {
+        const deadJob = this.jobTracker.update(jobId, { deadLetter: true, worker: null });
+        this.emit('dead-letter', deadJob, error);
+      }
+      this.processNext();
+    }
+  }
+
+  getDeadLetters() {
+    return this.jobTracker.listJobs({ status: 'failed' }).filter(job => job.deadLetter);
+  }
+
+  retryDeadLetter(jobId) {
+    const job = this.jobTracker.requireJob(jobId);
+    if (!job.deadLetter) {
+      throw new Error(`Job ${jobId} is not in the dead-letter list`);
+    }
+
+    this.jobTracker.update(jobId, { deadLetter: false, attempts: 0 });
+    return this.enqueue(jobId);
+  }
+
+  isIdle() {
+    return this.pending.length === 0 && this.active.size === 0 && this.retryTimers.size === 0;
+  }
+
+  onIdle() {
+    if (this.isIdle()) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.once('idle', resolve));
+  }
+
+  getStats() {
+    return {
+      concurrency: this.concurrency,
+      accepting: this.accepting,
+      pending: [...this.pending],
+      active: Array.from(this.active.keys()),
+      retrying: Array.from(this.retryTimers.keys()),
+      deadLetter: this.getDeadLetters().map(job => job.jobId)
+    };
+  }
+
+  // Stop taking work, let running jobs finish for up to `timeoutMs`, then abort them.
+  // Anything not finished stays 'queued' in the store and is picked up by restore().
+  async shutdown(timeoutMs = this.shutdownTimeoutMs) {
+    if (!this.accepting) {
+      return;
+    }
+
+    this.accepting = false;
+    console.log(`Shutting down queue (${this.active.size} active, ${this.pending.length} pending)...`);
+
+    for (const [jobId, timer] of this.retryTimers) {
+      clearTimeout(timer);
+      this.jobTracker.requeue(jobId, { worker: null });
+    }
+    this.retryTimers.clear();
+    this.pending = [];
+
+    const finished = await this.waitForActive(timeoutMs);
+    if (finished) {
+      console.log('Queue drained');
+      return;
+    }
+
+    // Abort at the next step boundary; whatever is still running gets re-queued now
+    for (const [jobId, controller] of this.active) {
+      controller.abort();
+      const job = this.jobTracker.getJob(jobId);
+      if (job && !JobTracker.TERMINAL_STATES.includes(job.status)) {
+        this.jobTracker.requeue(jobId, { attempts: Math.max(0, (job.attempts || 1) - 1), worker: null });
+        console.warn(`Re-queued in-flight job ${jobId}`);
+      }
+    }
+  }
+
+  waitForActive(timeoutMs) {
+    return new Promise((resolve) => {
+      const deadline = Date.now() + timeoutMs;
+      const check = () => {
+        if (this.active.size === 0) {
+          resolve(true);
+        } else if (Date.now() >= deadline) {
+          resolve(false);
+        } else {
+          setTimeout(check, 500);
+        }
+      };
+      check();
+    });
+  }
+}
+
+module.exports = JobQueue;
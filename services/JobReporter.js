@@ -0,0 +1,69 @@
+const axios = require('axios');
+const { retryWithBackoff, isRetryableHttpError } = require('../utils/retry');
+
+// Sends a runner's job changes (see JobTracker `reporter`) to the server that dispatched the
+// job: POST <JOB_CALLBACK_URL>/jobs/<jobId>/events with the runner key, one change at a time
+// and in order, so GET /status on the server follows a GitHub Actions run. A report that
+// cannot be delivered is logged and dropped; it never fails the job.
+class JobReporter {
+  constructor({ url = process.env.JOB_CALLBACK_URL, apiKey = process.env.JOB_CALLBACK_KEY, retries = 3 } = {}) {
+    this.url = url ? url.replace(/\/+$/, '') : null;
+    this.apiKey = apiKey || null;
+    this.retries = retries;
+    this.queue = [];
+    this.sending = null;
+  }
+
+  isEnabled() {
+    return Boolean(this.url && this.apiKey);
+  }
+
+  report(jobId, event) {
+    if (!this.isEnabled()) {
+      return;
+    }
+
+    // Only the latest progress of a step matters
+    const last = this.queue[this.queue.length - 1];
+    if (event.type === 'progress' && last?.type === 'progress' && last.jobId === jobId) {
+      last.progress = event.progress;
+      return;
+    }
+
+    this.queue.push({ jobId, ...event });
+    if (!this.sending) {
+      this.sending = this.drain();
+    }
+  }
+
+  // Resolves once every report so far has been sent (or given up on)
+  async flush() {
+    while (this.sending) {
+      await this.sending;
+    }
+  }
+
+  async drain() {
+    while (this.queue.length > 0) {
+      await this.send(this.queue.shift());
+    }
+    this.sending = null;
+  }
+
+  async send({ jobId, ...event }) {
+    try {
+      await retryWithBackoff(() => axios.post(`${this.url}/jobs/${encodeURIComponent(jobId)}/events`, event, {
+        headers: { 'X-API-Key': this.apiKey },
+        timeout: 30000
+      }), {
+        retries: this.retries,
+        shouldRetry: isRetryableHttpError
+      });
+    } catch (error) {
+      const status = error.response?.status;
+      console.warn(`Failed to report ${event.type} of job ${jobId}${status ? ` (HTTP ${status})` : ''}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = JobReporter;
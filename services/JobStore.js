@@ -0,0 +1,287 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const STORE_VERSION = 1;
+
+// Writers wait this long for the lock; a lock older than STALE_LOCK_MS was left by a
+// process that died while writing (a write holds it for milliseconds). The stale threshold
+// is shorter than the wait, so a waiting writer breaks a dead lock instead of timing out.
+const LOCK_TIMEOUT_MS = 10000;
+const LOCK_RETRY_MS = 20;
+const STALE_LOCK_MS = 5000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Finished jobs are pruned at most this often, by whichever process writes next
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// File-based job store. The whole store is one JSON document that is rewritten
+// atomically (temp file + rename) on every change, and re-read whenever another
+// process (server, polling script, GitHub Action) has modified it.
+//
+// Several processes may share the file: each write takes an exclusive lock file
+// (`<store>.lock`, created with O_EXCL), re-reads the store and writes it back, so
+// changes to other jobs are never lost. A job itself must have a single writer at a
+// time (the worker running it), as its record is replaced as a whole. The lock relies
+// on O_EXCL, so keep the store on a local filesystem.
+//
+// Finished jobs that no longer point at any stored file are dropped `retentionDays`
+// (JOB_STORE_RETENTION_DAYS, 0 keeps them) after their last update, so the file does not
+// grow without bound.
+class JobStore {
+  constructor(storePath = process.env.JOB_STORE_PATH || 'data/jobs.json', options = {}) {
+    this.storePath = storePath;
+    this.lockPath = `${storePath}.lock`;
+    this.retentionDays = options.retentionDays ?? parseFloat(process.env.JOB_STORE_RETENTION_DAYS ?? '30');
+    this.prunedAt = 0;
+    this.createdAt = null;
+    this.jobs = new Map();
+    this.fileIndex = new Map();
+    this.loadedMtime = 0;
+    this.loadedIno = 0;
+    this.load();
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.storePath)) {
+        this.jobs.clear();
+        this.fileIndex.clear();
+        this.createdAt = null;
+        return;
+      }
+
+      const data = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+      if (data.version !== STORE_VERSION) {
+        throw new Error(`Unsupported job store version: ${data.version}`);
+      }
+
+      this.jobs = new Map(Object.entries(data.jobs || {}));
+      // Stores written before `createdAt` was kept began no later than their oldest job
+      this.createdAt = data.createdAt || this.getOldestJobTime();
+      this.rebuildIndex();
+      this.setLoadedStats(fs.statSync(this.storePath));
+    } catch (error) {
+      console.error('Failed to load job store:', error);
+      throw new Error(`Failed to load job store ${this.storePath}: ${error.message}`);
+    }
+  }
+
+  // Every write replaces the file, so a new inode also catches writes within the mtime resolution
+  refresh() {
+    try {
+      const stats = fs.statSync(this.storePath);
+      if (stats.mtimeMs !== this.loadedMtime || stats.ino !== this.loadedIno) {
+        this.load();
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  rebuildIndex() {
+    this.fileIndex.clear();
+    for (const job of this.jobs.values()) {
+      this.indexJob(job);
+    }
+  }
+
+  indexJob(job) {
+    if (!job.fileId) {
+      return;
+    }
+
+    const jobIds = this.fileIndex.get(job.fileId) || new Set();
+    jobIds.add(job.jobId);
+    this.fileIndex.set(job.fileId, jobIds);
+  }
+
+  get(jobId) {
+    this.refresh();
+    return this.jobs.get(jobId) || null;
+  }
+
+  save(job) {
+    return this.withLock(() => {
+      // Merge with whatever other processes wrote since our last read
+      this.load();
+      this.jobs.set(job.jobId, job);
+      this.indexJob(job);
+      this.pruneIfDue(job.jobId);
+      this.persist();
+      return job;
+    });
+  }
+
+  remove(jobId) {
+    return this.withLock(() => {
+      this.load();
+      if (!this.jobs.has(jobId)) {
+        return false;
+      }
+
+      this.jobs.delete(jobId);
+      this.rebuildIndex();
+      this.persist();
+      return true;
+    });
+  }
+
+  // Runs `fn` holding the store's lock file. Synchronous like the rest of the store, so
+  // waiting for another process blocks this one for at most LOCK_TIMEOUT_MS.
+  withLock(fn) {
+    fs.ensureDirSync(path.dirname(this.storePath));
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    let fd = null;
+
+    while (fd === null) {
+      try {
+        fd = fs.openSync(this.lockPath, 'wx');
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw new Error(`Failed to lock job store ${this.storePath}: ${error.message}`);
+        }
+        if (this.removeStaleLock()) {
+          continue;
+        }
+        if (Date.now() >= deadline) {
+          throw new Error(`Timed out waiting for the job store lock ${this.lockPath}`);
+        }
+        sleepSync(LOCK_RETRY_MS);
+      }
+    }
+
+    try {
+      fs.writeSync(fd, `${os.hostname()}:${process.pid}`);
+      return fn();
+    } finally {
+      fs.closeSync(fd);
+      fs.removeSync(this.lockPath);
+    }
+  }
+
+  removeStaleLock() {
+    try {
+      const stats = fs.statSync(this.lockPath);
+      if (Date.now() - stats.mtimeMs < STALE_LOCK_MS) {
+        return false;
+      }
+      console.warn(`Removing stale job store lock ${this.lockPath}`);
+      fs.unlinkSync(this.lockPath);
+      return true;
+    } catch (error) {
+      // Released in the meantime
+      return error.code === 'ENOENT';
+    }
+  }
+
+  pruneIfDue(keepJobId) {
+    if (!(this.retentionDays > 0) || Date.now() - this.prunedAt < PRUNE_INTERVAL_MS) {
+      return;
+    }
+    this.prunedAt = Date.now();
+
+    const cutoff = Date.now() - this.retentionDays * DAY_MS;
+    const pruned = Array.from(this.jobs.values()).filter(job => job.jobId !== keepJobId && this.isPrunable(job, cutoff));
+    if (pruned.length === 0) {
+      return;
+    }
+    pruned.forEach(job => this.jobs.delete(job.jobId));
+    this.rebuildIndex();
+    console.log(`Pruned ${pruned.length} finished jobs from the job store`);
+  }
+
+  // Failed jobs, and done jobs whose outputs and source original are gone. A job that still
+  // lists stored files is kept: output management and garbage collection find them through it,
+  // and a done job with its original in place keeps the file from being processed again.
+  isPrunable(job, cutoff) {
+    if (!['done', 'failed'].includes(job.status) || !(Date.parse(job.updatedAt) <= cutoff)) {
+      return false;
+    }
+    const hasFiles = (job.outputs || []).length > 0 ||
+      (job.results || []).some(result => result.fileId) ||
+      (job.replaceOutputs || []).length > 0;
+    if (hasFiles) {
+      return false;
+    }
+    return job.status === 'failed' || ['archive', 'delete'].includes(job.sourceFile?.action);
+  }
+
+  findByFileId(fileId) {
+    return this.listByFileId(fileId)[0] || null;
+  }
+
+  // All jobs for a Drive file, newest first
+  listByFileId(fileId) {
+    this.refresh();
+    const jobIds = this.fileIndex.get(fileId) || new Set();
+    return Array.from(jobIds)
+      .map(jobId => this.jobs.get(jobId))
+      .filter(Boolean)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  list(filter = {}) {
+    this.refresh();
+    let jobs = Array.from(this.jobs.values());
+
+    if (filter.status) {
+      const statuses = [].concat(filter.status);
+      jobs = jobs.filter(job => statuses.includes(job.status));
+    }
+
+    return jobs.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  setLoadedStats(stats) {
+    this.loadedMtime = stats.mtimeMs;
+    this.loadedIno = stats.ino;
+  }
+
+  getFileIds() {
+    this.refresh();
+    return new Set(this.fileIndex.keys());
+  }
+
+  // When this store recorded its first job (ISO string), or null while it has none. Files
+  // older than that were made before the store existed, so it can't know about them.
+  getCreatedAt() {
+    this.refresh();
+    return this.createdAt;
+  }
+
+  getOldestJobTime() {
+    const times = Array.from(this.jobs.values()).map(job => job.createdAt).filter(Boolean).sort();
+    return times[0] || null;
+  }
+
+  persist() {
+    try {
+      fs.ensureDirSync(path.dirname(this.storePath));
+
+      const tempPath = `${this.storePath}.${process.pid}.tmp`;
+      this.createdAt = this.createdAt || this.getOldestJobTime() || new Date().toISOString();
+      const data = {
+        version: STORE_VERSION,
+        createdAt: this.createdAt,
+        updatedAt: new Date().toISOString(),
+        jobs: Object.fromEntries(this.jobs)
+      };
+
+      fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+      fs.renameSync(tempPath, this.storePath);
+      this.setLoadedStats(fs.statSync(this.storePath));
+    } catch (error) {
+      console.error('Failed to persist job store:', error);
+      throw new Error(`Failed to write job store ${this.storePath}: ${error.message}`);
+    }
+  }
+}
+
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+module.exports = JobStore;
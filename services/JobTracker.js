@@ -0,0 +1,293 @@
+const { v4: uuidv4 } = require('uuid');
+const JobStore = require('./JobStore');
+
+// Ordered lifecycle of a processing job. 'failed' can be entered from any state.
+const JOB_STATES = [
+  'uploaded',
+  'queued',
+  'downloading',
+  'analyzing',
+  'editing',
+  'compressing',
+  'splitting',
+  'uploading',
+  'recorded',
+  'done',
+  'failed'
+];
+
+const TERMINAL_STATES = ['done', 'failed'];
+
+// Progress is written to the store (and reported) at most this often per job; the store
+// rewrites its whole file under a lock on every write
+const PROGRESS_WRITE_INTERVAL_MS = 1000;
+
+// States in which a worker is actively running the job
+const ACTIVE_STATES = JOB_STATES.slice(JOB_STATES.indexOf('downloading'), JOB_STATES.indexOf('done'));
+
+// Fields an external runner may set on the server's copy of a job (see applyReport)
+const REPORTED_FIELDS = ['results', 'outputs', 'playback', 'processingTime', 'upload', 'replaceOutputs', 'error'];
+
+class JobTracker {
+  // `reporter` (optional) is told about every change, e.g. a JobReporter that sends a GitHub
+  // Actions run's progress back to the server that dispatched the job
+  constructor(store = new JobStore(), { reporter = null } = {}) {
+    this.store = store;
+    this.reporter = reporter;
+    this.progressWrittenAt = new Map();
+  }
+
+  createJob({ jobId = null, fileId = null, fileName, fileSize = null, status = 'uploaded', preset = null, presetOverrides = null, edits = null }) {
+    this.assertState(status);
+
+    const now = new Date().toISOString();
+    const job = {
+      jobId: jobId || uuidv4(),
+      fileId: fileId,
+      fileName: fileName,
+      fileSize: fileSize,
+      preset: preset,
+      presetOverrides: presetOverrides,
+      edits: edits,
+      status: status,
+      progress: 0,
+      createdAt: now,
+      updatedAt: now,
+      steps: {
+        [status]: this.createStep(now)
+      },
+      results: [],
+      error: null
+    };
+
+    this.store.save(job);
+    console.log(`Job created: ${job.jobId} (${fileName}) [${status}]`);
+    return job;
+  }
+
+  createStep(startedAt) {
+    return {
+      startedAt: startedAt,
+      completedAt: null,
+      progress: 0
+    };
+  }
+
+  getJob(jobId) {
+    return this.store.get(jobId);
+  }
+
+  findByFileId(fileId) {
+    return this.store.findByFileId(fileId);
+  }
+
+  listJobs(filter = {}) {
+    return this.store.list(filter);
+  }
+
+  update(jobId, data = {}) {
+    const job = this.requireJob(jobId);
+    Object.assign(job, data, { updatedAt: new Date().toISOString() });
+    this.store.save(job);
+    this.report(jobId, { type: 'update', data });
+    return job;
+  }
+
+  // Per-job options given again for an existing job: a preset selection replaces the old
+  // one, edits replace the old edits, and options that are not given are kept
+  updateOptions(jobId, { preset = null, presetOverrides = null, edits = null } = {}) {
+    const updates = {};
+    if (preset || presetOverrides) {
+      Object.assign(updates, { preset, presetOverrides });
+    }
+    if (edits) {
+      updates.edits = edits;
+    }
+    return Object.keys(updates).length > 0 ? this.update(jobId, updates) : this.requireJob(jobId);
+  }
+
+  transition(jobId, status, data = {}) {
+    this.assertState(status);
+
+    const job = this.requireJob(jobId);
+    if (TERMINAL_STATES.includes(job.status)) {
+      throw new Error(`Job ${jobId} is already ${job.status}`);
+    }
+
+    const now = new Date().toISOString();
+    const currentStep = job.steps[job.status];
+    if (currentStep && !currentStep.completedAt) {
+      currentStep.completedAt = now;
+      currentStep.progress = 100;
+    }
+
+    job.steps[status] = this.createStep(now);
+    if (TERMINAL_STATES.includes(status)) {
+      job.steps[status].completedAt = now;
+    }
+
+    job.status = status;
+    job.progress = this.getOverallProgress(job);
+    Object.assign(job, data, { updatedAt: now });
+    this.store.save(job);
+    this.progressWrittenAt.delete(jobId);
+    this.report(jobId, { type: 'transition', status, data });
+
+    console.log(`Job ${jobId}: ${status}`);
+    return job;
+  }
+
+  updateProgress(jobId, percent) {
+    const job = this.requireJob(jobId);
+    const step = job.steps[job.status];
+    if (!step || TERMINAL_STATES.includes(job.status)) {
+      return job;
+    }
+
+    const progress = Math.max(0, Math.min(100, Math.round(percent || 0)));
+    if (progress === step.progress) {
+      return job;
+    }
+    // A finished step is always written; steps in between are throttled
+    const now = Date.now();
+    if (progress < 100 && now - (this.progressWrittenAt.get(jobId) || 0) < PROGRESS_WRITE_INTERVAL_MS) {
+      return job;
+    }
+    this.progressWrittenAt.set(jobId, now);
+
+    step.progress = progress;
+    job.progress = this.getOverallProgress(job);
+    job.updatedAt = new Date().toISOString();
+    this.store.save(job);
+    this.report(jobId, { type: 'progress', progress });
+    return job;
+  }
+
+  complete(jobId, results) {
+    return this.transition(jobId, 'done', { results: results, progress: 100 });
+  }
+
+  fail(jobId, error) {
+    const job = this.requireJob(jobId);
+    if (job.status === 'failed') {
+      return job;
+    }
+
+    return this.transition(jobId, 'failed', {
+      error: {
+        message: error.message,
+        code: error.code || null,
+        details: error.details || null,
+        step: job.status,
+        failedAt: new Date().toISOString()
+      }
+    });
+  }
+
+  // Put a failed or interrupted job back into the queue for another attempt
+  requeue(jobId, data = {}) {
+    const job = this.requireJob(jobId);
+    if (job.status === 'done') {
+      throw new Error(`Job ${jobId} is already done`);
+    }
+
+    const now = new Date().toISOString();
+    Object.assign(job, {
+      status: 'queued',
+      progress: 0,
+      steps: { queued: this.createStep(now) },
+      lastError: job.error || job.lastError || null,
+      error: null
+    }, data, { updatedAt: now });
+    this.store.save(job);
+
+    console.log(`Job ${jobId}: queued (requeued)`);
+    return job;
+  }
+
+  // Applies a change reported by an external runner (see `reporter`) to this store's copy of
+  // the job: { type: 'transition', status, data }, { type: 'progress', progress } or
+  // { type: 'update', data }. Only REPORTED_FIELDS are taken from `data`.
+  applyReport(jobId, event = {}) {
+    const job = this.getJob(jobId);
+    if (!job) {
+      throw createError(404, `Job not found: ${jobId}`);
+    }
+
+    const data = Object.fromEntries(Object.entries(event.data || {}).filter(([key]) => REPORTED_FIELDS.includes(key)));
+
+    switch (event.type) {
+      case 'transition':
+        if (!JOB_STATES.includes(event.status)) {
+          throw createError(400, `Unknown job state: ${event.status}`);
+        }
+        if (TERMINAL_STATES.includes(job.status)) {
+          throw createError(409, `Job ${jobId} is already ${job.status}`);
+        }
+        if (event.status === 'done') {
+          return this.complete(jobId, data.results || job.results);
+        }
+        if (event.status === 'failed') {
+          return this.fail(jobId, data.error || { message: 'Failed on the runner' });
+        }
+        return this.transition(jobId, event.status, data);
+      case 'progress':
+        return this.updateProgress(jobId, Number(event.progress));
+      case 'update':
+        return this.update(jobId, data);
+      default:
+        throw createError(400, `Unknown report type: ${event.type}`);
+    }
+  }
+
+  report(jobId, event) {
+    if (this.reporter) {
+      this.reporter.report(jobId, event);
+    }
+  }
+
+  // Overall progress spreads the pipeline steps (queued..recorded) evenly.
+  getOverallProgress(job) {
+    if (job.status === 'done') {
+      return 100;
+    }
+    if (job.status === 'failed') {
+      return job.progress;
+    }
+
+    const pipeline = JOB_STATES.slice(1, JOB_STATES.indexOf('done'));
+    const index = pipeline.indexOf(job.status);
+    if (index === -1) {
+      return 0;
+    }
+
+    const stepProgress = job.steps[job.status]?.progress || 0;
+    return Math.round(((index + stepProgress / 100) / pipeline.length) * 100);
+  }
+
+  requireJob(jobId) {
+    const job = this.getJob(jobId);
+    if (!job) {
+      throw new Error(`Job not found: ${jobId}`);
+    }
+    return job;
+  }
+
+  assertState(status) {
+    if (!JOB_STATES.includes(status)) {
+      throw new Error(`Unknown job state: ${status}`);
+    }
+  }
+}
+
+function createError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+JobTracker.STATES = JOB_STATES;
+JobTracker.TERMINAL_STATES = TERMINAL_STATES;
+JobTracker.ACTIVE_STATES = ACTIVE_STATES;
+
+module.exports = JobTracker;
@@ -0,0 +1,160 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { OUTPUT_FOLDERS, getUploadFolder, getUniqueFileName } = require('../utils/folders');
+
+const ARCHIVE_FOLDER = 'archive';
+
+// Storage on the local filesystem, for running the pipeline without cloud accounts. File IDs
+// are paths relative to `rootDir` (always with forward slashes). URLs are `publicUrl` plus
+// the ID when one is set (e.g. a static file server over the directory), else file:// URLs.
+class LocalStorageService {
+  constructor({ rootDir, publicUrl = null } = {}) {
+    if (!rootDir) {
+      throw new Error('LocalStorageService requires a root directory');
+    }
+    this.rootDir = path.resolve(rootDir);
+    this.publicUrl = publicUrl ? publicUrl.replace(/\/+$/, '') : null;
+  }
+
+  // Files directly in the root directory, newest first
+  async list() {
+    await fs.ensureDir(this.rootDir);
+    const files = await this.listDirectory('');
+    return files.sort((a, b) => b.createdTime.localeCompare(a.createdTime));
+  }
+
+  // Every file in the output folders, subdirectories included
+  async listOutputs() {
+    const files = [];
+    for (const folder of OUTPUT_FOLDERS) {
+      files.push(...await this.listTree(folder));
+    }
+    return files;
+  }
+
+  async listTree(dir) {
+    const files = await this.listDirectory(dir);
+    const directory = this.resolve(dir);
+    if (!await fs.pathExists(directory)) {
+      return files;
+    }
+
+    for (const entry of await fs.readdir(directory, { withFileTypes: true })) {
+      if (entry.isDirectory()) {
+        files.push(...await this.listTree(path.posix.join(dir, entry.name)));
+      }
+    }
+    return files;
+  }
+
+  // Copies the file into TEMP_DIR, as the pipeline removes its working copy afterwards
+  async download(fileId, fileName = null) {
+    const sourcePath = this.resolve(fileId);
+    if (!await fs.pathExists(sourcePath)) {
+      const error = new Error(`File not found in local storage: ${fileId}`);
+      error.status = 404;
+      error.retryable = false;
+      throw error;
+    }
+
+    const tempDir = process.env.TEMP_DIR || 'temp';
+    const localPath = path.join(tempDir, `${Date.now()}-${path.basename(fileName || fileId)}`);
+    await fs.ensureDir(tempDir);
+    await fs.copy(sourcePath, localPath);
+    console.log(`File copied from local storage: ${fileId} -> ${localPath}`);
+    return localPath;
+  }
+
+  // `options`: result `type` and `folder` pick the directory as for ImageKit; names get a
+  // random suffix unless `useUniqueFileName` is false
+  async upload(filePath, fileName, options = {}) {
+    const folder = options.folder ?? getUploadFolder(fileName, options.type);
+    const storedName = options.useUniqueFileName === false ? fileName : getUniqueFileName(fileName);
+    const fileId = path.posix.join(folder, storedName);
+    const targetPath = this.resolve(fileId);
+
+    await fs.ensureDir(path.dirname(targetPath));
+    await fs.copy(filePath, targetPath);
+    const { size } = await fs.stat(targetPath);
+
+    const url = await this.getUrl(fileId);
+    console.log(`Stored locally: ${fileId} (${url})`);
+    return { id: fileId, name: storedName, url: url, size: size };
+  }
+
+  async delete(fileId) {
+    await fs.remove(this.resolve(fileId));
+    console.log(`File deleted from local storage: ${fileId}`);
+  }
+
+  // Moves the file into `archive/`, out of list(). Returns its new ID.
+  async archive(fileId) {
+    const id = this.normalizeId(fileId);
+    let archivedId = path.posix.join(ARCHIVE_FOLDER, path.posix.basename(id));
+    if (await fs.pathExists(this.resolve(archivedId))) {
+      archivedId = path.posix.join(ARCHIVE_FOLDER, getUniqueFileName(path.posix.basename(id)));
+    }
+
+    await fs.move(this.resolve(id), this.resolve(archivedId));
+    console.log(`File archived in local storage: ${id} -> ${archivedId}`);
+    return archivedId;
+  }
+
+  async getUrl(fileId) {
+    const id = this.normalizeId(fileId);
+    if (this.publicUrl) {
+      return `${this.publicUrl}/${id.split('/').map(encodeURIComponent).join('/')}`;
+    }
+    return pathToFileURL(this.resolve(id)).href;
+  }
+
+  // Files in the same directory as `fileId` whose name starts with `namePrefix`
+  async listSiblings(fileId, namePrefix) {
+    const id = this.normalizeId(fileId);
+    const files = await this.listDirectory(path.posix.dirname(id));
+    return files.filter(file => file.id !== id && file.name.toLowerCase().startsWith(namePrefix.toLowerCase()));
+  }
+
+  async listDirectory(dir) {
+    const directory = this.resolve(dir === '.' ? '' : dir);
+    if (!await fs.pathExists(directory)) {
+      return [];
+    }
+
+    const files = [];
+    for (const entry of await fs.readdir(directory, { withFileTypes: true })) {
+      if (!entry.isFile()) {
+        continue;
+      }
+      const id = dir && dir !== '.' ? path.posix.join(dir, entry.name) : entry.name;
+      const stats = await fs.stat(path.join(directory, entry.name));
+      files.push({
+        id: id,
+        name: entry.name,
+        size: stats.size,
+        createdTime: stats.mtime.toISOString(),
+        url: await this.getUrl(id)
+      });
+    }
+    return files;
+  }
+
+  normalizeId(fileId) {
+    return String(fileId).split(path.sep).join('/').replace(/^\/+/, '');
+  }
+
+  // Absolute path of an ID; IDs that point outside the root directory are rejected
+  resolve(fileId) {
+    const resolved = path.resolve(this.rootDir, this.normalizeId(fileId));
+    if (resolved !== this.rootDir && !resolved.startsWith(this.rootDir + path.sep)) {
+      const error = new Error(`Invalid local storage path: ${fileId}`);
+      error.status = 400;
+      error.retryable = false;
+      throw error;
+    }
+    return resolved;
+  }
+}
+
+module.exports = LocalStorageService;
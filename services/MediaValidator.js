@@ -0,0 +1,169 @@
+const ffmpeg = require('fluent-ffmpeg');
+const { ProcessingError, ERROR_CODES } = require('./errors');
+const { getRotation, getDisplayDimensions } = require('../utils/scaling');
+const { NULL_OUTPUT } = require('../utils/scenes');
+
+const MIN_DIMENSION = 16;
+
+// "30000/1001" -> 29.97; also accepts plain numbers. Returns 0 for anything unparseable.
+function parseFrameRate(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : 0;
+  }
+
+  const match = String(value || '').trim().match(/^(\d+(?:\.\d+)?)(?:\/(\d+(?:\.\d+)?))?$/);
+  if (!match) {
+    return 0;
+  }
+
+  const numerator = parseFloat(match[1]);
+  const denominator = match[2] === undefined ? 1 : parseFloat(match[2]);
+  return denominator > 0 ? numerator / denominator : 0;
+}
+
+// Probes an input before anything is encoded and rejects files that would only crash
+// ffmpeg later: unreadable or corrupt containers, no usable stream, zero duration,
+// absurd frame sizes and inputs longer than MAX_INPUT_DURATION_SECONDS.
+class MediaValidator {
+  constructor() {
+    this.maxDuration = parseFloat(process.env.MAX_INPUT_DURATION_SECONDS) || 3 * 60 * 60;
+    const [maxWidth, maxHeight] = (process.env.MAX_INPUT_RESOLUTION || '8192x8192').split('x').map(Number);
+    this.maxWidth = maxWidth || 8192;
+    this.maxHeight = maxHeight || 8192;
+  }
+
+  // Returns the same description as describe() when the file passes
+  async validate(inputPath, { requireVideo = true, requireAudio = false } = {}) {
+    const info = this.describe(await this.probe(inputPath));
+
+    if (requireVideo && !info.videoCodec) {
+      throw this.invalid('no video stream found', { reason: 'no-video-stream' });
+    }
+    if (requireAudio && !info.audioCodec) {
+      throw this.invalid('no audio stream found', { reason: 'no-audio-stream' });
+    }
+    if (!info.videoCodec && !info.audioCodec) {
+      throw this.invalid('no audio or video stream found', { reason: 'no-streams' });
+    }
+
+    const duration = parseFloat(info.duration);
+    if (!Number.isFinite(duration) || duration <= 0) {
+      throw this.invalid('duration is zero or unknown', { reason: 'zero-duration' });
+    }
+    if (duration > this.maxDuration) {
+      throw new ProcessingError(
+        ERROR_CODES.TOO_LONG,
+        `Input is ${Math.round(duration)}s long; the limit is ${this.maxDuration}s`,
+        { duration, maxDuration: this.maxDuration }
+      );
+    }
+
+    if (info.videoCodec) {
+      const { width, height } = info;
+      if (!width || !height || width < MIN_DIMENSION || height < MIN_DIMENSION) {
+        throw this.invalid(`invalid frame size ${width}x${height}`, { reason: 'resolution', width, height });
+      }
+      if (width > this.maxWidth || height > this.maxHeight) {
+        throw this.invalid(
+          `frame size ${width}x${height} exceeds ${this.maxWidth}x${this.maxHeight}`,
+          { reason: 'resolution', width, height }
+        );
+      }
+    }
+
+    await this.checkDecodable(inputPath, info.videoCodec ? 'video' : 'audio');
+    return info;
+  }
+
+  probe(inputPath) {
+    return new Promise((resolve, reject) => {
+      ffmpeg.ffprobe(inputPath, (err, metadata) => {
+        if (err) {
+          reject(this.invalid(`cannot read container: ${this.firstLine(err.message)}`, { reason: 'unreadable' }));
+          return;
+        }
+        if (!metadata?.format || !Array.isArray(metadata.streams)) {
+          reject(this.invalid('no container information', { reason: 'unreadable' }));
+          return;
+        }
+        resolve(metadata);
+      });
+    });
+  }
+
+  describe(metadata) {
+    const videoStream = metadata.streams.find(stream => stream.codec_type === 'video' && !stream.disposition?.attached_pic);
+    const audioStreams = metadata.streams.filter(stream => stream.codec_type === 'audio');
+    const audioStream = audioStreams[0];
+    const subtitleStreams = metadata.streams.filter(stream => stream.codec_type === 'subtitle');
+    const rotation = getRotation(videoStream);
+    const display = getDisplayDimensions({ width: videoStream?.width, height: videoStream?.height, rotation });
+
+    return {
+      duration: metadata.format.duration,
+      size: metadata.format.size,
+      bitrate: metadata.format.bit_rate,
+      videoCodec: videoStream?.codec_name,
+      audioCodec: audioStream?.codec_name,
+      resolution: `${videoStream?.width}x${videoStream?.height}`,
+      width: videoStream?.width,
+      height: videoStream?.height,
+      rotation: rotation,
+      // Frame size as shown by players (width/height swapped for 90/270 degree rotation)
+      displayWidth: display?.width,
+      displayHeight: display?.height,
+      fps: parseFrameRate(videoStream?.avg_frame_rate) || parseFrameRate(videoStream?.r_frame_rate),
+      videoBitrate: videoStream?.bit_rate,
+      pixelFormat: videoStream?.pix_fmt,
+      videoProfile: videoStream?.profile,
+      audioChannels: audioStream?.channels,
+      audioSampleRate: audioStream?.sample_rate,
+      // Absolute stream indexes, for explicit -map options (skips cover art)
+      videoStreamIndex: videoStream?.index,
+      audioTracks: audioStreams.map(stream => ({
+        index: stream.index,
+        codec: stream.codec_name,
+        language: stream.tags?.language || 'und',
+        title: stream.tags?.title || null,
+        channels: stream.channels,
+        default: stream.disposition?.default === 1
+      })),
+      subtitleTracks: subtitleStreams.map(stream => ({
+        index: stream.index,
+        codec: stream.codec_name,
+        language: stream.tags?.language || 'und',
+        title: stream.tags?.title || null,
+        forced: stream.disposition?.forced === 1
+      }))
+    };
+  }
+
+  // Decodes the start of the main stream with -xerror, so a corrupt stream fails here
+  // instead of halfway through an encode
+  checkDecodable(inputPath, streamType) {
+    return new Promise((resolve, reject) => {
+      ffmpeg(inputPath)
+        .inputOptions(['-t', '1'])
+        .outputOptions(streamType === 'video' ? ['-map', '0:v:0', '-frames:v', '1'] : ['-map', '0:a:0'])
+        .outputOptions(['-xerror', '-f', 'null'])
+        .output(NULL_OUTPUT)
+        .on('end', () => resolve())
+        .on('error', (err) => {
+          reject(this.invalid(`stream cannot be decoded: ${this.firstLine(err.message)}`, { reason: 'corrupt' }));
+        })
+        .run();
+    });
+  }
+
+  invalid(message, details) {
+    return new ProcessingError(ERROR_CODES.INVALID_MEDIA, `Invalid media: ${message}`, details);
+  }
+
+  firstLine(message) {
+    return String(message).split('\n')[0];
+  }
+}
+
+MediaValidator.parseFrameRate = parseFrameRate;
+
+module.exports = MediaValidator;
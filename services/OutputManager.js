@@ -0,0 +1,195 @@
+const GoogleSheetsService = require('./GoogleSheetsService');
+const JobTracker = require('./JobTracker');
+const { createStorage } = require('./storage');
+const { mapWithConcurrency } = require('../utils/concurrency');
+
+// What happens to the source original when a job's outputs are deleted
+const SOURCE_ACTIONS = ['keep', 'archive', 'delete'];
+
+const DELETE_CONCURRENCY = 4;
+
+// Lifecycle of delivered outputs: delete them, or reprocess a file and replace them. Outputs
+// are removed by the destination file IDs stored on the job (`outputs`, which also lists
+// stream segments and manifests; older jobs only have `results`).
+class OutputManager {
+  constructor(services = {}) {
+    this.source = services.source || createStorage('source');
+    this.destination = services.destination || createStorage('destination');
+    this.googleSheetsService = services.googleSheetsService || new GoogleSheetsService();
+    this.jobTracker = services.jobTracker || new JobTracker();
+  }
+
+  getOutputs(job) {
+    if (job.outputs) {
+      return job.outputs;
+    }
+    return (job.results || [])
+      .filter(result => result.fileId)
+      .map(result => ({ id: result.fileId, name: result.name, type: result.type }));
+  }
+
+  // Deletes the job's outputs and applies `source` ('keep', 'archive' or 'delete') to the
+  // original. Outputs that could not be deleted stay on the job so the call can be repeated.
+  async deleteOutputs(jobId, { source = 'keep' } = {}) {
+    if (!SOURCE_ACTIONS.includes(source)) {
+      throw createError(400, `source must be one of ${SOURCE_ACTIONS.join(', ')}`);
+    }
+
+    const job = this.requireJob(jobId);
+    if (!JobTracker.TERMINAL_STATES.includes(job.status)) {
+      throw createError(409, `Job ${jobId} is still ${job.status}`);
+    }
+
+    const outputs = this.getOutputs(job);
+    const { deleted, failed } = await this.deleteFiles(outputs);
+    const sourceFile = await this.applySourceAction(job, source);
+
+    const remaining = new Set(failed.map(file => file.id));
+    this.jobTracker.update(jobId, {
+      results: (job.results || []).filter(result => remaining.has(result.fileId)),
+      outputs: outputs.filter(file => remaining.has(file.id)),
+      outputsDeletedAt: new Date().toISOString(),
+      ...(sourceFile ? { sourceFile } : {})
+    });
+    await this.markDeletedInSheets(job, source);
+
+    console.log(`Job ${jobId}: deleted ${deleted.length} of ${outputs.length} outputs (source: ${source})`);
+    return { jobId, deleted, failed, source: sourceFile || { action: 'keep', id: job.fileId } };
+  }
+
+  // New queued job for the same source file, with the old job's preset and edits unless
+  // `jobOptions` gives new ones. Once it is recorded, the pipeline deletes the old outputs.
+  createReprocessJob(jobId, jobOptions = {}) {
+    const job = this.requireJob(jobId);
+    if (!JobTracker.TERMINAL_STATES.includes(job.status)) {
+      throw createError(409, `Job ${jobId} is still ${job.status}`);
+    }
+    const fileJobs = job.fileId ? this.jobTracker.store.listByFileId(job.fileId) : [];
+    if (!job.fileId || fileJobs.some(other => ['archive', 'delete'].includes(other.sourceFile?.action))) {
+      throw createError(409, `The source of job ${jobId} is no longer available`);
+    }
+
+    const running = fileJobs.find(other => !JobTracker.TERMINAL_STATES.includes(other.status));
+    if (running) {
+      throw createError(409, `File ${job.fileId} is already being processed by job ${running.jobId}`);
+    }
+
+    const hasPreset = Boolean(jobOptions.preset || jobOptions.presetOverrides);
+    const reprocessJob = this.jobTracker.createJob({
+      fileId: job.fileId,
+      fileName: job.fileName,
+      fileSize: job.fileSize,
+      status: 'queued',
+      preset: hasPreset ? jobOptions.preset : job.preset,
+      presetOverrides: hasPreset ? jobOptions.presetOverrides : job.presetOverrides,
+      edits: jobOptions.edits || job.edits
+    });
+
+    this.jobTracker.update(job.jobId, { replacedBy: reprocessJob.jobId });
+    return this.jobTracker.update(reprocessJob.jobId, {
+      replaces: job.jobId,
+      replaceOutputs: this.getOutputs(job)
+    });
+  }
+
+  // Called with a reprocess job once its new outputs are recorded
+  async replaceOutputs(job) {
+    const outputs = job.replaceOutputs || [];
+    const { deleted, failed } = await this.deleteFiles(outputs);
+    const remaining = outputs.filter(file => failed.some(failure => failure.id === file.id));
+    this.jobTracker.update(job.jobId, { replaceOutputs: remaining });
+    this.markReplaced(job, remaining);
+
+    console.log(`Job ${job.jobId}: replaced ${deleted.length} outputs of job ${job.replaces}`);
+    return { deleted, failed };
+  }
+
+  // Records on the old job that `job` replaced its outputs; `remaining` are the ones that could
+  // not be deleted. The old job may live in another job store (e.g. when the reprocess job ran
+  // on GitHub Actions, the server calls this once the runner reports it done).
+  markReplaced(job, remaining) {
+    if (!job.replaces || !this.jobTracker.getJob(job.replaces)) {
+      return null;
+    }
+    return this.jobTracker.update(job.replaces, {
+      results: [],
+      outputs: remaining,
+      outputsDeletedAt: new Date().toISOString(),
+      replacedBy: job.jobId
+    });
+  }
+
+  // Files that are already gone count as deleted
+  async deleteFiles(files) {
+    const deleted = [];
+    const failed = [];
+
+    await mapWithConcurrency(files, DELETE_CONCURRENCY, async (file) => {
+      try {
+        await this.destination.delete(file.id);
+        deleted.push(file.id);
+      } catch (error) {
+        if (error.status === 404) {
+          deleted.push(file.id);
+        } else {
+          console.warn(`Failed to delete output ${file.name || file.id}: ${error.message}`);
+          failed.push({ id: file.id, name: file.name, error: error.message });
+        }
+      }
+    });
+
+    return { deleted, failed };
+  }
+
+  async applySourceAction(job, action) {
+    if (action === 'keep' || !job.fileId) {
+      return null;
+    }
+    if (job.sourceFile && job.sourceFile.action !== 'keep') {
+      return job.sourceFile;
+    }
+
+    if (action === 'archive') {
+      if (typeof this.source.archive !== 'function') {
+        throw createError(400, 'The source storage does not support archiving');
+      }
+      const archivedId = await this.source.archive(job.fileId);
+      return { action: 'archive', id: archivedId, at: new Date().toISOString() };
+    }
+
+    await this.source.delete(job.fileId);
+    return { action: 'delete', id: job.fileId, at: new Date().toISOString() };
+  }
+
+  async markDeletedInSheets(job, source) {
+    if (!this.googleSheetsService.isEnabled()) {
+      return;
+    }
+
+    try {
+      const statuses = { keep: 'DELETED', archive: 'DELETED (source archived)', delete: 'DELETED (source deleted)' };
+      await this.googleSheetsService.updateEntryStatus(job.fileId, statuses[source]);
+    } catch (error) {
+      console.warn('Google Sheets update failed:', error.message);
+    }
+  }
+
+  requireJob(jobId) {
+    const job = this.jobTracker.getJob(jobId);
+    if (!job) {
+      throw createError(404, `Job not found: ${jobId}`);
+    }
+    return job;
+  }
+}
+
+function createError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.retryable = false;
+  return error;
+}
+
+OutputManager.SOURCE_ACTIONS = SOURCE_ACTIONS;
+
+module.exports = OutputManager;
@@ -0,0 +1,132 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { escapeFilterValue, escapeFilterPath } = require('../utils/filters');
+
+const WATERMARK_DEFAULTS = {
+  position: 'bottom-right',
+  margin: 0.03,
+  opacity: 0.8,
+  scale: 0.08
+};
+
+const TEXT_DEFAULTS = {
+  position: 'bottom-left',
+  margin: 0.05,
+  fontSize: 0.045,
+  color: 'white',
+  box: true,
+  boxColor: 'black@0.5',
+  fontFile: null,
+  start: 0,
+  end: null
+};
+
+// Branding stage of the video filter graph: an image watermark and text overlays from the
+// preset's `overlay` block. Sizes and margins are fractions of the output height, so the
+// same preset looks alike at every resolution. Text supports {fileName}, {title}, {date},
+// {year} and {preset}.
+class OverlayProcessor {
+  constructor(overlay = {}, context = {}) {
+    this.watermark = overlay.watermark ? { ...WATERMARK_DEFAULTS, ...overlay.watermark } : null;
+    this.texts = (overlay.text || []).map(text => ({ ...TEXT_DEFAULTS, ...text }));
+    this.context = context;
+    // Local file for the watermark; Drive assets are downloaded by the pipeline first
+    this.watermarkPath = context.watermarkPath || (this.watermark?.image ? path.resolve(this.watermark.image) : null);
+  }
+
+  isEnabled() {
+    return Boolean(this.watermark) || this.texts.length > 0;
+  }
+
+  async checkAssets() {
+    if (this.watermark && !(this.watermarkPath && await fs.pathExists(this.watermarkPath))) {
+      throw new Error(`Watermark image not found: ${this.watermarkPath || this.watermark.driveFileId}`);
+    }
+  }
+
+  // Extra ffmpeg inputs, in the order buildGraph() expects them
+  getInputs() {
+    return this.watermark ? [{ source: this.watermarkPath, options: [] }] : [];
+  }
+
+  // Complex filter graph: `baseFilters` (scaling, burned-in subtitles) on `input`, then the
+  // watermark (input number `watermarkInput`) and text. Returns { filters, output } where
+  // `output` is the label of the finished video.
+  buildGraph(baseFilters, { input = '0:v', watermarkInput = 1, height }) {
+    const filters = [`[${input}]${baseFilters.length > 0 ? baseFilters.join(',') : 'null'}[base]`];
+    let label = 'base';
+
+    if (this.watermark) {
+      const { position, margin, opacity, scale } = this.watermark;
+      const logoHeight = Math.max(2, Math.round((height * scale) / 2) * 2);
+      const { x, y } = this.getCoordinates(position, Math.round(height * margin), 'w', 'h');
+      filters.push(`[${watermarkInput}:v]scale=-2:${logoHeight},format=rgba,colorchannelmixer=aa=${opacity}[logo]`);
+      filters.push(`[${label}][logo]overlay=x=${x}:y=${y}:format=auto[marked]`);
+      label = 'marked';
+    }
+
+    this.texts.forEach((text, i) => {
+      filters.push(`[${label}]${this.buildDrawText(text, height)}[text${i}]`);
+      label = `text${i}`;
+    });
+
+    return { filters, output: label };
+  }
+
+  buildDrawText(text, height) {
+    const fontSize = Math.max(8, Math.round(height * text.fontSize));
+    const { x, y } = this.getCoordinates(text.position, Math.round(height * text.margin), 'tw', 'th');
+    const options = [
+      `text=${escapeFilterValue(this.renderTemplate(text.text))}`,
+      'expansion=none',
+      `fontsize=${fontSize}`,
+      `fontcolor=${text.color}`,
+      `x=${x}`,
+      `y=${y}`
+    ];
+
+    if (text.fontFile) {
+      options.push(`fontfile=${escapeFilterPath(path.resolve(text.fontFile))}`);
+    }
+    if (text.box) {
+      options.push('box=1', `boxcolor=${text.boxColor}`, `boxborderw=${Math.round(fontSize * 0.4)}`);
+    }
+    if (text.start > 0 || text.end !== null) {
+      const end = text.end !== null ? text.end : 1e9;
+      options.push(`enable=${escapeFilterValue(`between(t,${text.start},${end})`)}`);
+    }
+
+    return `drawtext=${options.join(':')}`;
+  }
+
+  // Overlay expressions for a box of `width`/`height` (overlay: w/h, drawtext: tw/th)
+  getCoordinates(position, margin, width, height) {
+    const [vertical, horizontal = 'center'] = position === 'center' ? ['center'] : position.split('-');
+    const x = {
+      left: String(margin),
+      center: `(W-${width})/2`,
+      right: `W-${width}-${margin}`
+    }[horizontal];
+    const y = {
+      top: String(margin),
+      center: `(H-${height})/2`,
+      bottom: `H-${height}-${margin}`
+    }[vertical];
+    return { x, y };
+  }
+
+  renderTemplate(template) {
+    const date = this.context.date || new Date();
+    const fileName = this.context.fileName || '';
+    const fields = {
+      fileName: fileName,
+      title: path.parse(fileName).name,
+      date: date.toISOString().slice(0, 10),
+      year: String(date.getUTCFullYear()),
+      preset: this.context.presetName || ''
+    };
+    return template.replace(/\{(\w+)\}/g, (match, field) => (field in fields ? fields[field] : match));
+  }
+}
+
+module.exports = OverlayProcessor;
@@ -0,0 +1,717 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { VIDEO_CODEC_NAMES, getVideoEncoder } = require('../utils/codecs');
+
+const OVERLAY_POSITIONS = ['top-left', 'top-center', 'top-right', 'center', 'bottom-left', 'bottom-center', 'bottom-right'];
+const OVERLAY_COLOR = /^(#[0-9a-fA-F]{6}|[a-z]+)(@(0(\.\d+)?|1(\.0+)?))?$/;
+const QUALITY_METRICS = ['vmaf', 'ssim', 'psnr'];
+
+// Schema for preset files. Each field: type, optional `required`, `nullable`, `enum`,
+// `min`/`max` (numbers), `pattern` (strings), `properties` (objects) or `items` (arrays).
+// Unknown fields are rejected so typos don't silently fall back to defaults.
+const PRESET_SCHEMA = {
+  name: { type: 'string', required: true, pattern: /^[a-z0-9][a-z0-9_-]*$/ },
+  description: { type: 'string' },
+  container: { type: 'string', required: true, enum: ['mp4', 'mov', 'mkv', 'webm', 'm4a', 'mp3'] },
+  outputMode: { type: 'string', enum: ['file', 'adaptive', 'both'] },
+  remux: { type: 'boolean' },
+  video: {
+    type: 'object',
+    nullable: true,
+    properties: {
+      codec: { type: 'string', required: true, enum: VIDEO_CODEC_NAMES },
+      resolution: { type: 'string', nullable: true, pattern: /^\d+x\d+$/ },
+      fps: { type: 'number', nullable: true, min: 1, max: 240 },
+      scaling: { type: 'string', enum: ['stretch', 'fit', 'fit-pad', 'crop', 'none'] },
+      upscale: { type: 'boolean' },
+      padColor: { type: 'string', pattern: /^(#[0-9a-fA-F]{6}|[a-z]+)$/ },
+      rateControl: { type: 'string', enum: ['crf', 'bitrate', 'target-size'] },
+      crf: { type: 'number', min: 0, max: 63 },
+      bitrate: { type: 'number', min: 1 },
+      targetSizeMB: { type: 'number', nullable: true, min: 1 },
+      minBitrate: { type: 'number', min: 50 },
+      maxBitrate: { type: 'number', nullable: true, min: 1 },
+      bufferSize: { type: 'number', nullable: true, min: 1 },
+      encoderPreset: {
+        type: 'string',
+        enum: ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow', 'placebo']
+      },
+      speed: { type: 'number', min: 0, max: 13 },
+      profile: { type: 'string', nullable: true },
+      pixelFormat: { type: 'string', nullable: true },
+      extraOptions: { type: 'array', items: { type: 'string' } }
+    }
+  },
+  audio: {
+    type: 'object',
+    nullable: true,
+    properties: {
+      codec: { type: 'string', required: true, enum: ['aac', 'libmp3lame', 'libopus', 'copy'] },
+      channels: { type: 'number', min: 1, max: 8 },
+      sampleRate: { type: 'number', enum: [22050, 32000, 44100, 48000, 96000] },
+      bitrate: { type: 'number', min: 8, max: 1024 },
+      tracks: { type: 'string', enum: ['default', 'all'] },
+      languages: { type: 'array', items: { type: 'string', pattern: /^[a-z]{3}$/ } },
+      silentTrack: { type: 'boolean' },
+      normalize: {
+        type: 'object',
+        nullable: true,
+        properties: {
+          integrated: { type: 'number', min: -70, max: -5 },
+          truePeak: { type: 'number', min: -9, max: 0 },
+          range: { type: 'number', min: 1, max: 50 }
+        }
+      },
+      extract: {
+        type: 'object',
+        nullable: true,
+        properties: {
+          format: { type: 'string', required: true, enum: ['m4a', 'mp3'] },
+          bitrate: { type: 'number', min: 8, max: 512 }
+        }
+      }
+    }
+  },
+  thumbnails: {
+    type: 'object',
+    properties: {
+      posterCount: { type: 'number', min: 1, max: 10 },
+      sceneDetection: { type: 'boolean' },
+      sprite: { type: 'boolean' },
+      spriteInterval: { type: 'number', min: 1, max: 600 },
+      spriteWidth: { type: 'number', min: 64, max: 640 }
+    }
+  },
+  preview: {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean' },
+      start: { type: 'number', nullable: true, min: 0 },
+      duration: { type: 'number', min: 3, max: 6 },
+      resolution: { type: 'string', pattern: /^\d+x\d+$/ },
+      fps: { type: 'number', min: 1, max: 30 },
+      formats: { type: 'array', items: { type: 'string', enum: ['mp4', 'webp', 'gif'] } }
+    }
+  },
+  subtitles: {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean' },
+      embedded: { type: 'boolean' },
+      sidecar: { type: 'boolean' },
+      languages: { type: 'array', items: { type: 'string', pattern: /^[a-z]{2,3}(-[a-z0-9]+)?$/ } },
+      burnIn: { type: 'string', nullable: true, pattern: /^([a-z]{2,3}(-[a-z0-9]+)?|default)$/ }
+    }
+  },
+  overlay: {
+    type: 'object',
+    properties: {
+      watermark: {
+        type: 'object',
+        nullable: true,
+        properties: {
+          image: { type: 'string', nullable: true },
+          driveFileId: { type: 'string', nullable: true, pattern: /^[A-Za-z0-9_-]+$/ },
+          position: { type: 'string', enum: OVERLAY_POSITIONS },
+          margin: { type: 'number', min: 0, max: 0.5 },
+          opacity: { type: 'number', min: 0, max: 1 },
+          scale: { type: 'number', min: 0.01, max: 1 }
+        }
+      },
+      text: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            text: { type: 'string', required: true },
+            position: { type: 'string', enum: OVERLAY_POSITIONS },
+            margin: { type: 'number', min: 0, max: 0.5 },
+            fontSize: { type: 'number', min: 0.01, max: 0.5 },
+            color: { type: 'string', pattern: OVERLAY_COLOR },
+            box: { type: 'boolean' },
+            boxColor: { type: 'string', pattern: OVERLAY_COLOR },
+            fontFile: { type: 'string', nullable: true },
+            start: { type: 'number', min: 0 },
+            end: { type: 'number', nullable: true, min: 0 }
+          }
+        }
+      }
+    }
+  },
+  quality: {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean' },
+      metrics: { type: 'array', items: { type: 'string', enum: QUALITY_METRICS } },
+      minVmaf: { type: 'number', nullable: true, min: 0, max: 100 },
+      minSsim: { type: 'number', nullable: true, min: 0, max: 1 },
+      minPsnr: { type: 'number', nullable: true, min: 0, max: 100 },
+      onFailure: { type: 'string', enum: ['warn', 'fail', 'reencode'] },
+      maxReencodes: { type: 'number', min: 1, max: 5 },
+      frameStep: { type: 'number', min: 1, max: 100 }
+    }
+  },
+  split: {
+    type: 'object',
+    properties: {
+      overlapSeconds: { type: 'number', min: 0, max: 30 },
+      sceneCuts: { type: 'boolean' },
+      sceneThreshold: { type: 'number', min: 0.05, max: 1 }
+    }
+  },
+  adaptive: {
+    type: 'object',
+    properties: {
+      formats: { type: 'array', items: { type: 'string', enum: ['hls', 'dash'] } },
+      segmentDuration: { type: 'number', min: 1, max: 60 },
+      ladder: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', required: true },
+            height: { type: 'number', required: true, min: 144, max: 4320 },
+            videoBitrate: { type: 'number', required: true, min: 50 },
+            audioBitrate: { type: 'number', min: 8, max: 512 }
+          }
+        }
+      }
+    }
+  }
+};
+
+// Extra outputs of the same job in other codecs (e.g. AV1 WebM next to H.264 MP4). A variant
+// overrides the preset's container, video and audio settings; its fields are all optional.
+PRESET_SCHEMA.variants = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', required: true, pattern: /^[a-z0-9][a-z0-9_-]*$/ },
+      container: { ...PRESET_SCHEMA.container, required: false },
+      video: { type: 'object', properties: withoutRequired(PRESET_SCHEMA.video.properties) },
+      audio: { type: 'object', properties: withoutRequired(PRESET_SCHEMA.audio.properties) }
+    }
+  }
+};
+
+function withoutRequired(properties) {
+  return Object.fromEntries(Object.entries(properties).map(([key, rule]) => [key, { ...rule, required: false }]));
+}
+
+// Fields a job may override (`presetOverrides` from requests). Only scalars whose values the
+// schema bounds: raw encoder arguments (video.extraOptions) and file paths (overlay images and
+// fonts) come from the preset files on disk.
+const OVERRIDABLE_FIELDS = [
+  'container',
+  'video.codec',
+  'video.encoderPreset',
+  'video.speed',
+  'video.crf',
+  'video.bitrate',
+  'video.rateControl',
+  'video.targetSizeMB',
+  'video.scaling',
+  'video.upscale',
+  'audio.bitrate',
+  'audio.channels'
+];
+
+// Video settings that belong to one encoder
+const ENCODER_SETTINGS = ['crf', 'encoderPreset', 'speed', 'profile', 'extraOptions'];
+
+const VIDEO_DEFAULTS = {
+  resolution: null,
+  fps: null,
+  scaling: 'fit',
+  upscale: true,
+  padColor: 'black',
+  rateControl: 'crf',
+  extraOptions: []
+};
+
+const AUDIO_DEFAULTS = {
+  channels: 2,
+  sampleRate: 48000,
+  bitrate: 128,
+  tracks: 'default',
+  languages: [],
+  silentTrack: false,
+  normalize: null,
+  extract: null
+};
+
+// EBU R128: -23 LUFS integrated, -1 dBTP true peak
+const LOUDNESS_DEFAULTS = {
+  integrated: -23,
+  truePeak: -1,
+  range: 7
+};
+
+const AUDIO_CONTAINERS = ['m4a', 'mp3'];
+
+class PresetValidationError extends Error {
+  constructor(presetName, errors) {
+    super(`Preset "${presetName}" is invalid:\n  - ${errors.join('\n  - ')}`);
+    this.name = 'PresetValidationError';
+    this.status = 400;
+    this.retryable = false;
+    this.presetName = presetName;
+    this.errors = errors;
+  }
+}
+
+// Named presets live as `<name>.json` in the presets directory. A preset can be
+// picked per job and tweaked with overrides; every resolved preset is validated.
+class PresetManager {
+  constructor() {
+    this.presetDir = process.env.PRESET_DIR || path.join(__dirname, '..', 'presets');
+    this.defaultPresetName = process.env.DEFAULT_PRESET || 'web-1080p';
+    this.legacyPresetPath = process.env.VIDEO_PRESET_PATH || null;
+    this.cache = new Map();
+  }
+
+  listPresets() {
+    const files = fs.existsSync(this.presetDir) ? fs.readdirSync(this.presetDir) : [];
+
+    return files
+      .filter(file => path.extname(file) === '.json')
+      .map(file => {
+        const preset = this.getPreset(path.basename(file, '.json'));
+        return {
+          name: preset.name,
+          description: preset.description || '',
+          container: preset.container,
+          variants: (preset.variants || []).map(variant => variant.name),
+          default: preset.name === this.getDefaultPreset().name
+        };
+      });
+  }
+
+  getDefaultPreset() {
+    // VIDEO_PRESET_PATH points at a single preset file (the original setup)
+    if (this.legacyPresetPath) {
+      return this.loadFile(this.legacyPresetPath, 'default');
+    }
+    return this.getPreset(this.defaultPresetName);
+  }
+
+  getPreset(name) {
+    if (!name) {
+      return this.getDefaultPreset();
+    }
+
+    if (!/^[a-z0-9][a-z0-9_-]*$/.test(name)) {
+      throw new PresetValidationError(name, ['preset names may only contain a-z, 0-9, "-" and "_"']);
+    }
+
+    if (!this.cache.has(name)) {
+      const filePath = path.join(this.presetDir, `${name}.json`);
+      if (!fs.existsSync(filePath)) {
+        const available = this.listPresetNames();
+        throw new PresetValidationError(name, [`preset not found; available presets: ${available.join(', ') || 'none'}`]);
+      }
+      const preset = this.loadFile(filePath, name);
+      if (preset.name !== name) {
+        throw new PresetValidationError(name, [`name "${preset.name}" does not match file name ${name}.json`]);
+      }
+      this.cache.set(name, preset);
+    }
+
+    return this.clone(this.cache.get(name));
+  }
+
+  listPresetNames() {
+    if (!fs.existsSync(this.presetDir)) {
+      return [];
+    }
+    return fs.readdirSync(this.presetDir)
+      .filter(file => path.extname(file) === '.json')
+      .map(file => path.basename(file, '.json'));
+  }
+
+  // Named preset (or the default) with per-job overrides deep-merged on top. Overrides are
+  // limited to OVERRIDABLE_FIELDS.
+  resolve(name, overrides = null) {
+    const preset = this.getPreset(name);
+    if (overrides === null || overrides === undefined) {
+      return preset;
+    }
+
+    if (overrides.name !== undefined) {
+      throw new PresetValidationError(preset.name, ['overrides cannot change the preset name']);
+    }
+    const errors = this.checkOverrides(overrides);
+    if (errors.length > 0) {
+      throw new PresetValidationError(preset.name, errors);
+    }
+    if (Object.keys(overrides).length === 0) {
+      return preset;
+    }
+
+    const merged = this.applyDefaults(this.mergeOverrides(preset, overrides));
+    this.validate(merged);
+    return merged;
+  }
+
+  checkOverrides(overrides, prefix = '') {
+    if (overrides === null || typeof overrides !== 'object' || Array.isArray(overrides)) {
+      return [`${prefix.slice(0, -1) || 'presetOverrides'} must be an object`];
+    }
+
+    const errors = [];
+    for (const [key, value] of Object.entries(overrides)) {
+      const field = `${prefix}${key}`;
+      const isObject = value !== null && typeof value === 'object' && !Array.isArray(value);
+      if (isObject && OVERRIDABLE_FIELDS.some(allowed => allowed.startsWith(`${field}.`))) {
+        errors.push(...this.checkOverrides(value, `${field}.`));
+      } else if (!OVERRIDABLE_FIELDS.includes(field)) {
+        errors.push(`${field} cannot be overridden per job; allowed: ${OVERRIDABLE_FIELDS.join(', ')}`);
+      }
+    }
+    return errors;
+  }
+
+  loadFile(filePath, fallbackName) {
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new PresetValidationError(fallbackName, [`cannot read ${filePath}: ${error.message}`]);
+    }
+
+    const preset = this.applyDefaults(this.normalizeLegacy(raw, fallbackName));
+    this.validate(preset);
+    return preset;
+  }
+
+  // Converts the original flat video-preset.json layout into the nested one
+  normalizeLegacy(raw, name) {
+    if (raw.video !== undefined || raw.audio !== undefined || raw.videoCodec === undefined) {
+      return { name: name, ...raw };
+    }
+
+    const { videoCodec, audioCodec, resolution, bitrate, fps, audioChannels, audioSampleRate, ...rest } = raw;
+    return {
+      name: name,
+      container: 'mp4',
+      ...rest,
+      video: {
+        codec: videoCodec,
+        resolution: resolution,
+        fps: fps,
+        scaling: 'stretch',
+        rateControl: 'crf',
+        crf: 23,
+        bitrate: bitrate,
+        encoderPreset: 'medium'
+      },
+      audio: {
+        codec: audioCodec,
+        channels: audioChannels,
+        sampleRate: audioSampleRate
+      }
+    };
+  }
+
+  applyDefaults(preset) {
+    const result = { outputMode: 'file', ...preset };
+    if (result.video) {
+      result.video = { ...VIDEO_DEFAULTS, ...result.video };
+    }
+    if (result.audio) {
+      result.audio = { ...AUDIO_DEFAULTS, ...result.audio };
+      if (result.audio.normalize) {
+        result.audio.normalize = { ...LOUDNESS_DEFAULTS, ...result.audio.normalize };
+      }
+    }
+    return result;
+  }
+
+  // The preset's variants as complete presets: { ...preset merged with the variant, variant: name }
+  getVariants(preset) {
+    const { variants = [], ...base } = preset;
+    return variants.map(({ name, ...overrides }) => ({
+      ...this.applyDefaults(this.mergeOverrides(base, overrides)),
+      variant: name
+    }));
+  }
+
+  // deepMerge(), except that switching to another codec family drops the encoder-specific
+  // settings (crf, encoderPreset, ...) of the old codec
+  mergeOverrides(preset, overrides) {
+    const codec = overrides.video?.codec;
+    if (preset.video && codec && VIDEO_CODEC_NAMES.includes(codec) && VIDEO_CODEC_NAMES.includes(preset.video.codec) &&
+        getVideoEncoder(codec).family !== getVideoEncoder(preset.video.codec).family) {
+      const video = { ...preset.video };
+      ENCODER_SETTINGS.forEach(key => delete video[key]);
+      return this.deepMerge({ ...preset, video }, overrides);
+    }
+    return this.deepMerge(preset, overrides);
+  }
+
+  validate(preset) {
+    const errors = [];
+    this.validateObject(preset, PRESET_SCHEMA, '', errors);
+
+    if (errors.length === 0) {
+      this.validateCombinations(preset, errors);
+      this.validateVariants(preset, errors);
+    }
+
+    if (errors.length > 0) {
+      throw new PresetValidationError(preset?.name || 'unknown', errors);
+    }
+    return preset;
+  }
+
+  validateObject(value, properties, prefix, errors) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+      errors.push(`${prefix || 'preset'} must be an object`);
+      return;
+    }
+
+    for (const key of Object.keys(value)) {
+      if (!properties[key]) {
+        errors.push(`${prefix}${key} is not a known preset field`);
+      }
+    }
+
+    for (const [key, rule] of Object.entries(properties)) {
+      this.validateField(value[key], rule, `${prefix}${key}`, errors);
+    }
+  }
+
+  validateField(value, rule, fieldPath, errors) {
+    if (value === undefined) {
+      if (rule.required) {
+        errors.push(`${fieldPath} is required`);
+      }
+      return;
+    }
+
+    if (value === null) {
+      if (!rule.nullable) {
+        errors.push(`${fieldPath} must not be null`);
+      }
+      return;
+    }
+
+    switch (rule.type) {
+      case 'string':
+        if (typeof value !== 'string') {
+          errors.push(`${fieldPath} must be a string`);
+          return;
+        }
+        if (rule.pattern && !rule.pattern.test(value)) {
+          errors.push(`${fieldPath} has an invalid format: "${value}"`);
+        }
+        break;
+      case 'number':
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+          errors.push(`${fieldPath} must be a number`);
+          return;
+        }
+        if (rule.min !== undefined && value < rule.min) {
+          errors.push(`${fieldPath} must be at least ${rule.min} (got ${value})`);
+        }
+        if (rule.max !== undefined && value > rule.max) {
+          errors.push(`${fieldPath} must be at most ${rule.max} (got ${value})`);
+        }
+        break;
+      case 'boolean':
+        if (typeof value !== 'boolean') {
+          errors.push(`${fieldPath} must be true or false`);
+        }
+        return;
+      case 'array':
+        if (!Array.isArray(value)) {
+          errors.push(`${fieldPath} must be an array`);
+          return;
+        }
+        value.forEach((item, index) => this.validateField(item, rule.items, `${fieldPath}[${index}]`, errors));
+        return;
+      case 'object':
+        this.validateObject(value, rule.properties, `${fieldPath}.`, errors);
+        return;
+      default:
+        break;
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+      errors.push(`${fieldPath} must be one of ${rule.enum.join(', ')} (got ${JSON.stringify(value)})`);
+    }
+  }
+
+  validateCombinations(preset, errors) {
+    const { video, audio, container } = preset;
+
+    if (!video && !audio) {
+      errors.push('a preset needs at least one of video or audio');
+    }
+
+    if (!video && !AUDIO_CONTAINERS.includes(container)) {
+      errors.push(`audio-only presets need an audio container (${AUDIO_CONTAINERS.join(', ')}), not ${container}`);
+    }
+    if (video && AUDIO_CONTAINERS.includes(container)) {
+      errors.push(`container ${container} cannot hold video; set video to null or use mp4/mov/mkv`);
+    }
+    if (!video && preset.outputMode !== 'file') {
+      errors.push('outputMode must be "file" for audio-only presets');
+    }
+
+    if (video) {
+      this.validateVideoCodec(preset, errors);
+    }
+    if (container === 'webm' && audio && audio.codec !== 'libopus') {
+      errors.push('webm container requires audio.codec "libopus"');
+    }
+    if (audio?.codec === 'libopus' && audio.sampleRate !== 48000) {
+      errors.push('audio.codec "libopus" requires audio.sampleRate 48000');
+    }
+
+    if (video?.rateControl === 'bitrate' && video.bitrate === undefined) {
+      errors.push('video.bitrate is required when video.rateControl is "bitrate"');
+    }
+    if (video && video.scaling !== 'none' && !video.resolution) {
+      errors.push(`video.resolution is required when video.scaling is "${video.scaling}"`);
+    }
+    if (video?.rateControl === 'target-size' && video.maxBitrate && video.minBitrate > video.maxBitrate) {
+      errors.push('video.minBitrate cannot be above video.maxBitrate');
+    }
+    if (video && video.maxBitrate && video.bufferSize === undefined) {
+      errors.push('video.bufferSize is required together with video.maxBitrate');
+    }
+
+    if (container === 'mp3' && audio && audio.codec !== 'libmp3lame') {
+      errors.push('mp3 container requires audio.codec "libmp3lame"');
+    }
+    if (container === 'mp3' && audio?.tracks === 'all') {
+      errors.push('mp3 container holds a single audio track; use audio.tracks "default"');
+    }
+    if (audio?.codec === 'copy' && audio.normalize) {
+      errors.push('audio.normalize needs re-encoding; it cannot be used with audio.codec "copy"');
+    }
+    if (audio?.codec === 'copy' && audio.silentTrack) {
+      errors.push('audio.silentTrack needs re-encoding; it cannot be used with audio.codec "copy"');
+    }
+    if (!video && audio?.silentTrack) {
+      errors.push('audio.silentTrack only applies to presets with video');
+    }
+    if (!video && preset.subtitles?.burnIn) {
+      errors.push('subtitles.burnIn only applies to presets with video');
+    }
+    if (!video && (preset.overlay?.watermark || preset.overlay?.text?.length)) {
+      errors.push('overlay only applies to presets with video');
+    }
+    const watermark = preset.overlay?.watermark;
+    if (watermark && Boolean(watermark.image) === Boolean(watermark.driveFileId)) {
+      errors.push('overlay.watermark needs exactly one of image (local path) or driveFileId');
+    }
+    (preset.overlay?.text || []).forEach((text, i) => {
+      if (text.end !== undefined && text.end !== null && text.end <= (text.start || 0)) {
+        errors.push(`overlay.text[${i}].end must be after its start`);
+      }
+    });
+    if (!video && preset.quality?.enabled) {
+      errors.push('quality only applies to presets with video');
+    }
+    const metrics = preset.quality?.metrics || QUALITY_METRICS;
+    for (const metric of QUALITY_METRICS) {
+      const field = `min${metric[0].toUpperCase()}${metric.slice(1)}`;
+      if (preset.quality?.[field] !== undefined && preset.quality[field] !== null && !metrics.includes(metric)) {
+        errors.push(`quality.${field} needs "${metric}" in quality.metrics`);
+      }
+    }
+    if (preset.quality?.metrics?.length === 0) {
+      errors.push('quality.metrics needs at least one metric');
+    }
+    if (!video && audio?.extract) {
+      errors.push('audio.extract only applies to presets with video; audio-only presets already output audio');
+    }
+  }
+
+  // Container, quality and speed settings that fit the chosen encoder
+  validateVideoCodec(preset, errors) {
+    const { video, container } = preset;
+    const encoder = getVideoEncoder(video.codec);
+
+    if (!encoder.containers.includes(container)) {
+      errors.push(`video.codec ${video.codec} cannot go in ${container}; use ${encoder.containers.join(', ')}`);
+    }
+    if (video.crf !== undefined && video.crf > encoder.maxCrf) {
+      errors.push(`video.crf must be at most ${encoder.maxCrf} for ${video.codec} (got ${video.crf})`);
+    }
+    if (encoder.encoderPreset && video.speed !== undefined) {
+      errors.push(`video.speed does not apply to ${video.codec}; use video.encoderPreset`);
+    }
+    if (!encoder.encoderPreset && video.encoderPreset !== undefined) {
+      errors.push(`video.encoderPreset does not apply to ${video.codec}; use video.speed (0-${encoder.maxSpeed})`);
+    }
+    if (!encoder.encoderPreset && video.speed > encoder.maxSpeed) {
+      errors.push(`video.speed must be at most ${encoder.maxSpeed} for ${video.codec} (got ${video.speed})`);
+    }
+    if (video.profile && !encoder.encoderPreset) {
+      errors.push('video.profile only applies to H.264 and HEVC');
+    }
+    if (preset.outputMode !== 'file' && !['h264', 'hevc'].includes(encoder.family)) {
+      errors.push(`adaptive streaming needs an H.264 or HEVC video.codec (got ${video.codec})`);
+    }
+  }
+
+  // Each variant must make a valid preset on its own
+  validateVariants(preset, errors) {
+    const variants = preset.variants || [];
+    if (variants.length === 0) {
+      return;
+    }
+    if (!preset.video) {
+      errors.push('variants only apply to presets with video');
+      return;
+    }
+    if (preset.outputMode === 'adaptive') {
+      errors.push('variants are file outputs; use outputMode "file" or "both"');
+    }
+
+    const names = new Set();
+    this.getVariants(preset).forEach((variant, i) => {
+      if (names.has(variant.variant)) {
+        errors.push(`variants[${i}].name "${variant.variant}" is used twice`);
+      }
+      names.add(variant.variant);
+
+      const variantErrors = [];
+      const { variant: name, ...variantPreset } = variant;
+      this.validateObject(variantPreset, PRESET_SCHEMA, '', variantErrors);
+      if (!variantPreset.video) {
+        variantErrors.push('video cannot be removed in a variant');
+      }
+      if (variantErrors.length === 0) {
+        this.validateCombinations({ ...variantPreset, outputMode: 'file' }, variantErrors);
+      }
+      errors.push(...variantErrors.map(error => `variants[${i}] (${name}): ${error}`));
+    });
+  }
+
+  deepMerge(target, source) {
+    const result = { ...target };
+    for (const [key, value] of Object.entries(source)) {
+      if (value && typeof value === 'object' && !Array.isArray(value) &&
+          result[key] && typeof result[key] === 'object' && !Array.isArray(result[key])) {
+        result[key] = this.deepMerge(result[key], value);
+      } else {
+        result[key] = value;
+      }
+    }
+    return result;
+  }
+
+  clone(preset) {
+    return JSON.parse(JSON.stringify(preset));
+  }
+}
+
+PresetManager.PresetValidationError = PresetValidationError;
+PresetManager.OVERRIDABLE_FIELDS = OVERRIDABLE_FIELDS;
+
+module.exports = PresetManager;
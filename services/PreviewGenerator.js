@@ -0,0 +1,102 @@
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs-extra');
+const path = require('path');
+const { computeScaling, getDisplaySize } = require('../utils/scaling');
+
+const PREVIEW_FORMATS = ['mp4', 'webp', 'gif'];
+
+// Short, muted, looping teaser for catalog pages, rendered as MP4 and/or animated WebP/GIF.
+// All outputs have type 'preview' so they are routed and reported separately from the
+// full video and the thumbnails.
+class PreviewGenerator {
+  constructor(options = {}) {
+    this.start = options.start ?? null;
+    this.duration = options.duration || parseFloat(process.env.PREVIEW_DURATION) || 4;
+    this.resolution = options.resolution || process.env.PREVIEW_RESOLUTION || '480x270';
+    this.fps = options.fps || parseInt(process.env.PREVIEW_FPS) || 12;
+    this.formats = options.formats || (process.env.PREVIEW_FORMATS || 'mp4,webp').split(',').map(format => format.trim());
+  }
+
+  // `posterTime` (the chosen thumbnail's time) is used as the start when none is configured
+  async generate(inputPath, outputDir, baseName, videoInfo, { posterTime = null } = {}) {
+    await fs.ensureDir(outputDir);
+
+    const { start, duration } = this.getClipRange(parseFloat(videoInfo?.duration) || 0, posterTime);
+    const geometry = computeScaling(getDisplaySize(videoInfo), { resolution: this.resolution, scaling: 'fit', upscale: false });
+    const scale = geometry.width ? `scale=${geometry.width}:${geometry.height}` : `scale=${this.resolution.split('x')[0]}:-2`;
+
+    const previews = [];
+    for (const format of this.formats.filter(value => PREVIEW_FORMATS.includes(value))) {
+      const name = `${baseName}_preview.${format}`;
+      const outputPath = path.join(outputDir, name);
+
+      await this.render(inputPath, outputPath, format, { start, duration, scale });
+      previews.push({
+        path: outputPath,
+        name: name,
+        type: 'preview',
+        size: (await fs.stat(outputPath)).size,
+        metadata: { format, start: Number(start.toFixed(3)), duration: Number(duration.toFixed(3)) }
+      });
+    }
+
+    console.log(`Preview created: ${duration.toFixed(1)}s from ${start.toFixed(1)}s as ${previews.map(p => p.metadata.format).join('/')}`);
+    return previews;
+  }
+
+  // Keeps the clip inside the video; clips shorter than the teaser are used whole
+  getClipRange(videoDuration, posterTime) {
+    if (!videoDuration) {
+      return { start: 0, duration: this.duration };
+    }
+
+    const duration = Math.min(this.duration, videoDuration);
+    const preferred = this.start ?? posterTime ?? videoDuration * 0.1;
+    const start = Math.max(0, Math.min(preferred, videoDuration - duration));
+    return { start, duration };
+  }
+
+  render(inputPath, outputPath, format, { start, duration, scale }) {
+    return new Promise((resolve, reject) => {
+      const command = ffmpeg(inputPath)
+        .seekInput(start.toFixed(3))
+        .duration(duration.toFixed(3))
+        .noAudio();
+
+      if (format === 'gif') {
+        // Per-clip palette keeps GIF colours reasonable
+        command
+          .complexFilter([
+            `[0:v]fps=${this.fps},${scale}:flags=lanczos,split[frames][paletteInput]`,
+            '[paletteInput]palettegen=stats_mode=diff[palette]',
+            '[frames][palette]paletteuse=dither=bayer:bayer_scale=5[out]'
+          ], 'out')
+          .outputOptions(['-loop', '0']);
+      } else if (format === 'webp') {
+        command
+          .videoFilters([`fps=${this.fps}`, scale])
+          .outputOptions(['-c:v', 'libwebp', '-loop', '0', '-lossless', '0', '-q:v', '60', '-preset', 'picture']);
+      } else {
+        command
+          .videoFilters([`fps=${this.fps}`, scale])
+          .outputOptions([
+            '-c:v', 'libx264',
+            '-preset', 'veryfast',
+            '-crf', '28',
+            '-pix_fmt', 'yuv420p',
+            '-movflags', '+faststart'
+          ]);
+      }
+
+      command
+        .output(outputPath)
+        .on('end', () => resolve(outputPath))
+        .on('error', (err) => reject(new Error(`Failed to create ${format} preview: ${err.message}`)))
+        .run();
+    });
+  }
+}
+
+PreviewGenerator.FORMATS = PREVIEW_FORMATS;
+
+module.exports = PreviewGenerator;
@@ -0,0 +1,110 @@
+const ffmpeg = require('fluent-ffmpeg');
+const os = require('os');
+const { NULL_OUTPUT } = require('../utils/scenes');
+
+const QUALITY_DEFAULTS = {
+  metrics: ['vmaf', 'ssim', 'psnr'],
+  minVmaf: null,
+  minSsim: null,
+  minPsnr: null,
+  onFailure: 'warn',
+  maxReencodes: 2,
+  frameStep: 1
+};
+
+const THRESHOLD_FIELDS = {
+  vmaf: 'minVmaf',
+  ssim: 'minSsim',
+  psnr: 'minPsnr'
+};
+
+// PSNR of identical frames is infinite; it is reported as this value instead
+const MAX_PSNR = 100;
+
+// Perceptual quality of an encode against its source: VMAF (libvmaf), SSIM and PSNR from
+// one ffmpeg run, and the preset's `quality` thresholds (minVmaf, minSsim, minPsnr).
+class QualityAnalyzer {
+  constructor(options = {}) {
+    const settings = { ...QUALITY_DEFAULTS, ...options };
+    this.metrics = settings.metrics;
+    this.thresholds = Object.fromEntries(
+      Object.entries(THRESHOLD_FIELDS).map(([metric, field]) => [metric, settings[field]])
+    );
+    this.onFailure = settings.onFailure;
+    this.maxReencodes = settings.maxReencodes;
+    this.frameStep = settings.frameStep;
+  }
+
+  // `referenceFilters` bring the source to the output's geometry and frame rate (the encode's
+  // own scaling filters), `width`/`height` are the output size. Returns { vmaf, ssim, psnr }
+  // for the configured metrics.
+  measure(outputPath, referencePath, { referenceStream = 'v:0', referenceFilters = [], width, height }) {
+    const frameStep = this.frameStep > 1 ? [`framestep=${this.frameStep}`] : [];
+    const common = [...frameStep, 'setpts=PTS-STARTPTS', 'format=yuv420p'];
+    const distorted = this.splitLabels('dist', this.metrics.length);
+    const reference = this.splitLabels('ref', this.metrics.length);
+
+    // libvmaf, ssim and psnr take the encode first and the reference second
+    const filters = [
+      `[0:v:0]${common.join(',')}${this.split(distorted)}`,
+      `[1:${referenceStream}]${[...referenceFilters, `scale=${width}:${height}:flags=bicubic`, ...common].join(',')}` +
+        this.split(reference)
+    ];
+    this.metrics.forEach((metric, i) => {
+      const filter = metric === 'vmaf' ? `libvmaf=n_threads=${os.cpus().length}` : metric;
+      filters.push(`[${distorted[i]}][${reference[i]}]${filter}`);
+    });
+
+    console.log(`Measuring ${this.metrics.join('/')}${this.frameStep > 1 ? ` on every ${this.frameStep}th frame` : ''}`);
+    return new Promise((resolve, reject) => {
+      ffmpeg(outputPath)
+        .input(referencePath)
+        .complexFilter(filters)
+        .outputOptions(['-an', '-f', 'null'])
+        .output(NULL_OUTPUT)
+        .on('end', (stdout, stderr) => resolve(this.parseScores(stderr)))
+        .on('error', (err) => reject(new Error(`Failed to measure quality: ${err.message}`)))
+        .run();
+    });
+  }
+
+  splitLabels(prefix, count) {
+    return Array.from({ length: count }, (value, i) => `${prefix}${i}`);
+  }
+
+  split(labels) {
+    return labels.length === 1 ? `[${labels[0]}]` : `,split=${labels.length}${labels.map(label => `[${label}]`).join('')}`;
+  }
+
+  // The filters print their averages at the end of stderr
+  parseScores(stderr) {
+    const text = String(stderr || '');
+    const patterns = {
+      vmaf: /VMAF score[:=]\s*([\d.]+)/,
+      ssim: /SSIM [^\n]*All:([\d.]+)/,
+      psnr: /PSNR [^\n]*average:([\d.]+|inf)/
+    };
+
+    const scores = {};
+    for (const metric of this.metrics) {
+      const match = text.match(patterns[metric]);
+      if (!match) {
+        scores[metric] = null;
+      } else if (match[1] === 'inf') {
+        scores[metric] = MAX_PSNR;
+      } else {
+        scores[metric] = Math.round(parseFloat(match[1]) * 10000) / 10000;
+      }
+    }
+    return scores;
+  }
+
+  // Metrics below their threshold: [{ metric, score, min }]. A missing score fails its threshold.
+  check(scores) {
+    return this.metrics
+      .filter(metric => this.thresholds[metric] !== null && !(scores[metric] >= this.thresholds[metric]))
+      .map(metric => ({ metric, score: scores[metric], min: this.thresholds[metric] }));
+  }
+}
+
+module.exports = QualityAnalyzer;
@@ -0,0 +1,219 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const {
+  S3Client,
+  ListObjectsV2Command,
+  GetObjectCommand,
+  PutObjectCommand,
+  CopyObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+const { OUTPUT_FOLDERS, getUploadFolder, getUniqueFileName } = require('../utils/folders');
+
+const ARCHIVE_FOLDER = 'archive';
+
+// Storage in an S3-compatible bucket (AWS S3, MinIO, ...). File IDs are object keys; `prefix`
+// scopes listing and uploads. MinIO needs `endpoint` and path-style addressing.
+class S3StorageService {
+  constructor(options = {}) {
+    const { bucket, prefix = '', endpoint = null, region = 'us-east-1', accessKeyId, secretAccessKey, publicUrl = null } = options;
+    const forcePathStyle = options.forcePathStyle ?? Boolean(endpoint);
+    if (!bucket) {
+      throw new Error('S3StorageService requires a bucket');
+    }
+
+    this.bucket = bucket;
+    this.prefix = prefix.replace(/^\/+|\/+$/g, '');
+    this.endpoint = endpoint ? endpoint.replace(/\/+$/, '') : null;
+    this.region = region;
+    this.forcePathStyle = forcePathStyle;
+    this.publicUrl = publicUrl ? publicUrl.replace(/\/+$/, '') : null;
+    this.client = new S3Client({
+      region: region,
+      endpoint: this.endpoint || undefined,
+      forcePathStyle: forcePathStyle,
+      credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+    });
+  }
+
+  // Objects directly under the prefix, newest first
+  async list() {
+    try {
+      const files = await this.listObjects(this.prefix ? `${this.prefix}/` : '');
+      return files.sort((a, b) => b.createdTime.localeCompare(a.createdTime));
+    } catch (error) {
+      console.error('S3 list error:', error);
+      throw new Error(`Failed to list files in bucket ${this.bucket}: ${error.message}`);
+    }
+  }
+
+  // Every object in the output folders under the prefix, deeper "directories" included
+  async listOutputs() {
+    const files = [];
+    for (const folder of OUTPUT_FOLDERS) {
+      files.push(...await this.listObjects(`${path.posix.join(this.prefix, folder)}/`, { recursive: true }));
+    }
+    return files;
+  }
+
+  async download(key, fileName = null) {
+    try {
+      console.log(`Downloading ${key} from bucket ${this.bucket}...`);
+      const tempDir = process.env.TEMP_DIR || 'temp';
+      const localPath = path.join(tempDir, `${Date.now()}-${path.basename(fileName || key)}`);
+      await fs.ensureDir(tempDir);
+
+      const response = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: key }));
+      await pipeline(response.Body, fs.createWriteStream(localPath));
+
+      const { size } = await fs.stat(localPath);
+      if (response.ContentLength !== undefined && size !== response.ContentLength) {
+        await fs.remove(localPath);
+        throw new Error(`Size mismatch: expected ${response.ContentLength} bytes, got ${size}`);
+      }
+
+      console.log(`File downloaded successfully: ${localPath} (${size} bytes)`);
+      return localPath;
+    } catch (error) {
+      console.error('S3 download error:', error);
+      const downloadError = new Error(`Failed to download ${key} from bucket ${this.bucket}: ${error.message}`);
+      if (error.name === 'NoSuchKey') {
+        downloadError.status = 404;
+        downloadError.retryable = false;
+      }
+      throw downloadError;
+    }
+  }
+
+  // `options`: result `type` and `folder` pick the key as for ImageKit; names get a random
+  // suffix unless `useUniqueFileName` is false
+  async upload(filePath, fileName, options = {}) {
+    try {
+      const folder = options.folder ?? getUploadFolder(fileName, options.type);
+      const storedName = options.useUniqueFileName === false ? fileName : getUniqueFileName(fileName);
+      const key = path.posix.join(this.prefix, folder, storedName);
+      const { size } = await fs.stat(filePath);
+
+      console.log(`Uploading ${fileName} to bucket ${this.bucket}...`);
+      await this.client.send(new PutObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+        Body: fs.createReadStream(filePath),
+        ContentLength: size,
+        ContentType: options.mimeType || this.getContentType(fileName)
+      }));
+
+      const url = await this.getUrl(key);
+      console.log(`Uploaded to S3: ${key} (${url})`);
+      return { id: key, name: storedName, url: url, size: size };
+    } catch (error) {
+      console.error('S3 upload error:', error);
+      throw new Error(`Failed to upload ${fileName} to bucket ${this.bucket}: ${error.message}`);
+    }
+  }
+
+  async delete(key) {
+    try {
+      await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+      console.log(`File deleted from S3: ${key}`);
+    } catch (error) {
+      console.error('S3 delete error:', error);
+      throw new Error(`Failed to delete ${key} from bucket ${this.bucket}: ${error.message}`);
+    }
+  }
+
+  // Copies the object under `<prefix>/archive/`, out of list(), and removes the original.
+  // Returns the new key.
+  async archive(key) {
+    const archivedKey = path.posix.join(this.prefix, ARCHIVE_FOLDER, path.posix.basename(key));
+    try {
+      await this.client.send(new CopyObjectCommand({
+        Bucket: this.bucket,
+        CopySource: `${this.bucket}/${key.split('/').map(encodeURIComponent).join('/')}`,
+        Key: archivedKey
+      }));
+      await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+      console.log(`File archived in S3: ${key} -> ${archivedKey}`);
+      return archivedKey;
+    } catch (error) {
+      console.error('S3 archive error:', error);
+      throw new Error(`Failed to archive ${key} in bucket ${this.bucket}: ${error.message}`);
+    }
+  }
+
+  // Public object URL: `publicUrl` (CDN or public bucket URL), else the endpoint's address
+  async getUrl(key) {
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+    if (this.publicUrl) {
+      return `${this.publicUrl}/${encodedKey}`;
+    }
+    if (this.endpoint) {
+      return this.forcePathStyle
+        ? `${this.endpoint}/${this.bucket}/${encodedKey}`
+        : this.endpoint.replace('://', `://${this.bucket}.`) + `/${encodedKey}`;
+    }
+    return `https://${this.bucket}.s3.${this.region}.amazonaws.com/${encodedKey}`;
+  }
+
+  // Objects in the same "directory" as `key` whose name starts with `namePrefix`
+  async listSiblings(key, namePrefix) {
+    const dir = path.posix.dirname(key);
+    const files = await this.listObjects(dir === '.' ? namePrefix : `${dir}/${namePrefix}`);
+    return files.filter(file => file.id !== key);
+  }
+
+  // Objects under `prefix`, without those in deeper "directories" unless `recursive`
+  async listObjects(prefix, { recursive = false } = {}) {
+    const files = [];
+    let continuationToken;
+
+    do {
+      const response = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: prefix,
+        Delimiter: recursive ? undefined : '/',
+        ContinuationToken: continuationToken
+      }));
+
+      for (const object of response.Contents || []) {
+        files.push({
+          id: object.Key,
+          name: path.posix.basename(object.Key),
+          size: object.Size,
+          createdTime: object.LastModified.toISOString(),
+          url: await this.getUrl(object.Key)
+        });
+      }
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return files;
+  }
+
+  getContentType(fileName) {
+    const contentTypes = {
+      '.mp4': 'video/mp4',
+      '.mov': 'video/quicktime',
+      '.mkv': 'video/x-matroska',
+      '.webm': 'video/webm',
+      '.m3u8': 'application/vnd.apple.mpegurl',
+      '.mpd': 'application/dash+xml',
+      '.ts': 'video/mp2t',
+      '.m4s': 'video/iso.segment',
+      '.m4a': 'audio/mp4',
+      '.mp3': 'audio/mpeg',
+      '.vtt': 'text/vtt',
+      '.json': 'application/json',
+      '.jpg': 'image/jpeg',
+      '.jpeg': 'image/jpeg',
+      '.png': 'image/png',
+      '.webp': 'image/webp',
+      '.gif': 'image/gif'
+    };
+
+    return contentTypes[path.extname(fileName).toLowerCase()] || 'application/octet-stream';
+  }
+}
+
+module.exports = S3StorageService;
@@ -0,0 +1,185 @@
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs-extra');
+const path = require('path');
+
+const DEFAULT_LADDER = [
+  { name: '1080p', height: 1080, videoBitrate: 5000, audioBitrate: 128 },
+  { name: '720p', height: 720, videoBitrate: 2800, audioBitrate: 128 },
+  { name: '480p', height: 480, videoBitrate: 1400, audioBitrate: 96 },
+  { name: '360p', height: 360, videoBitrate: 800, audioBitrate: 96 }
+];
+
+// Encodes a rendition ladder in one ffmpeg run and packages it for adaptive streaming.
+// HLS only uses the hls muxer (MPEG-TS segments); when DASH is requested the dash muxer
+// writes fMP4 segments shared by the MPD and, if HLS is requested too, HLS playlists.
+class StreamPackager {
+  constructor(options = {}) {
+    this.formats = options.formats || ['hls'];
+    this.segmentDuration = options.segmentDuration || 6;
+    this.ladder = options.ladder || DEFAULT_LADDER;
+    this.videoCodec = options.videoCodec || 'libx264';
+    this.audioCodec = options.audioCodec || 'aac';
+    this.audioMap = options.audioStream !== undefined ? `0:${options.audioStream}` : '0:a:0';
+    this.audioFilter = options.audioFilter || null;
+    this.burnInFilter = options.burnInFilter || null;
+    // Filter graph run on the source before the ladder split ({ filters, output }) and the
+    // extra inputs it reads (e.g. a watermark image)
+    this.sourceGraph = options.sourceGraph || null;
+    this.inputs = options.inputs || [];
+    this.encoderPreset = options.encoderPreset || 'medium';
+  }
+
+  // Renditions above the source's short side are dropped; the smallest one is always kept.
+  // Rendition heights refer to the short side, so a portrait 1080p rendition is 1080 wide.
+  selectRenditions(sourceShortSide) {
+    const sorted = [...this.ladder].sort((a, b) => b.height - a.height);
+    const renditions = sorted.filter(rendition => !sourceShortSide || rendition.height <= sourceShortSide);
+    return renditions.length > 0 ? renditions : [sorted[sorted.length - 1]];
+  }
+
+  async package(inputPath, outputDir, videoInfo, onProgress = () => {}) {
+    await fs.emptyDir(outputDir);
+
+    const width = videoInfo.displayWidth || videoInfo.width;
+    const height = videoInfo.displayHeight || videoInfo.height;
+    const portrait = Boolean(width && height && height > width);
+    const renditions = this.selectRenditions(portrait ? width : height);
+    const hasAudio = Boolean(videoInfo.audioCodec);
+    const useDash = this.formats.includes('dash');
+    const fps = videoInfo.fps || 30;
+    const gopSize = Math.max(1, Math.round(fps * this.segmentDuration));
+
+    console.log(`Packaging ${renditions.map(r => r.name).join('/')} as ${this.formats.join('+')}`);
+
+    const splitOutputs = renditions.map((r, i) => `[v${i}]`).join('');
+    const filters = [];
+    let source = this.burnInFilter ? `[0:v]${this.burnInFilter},` : '[0:v]';
+    if (this.sourceGraph) {
+      filters.push(...this.sourceGraph.filters);
+      source = `[${this.sourceGraph.output}]`;
+    }
+    filters.push(`${source}split=${renditions.length}${splitOutputs}`);
+    filters.push(...renditions.map((r, i) =>
+      `[v${i}]scale=${portrait ? `${r.height}:-2` : `-2:${r.height}`},setsar=1[v${i}out]`
+    ));
+
+    const outputOptions = [];
+    renditions.forEach((rendition, i) => {
+      outputOptions.push(
+        '-map', `[v${i}out]`,
+        `-c:v:${i}`, this.videoCodec,
+        `-b:v:${i}`, `${rendition.videoBitrate}k`,
+        `-maxrate:v:${i}`, `${Math.round(rendition.videoBitrate * 1.07)}k`,
+        `-bufsize:v:${i}`, `${Math.round(rendition.videoBitrate * 1.5)}k`
+      );
+    });
+
+    // Aligned keyframes so every rendition can switch at segment boundaries
+    outputOptions.push(
+      '-preset', this.encoderPreset,
+      '-g', String(gopSize),
+      '-keyint_min', String(gopSize),
+      '-sc_threshold', '0'
+    );
+
+    let outputFile;
+    if (useDash) {
+      if (hasAudio) {
+        outputOptions.push('-map', this.audioMap, '-c:a', this.audioCodec, '-b:a', `${renditions[0].audioBitrate}k`, '-ac', '2');
+        if (this.audioFilter) {
+          outputOptions.push('-filter:a', this.audioFilter);
+        }
+      }
+      outputOptions.push(
+        '-f', 'dash',
+        '-seg_duration', String(this.segmentDuration),
+        '-use_template', '1',
+        '-use_timeline', '1',
+        '-adaptation_sets', hasAudio ? 'id=0,streams=v id=1,streams=a' : 'id=0,streams=v',
+        '-init_seg_name', 'init_$RepresentationID$.m4s',
+        '-media_seg_name', 'chunk_$RepresentationID$_$Number%05d$.m4s'
+      );
+      if (this.formats.includes('hls')) {
+        outputOptions.push('-hls_playlist', '1', '-hls_master_name', 'master.m3u8');
+      }
+      outputFile = path.join(outputDir, 'manifest.mpd');
+    } else {
+      const streamMap = renditions.map((rendition, i) =>
+        hasAudio ? `v:${i},a:${i},name:${rendition.name}` : `v:${i},name:${rendition.name}`
+      );
+      if (hasAudio) {
+        renditions.forEach((rendition, i) => {
+          outputOptions.push(
+            '-map', this.audioMap,
+            `-c:a:${i}`, this.audioCodec,
+            `-b:a:${i}`, `${rendition.audioBitrate}k`,
+            `-ac:a:${i}`, '2'
+          );
+          if (this.audioFilter) {
+            outputOptions.push(`-filter:a:${i}`, this.audioFilter);
+          }
+        });
+      }
+      outputOptions.push(
+        '-f', 'hls',
+        '-hls_time', String(this.segmentDuration),
+        '-hls_playlist_type', 'vod',
+        '-hls_flags', 'independent_segments',
+        '-hls_segment_filename', path.join(outputDir, '%v_%05d.ts'),
+        '-master_pl_name', 'master.m3u8',
+        '-var_stream_map', streamMap.join(' ')
+      );
+      outputFile = path.join(outputDir, '%v.m3u8');
+    }
+
+    await new Promise((resolve, reject) => {
+      const command = ffmpeg(inputPath);
+      for (const input of this.inputs) {
+        command.input(input.source).inputOptions(input.options);
+      }
+      command
+        .complexFilter(filters)
+        .outputOptions(outputOptions)
+        .output(outputFile)
+        .on('end', () => {
+          console.log('Adaptive stream packaging completed');
+          resolve();
+        })
+        .on('error', (err) => {
+          reject(new Error(`Failed to package adaptive stream: ${err.message}`));
+        })
+        .on('progress', (progress) => {
+          onProgress(progress.percent);
+        })
+        .run();
+    });
+
+    return {
+      renditions: renditions,
+      masterPlaylist: this.formats.includes('hls') ? 'master.m3u8' : null,
+      dashManifest: useDash ? 'manifest.mpd' : null,
+      files: await this.listFiles(outputDir)
+    };
+  }
+
+  async listFiles(dir, baseDir = dir) {
+    const files = [];
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...await this.listFiles(fullPath, baseDir));
+      } else {
+        files.push({
+          path: fullPath,
+          relativePath: path.relative(baseDir, fullPath).split(path.sep).join('/'),
+          size: (await fs.stat(fullPath)).size
+        });
+      }
+    }
+    return files;
+  }
+}
+
+StreamPackager.DEFAULT_LADDER = DEFAULT_LADDER;
+
+module.exports = StreamPackager;
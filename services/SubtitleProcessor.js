@@ -0,0 +1,166 @@
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs-extra');
+const path = require('path');
+const webvtt = require('../utils/webvtt');
+const { escapeFilterPath } = require('../utils/filters');
+
+// Subtitle codecs ffmpeg can turn into WebVTT; bitmap subtitles (PGS, DVD, DVB) are skipped
+const TEXT_SUBTITLE_CODECS = ['subrip', 'srt', 'ass', 'ssa', 'mov_text', 'webvtt', 'text', 'microdvd', 'subviewer'];
+
+// Collects subtitle tracks from embedded streams and sidecar .srt/.vtt files, converts
+// them to WebVTT ('subtitle' results), optionally burns one into the video and re-times
+// the tracks for edits and for each part of a split output.
+class SubtitleProcessor {
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? process.env.SUBTITLES_ENABLED !== 'false';
+    this.embedded = options.embedded ?? true;
+    this.sidecar = options.sidecar ?? true;
+    this.languages = options.languages || [];
+    this.burnIn = options.burnIn ?? null;
+  }
+
+  // `sidecarFiles`: [{ path, name, language }] downloaded next to the input
+  async extract(inputPath, outputDir, baseName, videoInfo, sidecarFiles = []) {
+    if (!this.enabled) {
+      return [];
+    }
+    await fs.ensureDir(outputDir);
+
+    const sources = [];
+    if (this.embedded) {
+      for (const stream of videoInfo?.subtitleTracks || []) {
+        if (!TEXT_SUBTITLE_CODECS.includes(stream.codec)) {
+          console.warn(`Skipping subtitle stream #${stream.index}: ${stream.codec} cannot be converted to WebVTT`);
+          continue;
+        }
+        sources.push({ ...stream, source: 'embedded', input: inputPath, map: `0:${stream.index}` });
+      }
+    }
+    if (this.sidecar) {
+      for (const file of sidecarFiles) {
+        sources.push({ language: file.language, title: file.name, source: 'sidecar', input: file.path, map: '0:s:0' });
+      }
+    }
+
+    const tracks = [];
+    const usedNames = new Set();
+    for (const source of sources.filter(item => this.languages.length === 0 || this.languages.includes(item.language))) {
+      const name = this.getTrackName(baseName, source.language, usedNames);
+      const trackPath = path.join(outputDir, name);
+
+      try {
+        await this.convert(source.input, source.map, trackPath);
+      } catch (error) {
+        console.warn(`Skipping ${source.source} subtitles (${source.language}): ${error.message}`);
+        continue;
+      }
+
+      tracks.push({
+        path: trackPath,
+        name: name,
+        type: 'subtitle',
+        size: (await fs.stat(trackPath)).size,
+        metadata: {
+          language: source.language,
+          label: source.title || source.language,
+          source: source.source,
+          forced: Boolean(source.forced)
+        }
+      });
+    }
+
+    if (tracks.length > 0) {
+      console.log(`Subtitle tracks: ${tracks.map(track => `${track.metadata.language} (${track.metadata.source})`).join(', ')}`);
+    }
+    return tracks;
+  }
+
+  getTrackName(baseName, language, usedNames) {
+    let name = `${baseName}_subtitles_${language}.vtt`;
+    for (let i = 2; usedNames.has(name); i++) {
+      name = `${baseName}_subtitles_${language}_${i}.vtt`;
+    }
+    usedNames.add(name);
+    return name;
+  }
+
+  convert(inputPath, map, outputPath) {
+    return new Promise((resolve, reject) => {
+      ffmpeg(inputPath)
+        .outputOptions(['-map', map, '-c:s', 'webvtt', '-f', 'webvtt'])
+        .output(outputPath)
+        .on('end', () => resolve(outputPath))
+        .on('error', (err) => reject(new Error(`Failed to convert subtitles: ${err.message}`)))
+        .run();
+    });
+  }
+
+  // The track to burn in: `burnIn` is a language code or 'default' (the first track)
+  selectBurnInTrack(tracks) {
+    if (!this.burnIn || tracks.length === 0) {
+      return null;
+    }
+    if (this.burnIn === 'default') {
+      return tracks[0];
+    }
+    const track = tracks.find(item => item.metadata.language === this.burnIn);
+    if (!track) {
+      console.warn(`No ${this.burnIn} subtitles to burn in`);
+    }
+    return track || null;
+  }
+
+  getBurnInFilter(track) {
+    return `subtitles=${escapeFilterPath(path.resolve(track.path))}`;
+  }
+
+  // Moves the cues of each track onto the timeline of an edited video (see VideoEditor)
+  async retime(tracks, timeline) {
+    for (const track of tracks) {
+      const parsed = webvtt.parse(await fs.readFile(track.path, 'utf8'));
+      await fs.writeFile(track.path, webvtt.serialize(webvtt.remap(parsed, timeline)));
+      track.size = (await fs.stat(track.path)).size;
+    }
+  }
+
+  // One re-timed copy of every track per part (parts carry their `start`/`end` in the
+  // source), and the tracks listed in the part manifest
+  async splitForParts(tracks, parts, manifestItem) {
+    const partTracks = [];
+    for (const track of tracks) {
+      const parsed = webvtt.parse(await fs.readFile(track.path, 'utf8'));
+      for (const part of parts) {
+        const name = `${path.parse(part.name).name}${track.name.slice(track.name.lastIndexOf('_subtitles'))}`;
+        const trackPath = path.join(path.dirname(track.path), name);
+        await fs.writeFile(trackPath, webvtt.serialize(webvtt.slice(parsed, part.start, part.end)));
+
+        partTracks.push({
+          path: trackPath,
+          name: name,
+          type: 'subtitle',
+          size: (await fs.stat(trackPath)).size,
+          metadata: { ...track.metadata, part: part.part }
+        });
+      }
+    }
+
+    if (manifestItem) {
+      await this.addToManifest(manifestItem.path, tracks, partTracks);
+    }
+    return partTracks;
+  }
+
+  // URLs are filled in by the pipeline once the tracks are uploaded
+  async addToManifest(manifestPath, tracks, partTracks) {
+    const manifest = await fs.readJson(manifestPath);
+    const entry = (track) => ({ language: track.metadata.language, label: track.metadata.label, name: track.name, url: null });
+
+    manifest.subtitles = tracks.map(entry);
+    manifest.parts.forEach(part => {
+      part.subtitles = partTracks.filter(track => track.metadata.part === part.part).map(entry);
+    });
+    await fs.writeJson(manifestPath, manifest, { spaces: 2 });
+  }
+}
+
+module.exports = SubtitleProcessor;
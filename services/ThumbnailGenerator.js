@@ -0,0 +1,237 @@
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs-extra');
+const path = require('path');
+const { computeScaling, getDisplaySize } = require('../utils/scaling');
+const { detectScenes } = require('../utils/scenes');
+const { formatTimestamp } = require('../utils/webvtt');
+
+// Frames sampled when looking for posters; the best `posterCount` are kept
+const CANDIDATE_COUNT = 8;
+// Seek-preview sprite: at most this many tiles, laid out this many per row
+const MAX_SPRITE_TILES = 100;
+const SPRITE_COLUMNS = 10;
+
+// Poster candidates and the seek-preview sprite sheet with its WebVTT thumbnail track.
+// Candidates are sampled at FRAME_CAPTURE_TIME, evenly across the video and (optionally)
+// just after scene changes, then ranked by brightness, contrast and colour so black
+// fade-in frames lose. The best one is the job's 'thumbnail'; the others are 'poster's.
+class ThumbnailGenerator {
+  constructor(options = {}) {
+    this.captureTime = options.captureTime ?? (parseInt(process.env.FRAME_CAPTURE_TIME) || 2);
+    this.posterCount = options.posterCount || parseInt(process.env.POSTER_COUNT) || 3;
+    this.sceneDetection = options.sceneDetection ?? process.env.POSTER_SCENE_DETECTION === 'true';
+    this.sprite = options.sprite ?? process.env.SPRITE_ENABLED !== 'false';
+    this.spriteInterval = options.spriteInterval || parseInt(process.env.SPRITE_INTERVAL) || 5;
+    this.spriteWidth = options.spriteWidth || 160;
+  }
+
+  async generate(inputPath, outputDir, baseName, videoInfo) {
+    await fs.ensureDir(outputDir);
+
+    const items = await this.generatePosters(inputPath, outputDir, baseName, videoInfo);
+    if (this.sprite) {
+      items.push(...await this.generateSprite(inputPath, outputDir, baseName, videoInfo));
+    }
+    return items;
+  }
+
+  async generatePosters(inputPath, outputDir, baseName, videoInfo) {
+    const duration = parseFloat(videoInfo?.duration) || 0;
+    const scenes = this.sceneDetection && duration > 0 ? await detectScenes(inputPath) : [];
+    const geometry = computeScaling(getDisplaySize(videoInfo), { resolution: '1280x720', scaling: 'fit', upscale: false });
+    const size = geometry.width ? { width: geometry.width, height: geometry.height } : null;
+
+    const candidates = [];
+    for (const [index, candidate] of this.getCandidateTimes(duration, scenes).entries()) {
+      const candidatePath = path.join(outputDir, `${baseName}_candidate${index + 1}.jpg`);
+      const stats = await this.captureCandidate(inputPath, candidatePath, candidate.time, size);
+      if (stats) {
+        candidates.push({ ...candidate, path: candidatePath, score: this.scoreFrame(stats, candidate.scene) });
+      }
+    }
+
+    // Seeking failed everywhere (e.g. broken index): take the very first frame
+    if (candidates.length === 0) {
+      const candidatePath = path.join(outputDir, `${baseName}_candidate0.jpg`);
+      const stats = await this.captureCandidate(inputPath, candidatePath, null, size);
+      if (!stats) {
+        throw new Error('Failed to capture frame: no decodable video frames');
+      }
+      candidates.push({ time: 0, scene: false, path: candidatePath, score: this.scoreFrame(stats, false) });
+    }
+
+    candidates.sort((a, b) => b.score - a.score);
+    const selected = candidates.slice(0, this.posterCount);
+    for (const candidate of candidates.slice(this.posterCount)) {
+      await fs.remove(candidate.path);
+    }
+
+    const posters = [];
+    for (const [index, candidate] of selected.entries()) {
+      const primary = index === 0;
+      const name = primary ? `${baseName}_thumbnail.jpg` : `${baseName}_poster${index}.jpg`;
+      const posterPath = path.join(outputDir, name);
+      await fs.move(candidate.path, posterPath, { overwrite: true });
+
+      posters.push({
+        path: posterPath,
+        name: name,
+        type: primary ? 'thumbnail' : 'poster',
+        size: (await fs.stat(posterPath)).size,
+        metadata: { time: Number(candidate.time.toFixed(3)), score: candidate.score }
+      });
+    }
+
+    console.log(`Posters selected at ${posters.map(poster => `${poster.metadata.time}s`).join(', ')}`);
+    return posters;
+  }
+
+  // FRAME_CAPTURE_TIME, evenly spaced points and frames just after scene changes, all
+  // inside the video so clips shorter than the capture time still get candidates
+  getCandidateTimes(duration, scenes = []) {
+    if (!duration) {
+      return [{ time: 0, scene: false }];
+    }
+
+    const last = Math.max(0, duration - 0.1);
+    const minGap = Math.min(0.5, duration / (CANDIDATE_COUNT + 1) / 2);
+    const times = [];
+    if (this.captureTime < last) {
+      times.push({ time: this.captureTime, scene: false });
+    }
+    for (let i = 1; i <= CANDIDATE_COUNT; i++) {
+      times.push({ time: (duration * i) / (CANDIDATE_COUNT + 1), scene: false });
+    }
+    scenes
+      .filter(scene => scene > 0.5 && scene + 0.5 < last)
+      .slice(0, CANDIDATE_COUNT)
+      .forEach(scene => times.push({ time: scene + 0.5, scene: true }));
+
+    return times
+      .map(candidate => ({ ...candidate, time: Math.min(last, Math.max(0, candidate.time)) }))
+      .sort((a, b) => a.time - b.time)
+      .filter((candidate, i, all) => i === 0 || candidate.time - all[i - 1].time >= minGap || candidate.scene);
+  }
+
+  // Writes one frame at `time` and returns its signalstats (YAVG, YLOW, YHIGH, SATAVG),
+  // or null when no frame was produced (e.g. the seek landed past the end)
+  captureCandidate(inputPath, outputPath, time, size) {
+    return new Promise((resolve) => {
+      const stats = {};
+      const command = ffmpeg(inputPath);
+      if (time !== null) {
+        command.seekInput(time.toFixed(3));
+      }
+
+      command
+        .videoFilters([
+          size ? `scale=${size.width}:${size.height}` : 'scale=1280:-2',
+          'signalstats',
+          'metadata=print'
+        ])
+        .outputOptions(['-frames:v', '1', '-q:v', '2', '-an'])
+        .output(outputPath)
+        .on('stderr', (line) => {
+          const match = line.match(/lavfi\.signalstats\.(\w+)=([\d.]+)/);
+          if (match) {
+            stats[match[1]] = parseFloat(match[2]);
+          }
+        })
+        .on('end', async () => {
+          const exists = await fs.pathExists(outputPath);
+          resolve(exists && stats.YAVG !== undefined ? stats : null);
+        })
+        .on('error', (err) => {
+          console.warn(`Frame capture at ${time}s failed: ${err.message}`);
+          resolve(null);
+        })
+        .run();
+    });
+  }
+
+  // 0..1: mid-tone brightness, contrast and some colour; near-black/white frames score 0
+  scoreFrame({ YAVG = 0, YLOW = 0, YHIGH = 0, SATAVG = 0 }, scene) {
+    if (YAVG < 20 || YAVG > 235) {
+      return 0;
+    }
+
+    const brightness = Math.max(0, 1 - Math.abs(YAVG - 118) / 118);
+    const contrast = Math.min(1, Math.max(0, (YHIGH - YLOW) / 219));
+    const colour = Math.min(1, SATAVG / 40);
+    const score = 0.45 * brightness + 0.4 * contrast + 0.15 * colour + (scene ? 0.05 : 0);
+    return Number(Math.min(1, score).toFixed(3));
+  }
+
+  // One JPEG of tiles every `spriteInterval` seconds, plus a WebVTT track mapping each
+  // time range to its tile. The track references the sprite by file name; the pipeline
+  // swaps in the uploaded URL.
+  async generateSprite(inputPath, outputDir, baseName, videoInfo) {
+    const duration = parseFloat(videoInfo?.duration) || 0;
+    if (!duration) {
+      console.warn('Unknown duration, skipping sprite sheet');
+      return [];
+    }
+
+    const interval = Math.max(this.spriteInterval, Math.ceil(duration / MAX_SPRITE_TILES));
+    const count = Math.max(1, Math.ceil(duration / interval));
+    const columns = Math.min(SPRITE_COLUMNS, count);
+    const rows = Math.ceil(count / columns);
+    const display = getDisplaySize(videoInfo);
+    const tileWidth = this.spriteWidth;
+    const tileHeight = display
+      ? Math.max(2, Math.round((tileWidth * display.height) / display.width / 2) * 2)
+      : Math.round((tileWidth * 9) / 16 / 2) * 2;
+
+    const spriteName = `${baseName}_sprite.jpg`;
+    const spritePath = path.join(outputDir, spriteName);
+
+    await new Promise((resolve, reject) => {
+      ffmpeg(inputPath)
+        .videoFilters([
+          `fps=1/${interval}`,
+          `scale=${tileWidth}:${tileHeight}`,
+          `tile=${columns}x${rows}`
+        ])
+        .outputOptions(['-frames:v', '1', '-q:v', '4', '-an'])
+        .output(spritePath)
+        .on('end', resolve)
+        .on('error', (err) => reject(new Error(`Failed to create sprite sheet: ${err.message}`)))
+        .run();
+    });
+
+    const cues = ['WEBVTT', ''];
+    for (let i = 0; i < count; i++) {
+      const start = i * interval;
+      const end = Math.min(duration, (i + 1) * interval);
+      const x = (i % columns) * tileWidth;
+      const y = Math.floor(i / columns) * tileHeight;
+      cues.push(`${formatTimestamp(start)} --> ${formatTimestamp(end)}`);
+      cues.push(`${spriteName}#xywh=${x},${y},${tileWidth},${tileHeight}`);
+      cues.push('');
+    }
+
+    const trackName = `${baseName}_thumbnails.vtt`;
+    const trackPath = path.join(outputDir, trackName);
+    await fs.writeFile(trackPath, cues.join('\n'));
+
+    console.log(`Sprite sheet created: ${count} tiles (${columns}x${rows}) every ${interval}s`);
+    return [
+      {
+        path: spritePath,
+        name: spriteName,
+        type: 'sprite',
+        size: (await fs.stat(spritePath)).size,
+        metadata: { interval, columns, rows, tileWidth, tileHeight }
+      },
+      {
+        path: trackPath,
+        name: trackName,
+        type: 'thumbnail-track',
+        size: (await fs.stat(trackPath)).size,
+        spriteName: spriteName
+      }
+    ];
+  }
+}
+
+module.exports = ThumbnailGenerator;
@@ -0,0 +1,316 @@
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs-extra');
+const path = require('path');
+const { ProcessingError, ERROR_CODES } = require('./errors');
+const { parseTimestamp } = require('../utils/webvtt');
+
+const EDIT_FIELDS = ['trim', 'keep', 'intro', 'outro'];
+const RANGE_FIELDS = ['start', 'end'];
+// Clips come only from the source storage: directives arrive with requests and sidecar files,
+// so a local path would let callers read any file on the runner
+const CLIP_FIELDS = ['driveFileId'];
+
+// Seconds (75.5) or a timestamp ("1:15.5", "00:01:15.500")
+const TIMESTAMP_PATTERN = /^(\d+:){0,2}\d+(\.\d+)?$/;
+
+// Ranges shorter than a frame at 25 fps are dropped
+const MIN_SEGMENT_SECONDS = 0.04;
+const SAMPLE_RATE = 48000;
+const CHANNEL_LAYOUTS = { 1: 'mono', 2: 'stereo', 6: '5.1', 8: '7.1' };
+
+// The edited file is encoded again by the preset, so it is kept close to lossless
+const INTERMEDIATE_VIDEO_OPTIONS = ['-c:v', 'libx264', '-preset', 'veryfast', '-crf', '12', '-pix_fmt', 'yuv420p'];
+const INTERMEDIATE_AUDIO_OPTIONS = ['-c:a', 'pcm_s16le', '-ar', String(SAMPLE_RATE)];
+
+class EditValidationError extends Error {
+  constructor(errors) {
+    super(`Edit directives are invalid:\n  - ${errors.join('\n  - ')}`);
+    this.name = 'EditValidationError';
+    this.status = 400;
+    this.retryable = false;
+    this.errors = errors;
+  }
+}
+
+// Per-job editing directives, applied to the source before the preset encodes it:
+//   { trim: { start, end }, keep: [{ start, end }, ...], intro: { driveFileId }, outro: ... }
+// `trim` bounds the source, `keep` lists the ranges to keep inside it, and the intro/outro
+// bumpers are concatenated around the result, scaled and padded to the source's frame size,
+// frame rate and audio layout. Times are seconds or timestamps.
+class VideoEditor {
+  constructor(directives = {}) {
+    this.validate(directives);
+    this.trim = directives.trim ? this.toRange(directives.trim) : null;
+    this.keep = (directives.keep || []).map(range => this.toRange(range));
+    this.intro = directives.intro || null;
+    this.outro = directives.outro || null;
+  }
+
+  isEnabled() {
+    return Boolean(this.trim || this.keep.length > 0 || this.intro || this.outro);
+  }
+
+  validate(directives) {
+    if (directives === null || typeof directives !== 'object' || Array.isArray(directives)) {
+      throw new EditValidationError(['edits must be an object']);
+    }
+
+    const errors = [];
+    for (const key of Object.keys(directives)) {
+      if (!EDIT_FIELDS.includes(key)) {
+        errors.push(`edits.${key} is not a known edit directive`);
+      }
+    }
+
+    if (directives.trim !== undefined && directives.trim !== null) {
+      this.validateRange(directives.trim, 'edits.trim', false, errors);
+    }
+    if (directives.keep !== undefined && directives.keep !== null) {
+      if (!Array.isArray(directives.keep)) {
+        errors.push('edits.keep must be an array');
+      } else {
+        directives.keep.forEach((range, i) => this.validateRange(range, `edits.keep[${i}]`, true, errors));
+      }
+    }
+    for (const clip of ['intro', 'outro']) {
+      if (directives[clip] !== undefined && directives[clip] !== null) {
+        this.validateClip(directives[clip], `edits.${clip}`, errors);
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new EditValidationError(errors);
+    }
+  }
+
+  // `required`: both ends must be given (keep ranges); trim may leave either open
+  validateRange(range, fieldPath, required, errors) {
+    if (range === null || typeof range !== 'object' || Array.isArray(range)) {
+      errors.push(`${fieldPath} must be an object with start and end`);
+      return;
+    }
+
+    for (const key of Object.keys(range)) {
+      if (!RANGE_FIELDS.includes(key)) {
+        errors.push(`${fieldPath}.${key} is not a known range field`);
+      }
+    }
+
+    const times = {};
+    for (const key of RANGE_FIELDS) {
+      if (range[key] === undefined || range[key] === null) {
+        if (required) {
+          errors.push(`${fieldPath}.${key} is required`);
+        }
+        continue;
+      }
+      times[key] = this.toSeconds(range[key]);
+      if (times[key] === null) {
+        errors.push(`${fieldPath}.${key} must be a non-negative number of seconds or a timestamp (got ${JSON.stringify(range[key])})`);
+      }
+    }
+
+    if (Number.isFinite(times.start) && Number.isFinite(times.end) && times.end <= times.start) {
+      errors.push(`${fieldPath}.end must be after ${fieldPath}.start`);
+    }
+  }
+
+  validateClip(clip, fieldPath, errors) {
+    if (clip === null || typeof clip !== 'object' || Array.isArray(clip)) {
+      errors.push(`${fieldPath} must be an object with driveFileId`);
+      return;
+    }
+
+    for (const key of Object.keys(clip)) {
+      if (key === 'path') {
+        errors.push(`${fieldPath}.path is not allowed; store the clip in the source storage and use driveFileId`);
+      } else if (!CLIP_FIELDS.includes(key)) {
+        errors.push(`${fieldPath}.${key} is not a known clip field`);
+      } else if (typeof clip[key] !== 'string' || clip[key] === '') {
+        errors.push(`${fieldPath}.${key} must be a non-empty string`);
+      }
+    }
+    if (!clip.driveFileId) {
+      errors.push(`${fieldPath}.driveFileId is required`);
+    }
+  }
+
+  toSeconds(value) {
+    if (typeof value === 'number') {
+      return Number.isFinite(value) && value >= 0 ? value : null;
+    }
+    if (typeof value === 'string' && TIMESTAMP_PATTERN.test(value.trim())) {
+      return parseTimestamp(value.trim());
+    }
+    return null;
+  }
+
+  toRange(range) {
+    return {
+      start: range.start !== undefined && range.start !== null ? this.toSeconds(range.start) : null,
+      end: range.end !== undefined && range.end !== null ? this.toSeconds(range.end) : null
+    };
+  }
+
+  // Source ranges to keep, in order, inside the trim bounds. Overlapping keep ranges are
+  // merged; a cut that leaves nothing fails with INVALID_EDIT.
+  getSegments(duration) {
+    const trimStart = this.trim?.start ?? 0;
+    const trimEnd = Math.min(this.trim?.end ?? duration, duration);
+    const ranges = this.keep.length > 0 ? [...this.keep].sort((a, b) => a.start - b.start) : [{ start: 0, end: duration }];
+
+    const segments = [];
+    for (const range of ranges) {
+      const start = Math.max(range.start, trimStart);
+      const end = Math.min(range.end, trimEnd);
+      if (end - start < MIN_SEGMENT_SECONDS) {
+        continue;
+      }
+
+      const previous = segments[segments.length - 1];
+      if (previous && start <= previous.end) {
+        previous.end = Math.max(previous.end, end);
+      } else {
+        segments.push({ start, end });
+      }
+    }
+
+    if (segments.length === 0) {
+      throw new ProcessingError(
+        ERROR_CODES.INVALID_EDIT,
+        `Edit directives keep nothing of the ${Math.round(duration)}s input`,
+        { duration, trim: this.trim, keep: this.keep }
+      );
+    }
+    return segments;
+  }
+
+  // Renders the edited intermediate. `audioTracks` are the source tracks to carry over;
+  // `clips` holds the downloaded intro/outro ({ path, info }) where the directives have them.
+  // Returns { path, timeline, duration }: `timeline` maps source ranges to output offsets,
+  // for re-timing subtitles.
+  async render(inputPath, outputPath, { videoInfo, audioTracks = [], includeVideo = true, clips = {} }) {
+    await fs.ensureDir(path.dirname(outputPath));
+
+    const duration = parseFloat(videoInfo.duration);
+    const segments = this.getSegments(duration);
+    const hasVideo = includeVideo && Boolean(videoInfo.videoCodec);
+
+    // One input per piece: intro, each kept source range (seeked with -ss/-t), outro
+    const pieces = [];
+    if (clips.intro) {
+      pieces.push({ source: clips.intro.path, options: [], clip: clips.intro.info });
+    }
+    for (const segment of segments) {
+      pieces.push({
+        source: inputPath,
+        options: ['-ss', segment.start.toFixed(3), '-t', (segment.end - segment.start).toFixed(3)],
+        segment: segment
+      });
+    }
+    if (clips.outro) {
+      pieces.push({ source: clips.outro.path, options: [], clip: clips.outro.info });
+    }
+
+    const filters = [];
+    const concatInputs = [];
+    pieces.forEach((piece, i) => {
+      if (hasVideo) {
+        const stream = piece.segment ? this.getVideoStream(videoInfo) : this.getVideoStream(piece.clip);
+        filters.push(`[${i}:${stream}]${this.getVideoFilters(videoInfo).join(',')}[v${i}]`);
+        concatInputs.push(`[v${i}]`);
+      }
+
+      audioTracks.forEach((track, t) => {
+        const format = this.getAudioFormat(track);
+        const clipAudio = piece.clip?.audioTracks?.[0];
+        if (piece.segment) {
+          filters.push(`[${i}:${track.index}]${format}[a${i}_${t}]`);
+        } else if (clipAudio) {
+          filters.push(`[${i}:${clipAudio.index}]${format}[a${i}_${t}]`);
+        } else {
+          // Bumper without sound: silence for its whole length
+          const layout = CHANNEL_LAYOUTS[track.channels] || 'stereo';
+          filters.push(`anullsrc=r=${SAMPLE_RATE}:cl=${layout},atrim=duration=${parseFloat(piece.clip.duration).toFixed(3)}[a${i}_${t}]`);
+        }
+        concatInputs.push(`[a${i}_${t}]`);
+      });
+    });
+
+    const audioOutputs = audioTracks.map((track, t) => `[aout${t}]`);
+    filters.push(`${concatInputs.join('')}concat=n=${pieces.length}:v=${hasVideo ? 1 : 0}:a=${audioTracks.length}` +
+      `${hasVideo ? '[vout]' : ''}${audioOutputs.join('')}`);
+
+    const outputOptions = hasVideo ? ['-map', '[vout]', ...INTERMEDIATE_VIDEO_OPTIONS] : ['-vn'];
+    audioTracks.forEach((track, t) => {
+      outputOptions.push('-map', `[aout${t}]`, `-metadata:s:a:${t}`, `language=${track.language}`);
+      if (track.title) {
+        outputOptions.push(`-metadata:s:a:${t}`, `title=${track.title}`);
+      }
+      outputOptions.push(`-disposition:a:${t}`, t === 0 ? 'default' : '0');
+    });
+    outputOptions.push(...(audioTracks.length > 0 ? INTERMEDIATE_AUDIO_OPTIONS : ['-an']), '-sn', '-dn');
+
+    console.log(`Editing: ${segments.map(segment => `${segment.start.toFixed(2)}-${segment.end.toFixed(2)}s`).join(', ')}` +
+      `${clips.intro ? ', with intro' : ''}${clips.outro ? ', with outro' : ''}`);
+    await this.runEdit(pieces, filters, outputOptions, outputPath);
+
+    // Output position of each kept source range, after the intro
+    let offset = clips.intro ? parseFloat(clips.intro.info.duration) : 0;
+    const timeline = segments.map(segment => {
+      const entry = { ...segment, offset };
+      offset += segment.end - segment.start;
+      return entry;
+    });
+    if (clips.outro) {
+      offset += parseFloat(clips.outro.info.duration);
+    }
+
+    return { path: outputPath, timeline, duration: offset };
+  }
+
+  getVideoStream(info) {
+    return info?.videoStreamIndex !== undefined ? info.videoStreamIndex : 'v:0';
+  }
+
+  // Every piece is brought to the source's display size, frame rate and pixel format so the
+  // concat filter accepts them; bumpers with another aspect ratio are letterboxed
+  getVideoFilters(videoInfo) {
+    // yuv420p needs even dimensions
+    const width = Math.floor(videoInfo.displayWidth / 2) * 2;
+    const height = Math.floor(videoInfo.displayHeight / 2) * 2;
+    const filters = [
+      `scale=${width}:${height}:force_original_aspect_ratio=decrease`,
+      `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2`,
+      'setsar=1'
+    ];
+    if (videoInfo.fps) {
+      filters.push(`fps=${videoInfo.fps}`);
+    }
+    filters.push('format=yuv420p', 'setpts=PTS-STARTPTS');
+    return filters;
+  }
+
+  getAudioFormat(track) {
+    const layout = CHANNEL_LAYOUTS[track.channels] || 'stereo';
+    return `aresample=${SAMPLE_RATE},aformat=sample_fmts=fltp:sample_rates=${SAMPLE_RATE}:channel_layouts=${layout},asetpts=PTS-STARTPTS`;
+  }
+
+  runEdit(pieces, filters, outputOptions, outputPath) {
+    return new Promise((resolve, reject) => {
+      const command = ffmpeg();
+      for (const piece of pieces) {
+        command.input(piece.source).inputOptions(piece.options);
+      }
+      command
+        .complexFilter(filters)
+        .outputOptions(outputOptions)
+        .output(outputPath)
+        .on('end', () => resolve(outputPath))
+        .on('error', (err) => reject(new Error(`Failed to edit video: ${err.message}`)))
+        .run();
+    });
+  }
+}
+
+module.exports = VideoEditor;
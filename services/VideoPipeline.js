@@ -0,0 +1,408 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const VideoProcessor = require('./VideoProcessor');
+const GoogleSheetsService = require('./GoogleSheetsService');
+const JobTracker = require('./JobTracker');
+const OutputManager = require('./OutputManager');
+const { createStorage, downloadSidecarFiles, downloadEditDirectives } = require('./storage');
+const { retryWithBackoff } = require('../utils/retry');
+const { mapWithConcurrency } = require('../utils/concurrency');
+
+// Uploaded after the files they reference, whose URLs they are filled in with
+const DEPENDENT_UPLOAD_TYPES = ['manifest', 'thumbnail-track'];
+
+// Runs one job end to end: download -> process -> upload -> record.
+// Each step is retried with exponential backoff before the job is marked failed.
+// `source` and `destination` are storage adapters (see storage.js), Drive and ImageKit by default.
+class VideoPipeline {
+  constructor(services = {}) {
+    this.source = services.source || createStorage('source');
+    this.videoProcessor = services.videoProcessor || new VideoProcessor();
+    this.destination = services.destination || createStorage('destination');
+    this.googleSheetsService = services.googleSheetsService || new GoogleSheetsService();
+    this.jobTracker = services.jobTracker || new JobTracker();
+    this.outputManager = services.outputManager || new OutputManager({
+      source: this.source,
+      destination: this.destination,
+      googleSheetsService: this.googleSheetsService,
+      jobTracker: this.jobTracker
+    });
+
+    this.stepRetries = parseInt(process.env.PIPELINE_STEP_RETRIES ?? '3');
+    this.processRetries = parseInt(process.env.PIPELINE_PROCESS_RETRIES ?? '1');
+    this.retryBaseDelayMs = parseInt(process.env.PIPELINE_RETRY_BASE_DELAY_MS) || 2000;
+    this.uploadConcurrency = parseInt(process.env.UPLOAD_CONCURRENCY) || 2;
+  }
+
+  async run(jobId, options = {}) {
+    const { signal = null } = options;
+    const job = this.jobTracker.requireJob(jobId);
+    const startTime = Date.now();
+    // Everything the processor writes for this job, removed when the run ends
+    const tempDir = path.join(process.env.TEMP_DIR || 'temp', jobId);
+    let localPath = null;
+    let subtitleFiles = [];
+    let watermarkPath = null;
+    let editClips = {};
+    let processedVideos = [];
+
+    try {
+      // Resolved before downloading so a bad preset fails the job immediately
+      const preset = this.videoProcessor.presetManager.resolve(job.preset, job.presetOverrides);
+
+      // Step 1: Download from the source storage
+      this.checkAborted(signal);
+      this.jobTracker.transition(jobId, 'downloading');
+      localPath = await this.runStep('download', () =>
+        this.source.download(job.fileId, job.fileName)
+      , { signal });
+      subtitleFiles = await this.downloadSubtitles(job, preset, signal);
+      watermarkPath = await this.downloadWatermark(preset, signal);
+      const edits = await this.resolveEdits(job, signal);
+      editClips = await this.downloadEditClips(edits, signal);
+
+      // Step 2: Analyze, compress and split
+      this.checkAborted(signal);
+      processedVideos = await this.runStep('process', () =>
+        this.videoProcessor.processVideo(localPath, job.fileName, {
+          preset: preset,
+          subtitleFiles: subtitleFiles,
+          watermarkPath: watermarkPath,
+          edits: edits,
+          editClips: editClips,
+          tempDir: tempDir,
+          onStep: (step) => this.jobTracker.transition(jobId, step),
+          onProgress: (percent) => this.jobTracker.updateProgress(jobId, percent)
+        })
+      , { signal, retries: this.processRetries });
+
+      // Step 3: Upload to the destination storage
+      this.checkAborted(signal);
+      this.jobTracker.transition(jobId, 'uploading');
+      const streamFolder = `streams/${path.parse(job.fileName).name}_${jobId.slice(0, 8)}`;
+      const uploads = await this.uploadResults(jobId, processedVideos, streamFolder, signal);
+
+      const results = [];
+      const playback = {};
+      processedVideos.forEach((video, index) => {
+        const file = uploads[index];
+        if (video.type !== 'stream') {
+          results.push({
+            name: video.name,
+            url: file.url,
+            fileId: file.id,
+            size: video.size,
+            type: video.type,
+            ...video.metadata
+          });
+        } else if (video.playlist) {
+          playback[video.playlist] = file.url;
+          results.push({
+            name: video.name,
+            url: file.url,
+            fileId: file.id,
+            size: video.size,
+            type: 'playlist',
+            format: video.playlist
+          });
+        }
+      });
+
+      // Step 4: Record results and export to Google Sheets
+      const processingTime = (Date.now() - startTime) / 1000;
+      const recordedJob = this.jobTracker.transition(jobId, 'recorded', {
+        results: results,
+        // Every uploaded file, stream segments included, for deleting or replacing them later,
+        // after any an earlier failed attempt could not remove
+        outputs: [
+          ...(this.jobTracker.requireJob(jobId).outputs || []),
+          ...uploads.map((file, index) => ({ id: file.id, name: file.name, type: processedVideos[index].type }))
+        ],
+        playback: Object.keys(playback).length > 0 ? { ...playback, folder: streamFolder } : undefined,
+        processingTime: processingTime
+      });
+      await this.exportJob(recordedJob);
+      await this.replaceOutputs(recordedJob);
+
+      console.log(`Job ${jobId} completed in ${processingTime.toFixed(2)}s`);
+      return this.jobTracker.complete(jobId, results);
+    } catch (error) {
+      if (error.code !== 'ABORTED') {
+        this.jobTracker.fail(jobId, error);
+        this.jobTracker.update(jobId, { processingTime: (Date.now() - startTime) / 1000 });
+      }
+      throw error;
+    } finally {
+      const assets = [
+        ...subtitleFiles,
+        ...[watermarkPath, ...Object.values(editClips)].filter(Boolean).map(assetPath => ({ path: assetPath }))
+      ];
+      await this.cleanupFiles(localPath, [...assets, ...processedVideos]);
+      await fs.remove(tempDir).catch(error => console.warn('Cleanup error:', error.message));
+    }
+  }
+
+  async runStep(stepName, fn, { signal = null, retries = this.stepRetries } = {}) {
+    return retryWithBackoff(fn, {
+      retries: retries,
+      baseDelayMs: this.retryBaseDelayMs,
+      signal: signal,
+      // Typed input errors (invalid media, bad preset) fail the same way every time
+      shouldRetry: (error) => error.retryable !== false,
+      onRetry: (error, attempt, waitMs) => {
+        console.warn(`Step ${stepName} failed (attempt ${attempt}/${retries}), retrying in ${waitMs}ms: ${error.message}`);
+      }
+    });
+  }
+
+  // Uploads `processedVideos` UPLOAD_CONCURRENCY at a time. Byte
+  // progress across all files goes into the job (`upload` and the step progress). Returns the
+  // destination's upload responses in the order of `processedVideos`.
+  async uploadResults(jobId, processedVideos, streamFolder, signal) {
+    const uploads = new Array(processedVideos.length);
+    const uploadedUrls = {};
+    const progress = this.createUploadProgress(jobId, processedVideos);
+
+    const uploadOne = async (index) => {
+      const video = processedVideos[index];
+      if (video.type === 'manifest') {
+        await this.fillManifestUrls(video.path, uploadedUrls);
+      }
+      if (video.type === 'thumbnail-track') {
+        await this.fillThumbnailTrack(video.path, video.spriteName, uploadedUrls);
+      }
+
+      // Stream files keep their names so relative playlist references resolve
+      const uploadOptions = video.type === 'stream'
+        ? { folder: path.posix.join(streamFolder, path.posix.dirname(video.relativePath)), useUniqueFileName: false }
+        : {};
+
+      // Not wrapped in runStep: the destination retries each file itself, and the queue
+      // retries the whole job on top of that
+      this.checkAborted(signal);
+      const file = await this.destination.upload(video.path, video.name, {
+        type: video.type,
+        ...uploadOptions,
+        onProgress: (bytesSent) => progress.update(index, bytesSent)
+      });
+
+      uploads[index] = file;
+      uploadedUrls[video.name] = file.url;
+      progress.complete(index);
+    };
+
+    const indexes = processedVideos.map((video, index) => index);
+    const isDependent = (index) => DEPENDENT_UPLOAD_TYPES.includes(processedVideos[index].type);
+    try {
+      await mapWithConcurrency(indexes.filter(index => !isDependent(index)), this.uploadConcurrency, uploadOne);
+      await mapWithConcurrency(indexes.filter(isDependent), this.uploadConcurrency, uploadOne);
+    } catch (error) {
+      // Uploads still in flight have settled by now
+      const uploaded = uploads
+        .map((file, index) => file && { id: file.id, name: file.name, type: processedVideos[index].type })
+        .filter(Boolean);
+      await this.discardUploads(jobId, uploaded);
+      throw error;
+    }
+
+    return uploads;
+  }
+
+  // Removes the files a failed upload step did store, so no untracked files are left at the
+  // destination. Files that can't be removed are added to the job's `outputs`, where
+  // deleting the job's outputs finds them.
+  async discardUploads(jobId, files) {
+    const kept = [];
+    for (const file of files) {
+      try {
+        await this.destination.delete(file.id);
+      } catch (error) {
+        if (error.status !== 404) {
+          console.warn(`Could not remove uploaded file ${file.id} of failed job ${jobId}: ${error.message}`);
+          kept.push(file);
+        }
+      }
+    }
+
+    if (kept.length > 0) {
+      const job = this.jobTracker.requireJob(jobId);
+      this.jobTracker.update(jobId, { outputs: [...(job.outputs || []), ...kept] });
+    }
+    console.log(`Job ${jobId}: removed ${files.length - kept.length} of ${files.length} files uploaded before the failure`);
+  }
+
+  // Tracks bytes sent per file; the job is only written when the rounded percentage or the
+  // number of finished files changes
+  createUploadProgress(jobId, processedVideos) {
+    const sizes = processedVideos.map(video => video.size || 0);
+    const totalBytes = sizes.reduce((sum, size) => sum + size, 0);
+    const sent = sizes.map(() => 0);
+    let filesUploaded = 0;
+    let reported = -1;
+
+    const report = (force) => {
+      const bytesSent = sent.reduce((sum, bytes) => sum + bytes, 0);
+      const percent = totalBytes > 0
+        ? (bytesSent / totalBytes) * 100
+        : (filesUploaded / processedVideos.length) * 100;
+      if (!force && Math.round(percent) === reported) {
+        return;
+      }
+
+      reported = Math.round(percent);
+      this.jobTracker.update(jobId, {
+        upload: { bytesSent, totalBytes, filesUploaded, files: processedVideos.length }
+      });
+      this.jobTracker.updateProgress(jobId, percent);
+    };
+
+    return {
+      // A retried upload starts again from zero, so this replaces the file's count
+      update: (index, bytesSent) => {
+        sent[index] = Math.min(bytesSent, sizes[index] || bytesSent);
+        report(false);
+      },
+      complete: (index) => {
+        sent[index] = sizes[index];
+        filesUploaded++;
+        report(true);
+      }
+    };
+  }
+
+  // Sidecar .srt/.vtt files next to the source video. Missing subtitles never fail the job.
+  async downloadSubtitles(job, preset, signal) {
+    if (!this.videoProcessor.usesSidecarSubtitles(preset)) {
+      return [];
+    }
+
+    try {
+      return await this.runStep('download', () =>
+        downloadSidecarFiles(this.source, job.fileId, job.fileName)
+      , { signal });
+    } catch (error) {
+      console.warn(`Skipping sidecar subtitles: ${error.message}`);
+      return [];
+    }
+  }
+
+  // Watermark kept in the source storage (overlay.watermark.driveFileId); local watermarks
+  // need no download
+  async downloadWatermark(preset, signal) {
+    const driveFileId = preset.video ? preset.overlay?.watermark?.driveFileId : null;
+    if (!driveFileId) {
+      return null;
+    }
+
+    return this.runStep('download', () =>
+      this.source.download(driveFileId)
+    , { signal });
+  }
+
+  // Editing directives from the job, over a `<name>.edit.json` sidecar next to the source (job
+  // directives win key by key). Validated before any clip is downloaded.
+  async resolveEdits(job, signal) {
+    const sidecar = await this.runStep('download', () =>
+      downloadEditDirectives(this.source, job.fileId, job.fileName)
+    , { signal });
+    if (sidecar) {
+      console.log(`Found edit directives for ${job.fileName} next to the source`);
+    }
+
+    const edits = sidecar || job.edits ? { ...sidecar, ...job.edits } : null;
+    this.videoProcessor.createEditor(edits);
+    return edits;
+  }
+
+  // Intro/outro clips kept in the source storage: { intro, outro } local paths
+  async downloadEditClips(edits, signal) {
+    const clips = {};
+    for (const name of ['intro', 'outro']) {
+      const driveFileId = edits?.[name]?.driveFileId;
+      if (driveFileId) {
+        clips[name] = await this.runStep('download', () =>
+          this.source.download(driveFileId)
+        , { signal });
+      }
+    }
+    return clips;
+  }
+
+  checkAborted(signal) {
+    if (signal?.aborted) {
+      const error = new Error('Job aborted');
+      error.code = 'ABORTED';
+      throw error;
+    }
+  }
+
+  async fillManifestUrls(manifestPath, uploadedUrls) {
+    const manifest = await fs.readJson(manifestPath);
+    const fillUrl = (entry) => {
+      entry.url = uploadedUrls[entry.name] || null;
+    };
+    manifest.parts.forEach(part => {
+      fillUrl(part);
+      (part.subtitles || []).forEach(fillUrl);
+    });
+    (manifest.subtitles || []).forEach(fillUrl);
+    await fs.writeJson(manifestPath, manifest, { spaces: 2 });
+  }
+
+  async fillThumbnailTrack(trackPath, spriteName, uploadedUrls) {
+    const spriteUrl = uploadedUrls[spriteName];
+    if (!spriteUrl) {
+      return;
+    }
+    const track = await fs.readFile(trackPath, 'utf8');
+    await fs.writeFile(trackPath, track.split(`${spriteName}#`).join(`${spriteUrl}#`));
+  }
+
+  // A reprocess job removes the outputs it replaces only once its own are recorded. Leftovers
+  // stay in `replaceOutputs` rather than failing a job whose new outputs are fine.
+  async replaceOutputs(job) {
+    if (!job.replaceOutputs?.length) {
+      return;
+    }
+
+    try {
+      await this.outputManager.replaceOutputs(job);
+    } catch (error) {
+      console.warn(`Failed to remove replaced outputs: ${error.message}`);
+    }
+  }
+
+  async exportJob(job) {
+    try {
+      if (await this.googleSheetsService.exportJob(job)) {
+        console.log(`Exported job ${job.jobId} to Google Sheets`);
+      }
+    } catch (error) {
+      console.warn('Google Sheets export failed:', error.message);
+    }
+  }
+
+  async cleanupFiles(localPath, processedVideos) {
+    try {
+      if (localPath && await fs.pathExists(localPath)) {
+        await fs.remove(localPath);
+        console.log(`Cleaned up: ${localPath}`);
+      }
+
+      for (const video of processedVideos) {
+        if (video.path && await fs.pathExists(video.path)) {
+          await fs.remove(video.path);
+          console.log(`Cleaned up: ${video.path}`);
+        }
+        if (video.streamDir) {
+          await fs.remove(video.streamDir);
+        }
+      }
+    } catch (error) {
+      console.warn('Cleanup error:', error.message);
+    }
+  }
+}
+
+module.exports = VideoPipeline;
@@ -2,6 +2,30 @@ const ffmpeg = require('fluent-ffmpeg');
 const ffmpegStatic = require('ffmpeg-static');
 const fs = require('fs-extra');
 const path = require('path');
+const StreamPackager = require('./StreamPackager');
+const VideoSplitter = require('./VideoSplitter');
+const ThumbnailGenerator = require('./ThumbnailGenerator');
+const PreviewGenerator = require('./PreviewGenerator');
+const AudioProcessor = require('./AudioProcessor');
+const SubtitleProcessor = require('./SubtitleProcessor');
+const OverlayProcessor = require('./OverlayProcessor');
+const VideoEditor = require('./VideoEditor');
+const PresetManager = require('./PresetManager');
+const MediaValidator = require('./MediaValidator');
+const ComplianceChecker = require('./ComplianceChecker');
+const QualityAnalyzer = require('./QualityAnalyzer');
+const { ProcessingError, ERROR_CODES } = require('./errors');
+const { getDisplaySize, computeScaling } = require('../utils/scaling');
+const { getVideoEncoder, getVideoCodecOptions } = require('../utils/codecs');
+const { NULL_OUTPUT } = require('../utils/scenes');
+
+// Share of the size cap a target-size encode aims for
+const TARGET_SIZE_HEADROOM = 0.96;
+
+// Re-encodes after a failed quality check lower the CRF by this much, or raise bitrates by
+// this factor
+const QUALITY_CRF_STEP = 4;
+const QUALITY_BITRATE_FACTOR = 1.5;
 
 // Set ffmpeg path
 ffmpeg.setFfmpegPath(ffmpegStatic);
@@ -10,153 +34,806 @@ class VideoProcessor {
   constructor() {
     this.maxVideoSizeMB = parseInt(process.env.MAX_VIDEO_SIZE_MB) || 98;
     this.frameCaptureTime = parseInt(process.env.FRAME_CAPTURE_TIME) || 2;
-    this.presetPath = process.env.VIDEO_PRESET_PATH || './video-preset.json';
-    this.preset = this.loadPreset();
+    this.minTargetBitrate = parseInt(process.env.MIN_TARGET_BITRATE) || 800;
+    this.mediaValidator = new MediaValidator();
+    this.complianceChecker = new ComplianceChecker({ maxVideoSizeMB: this.maxVideoSizeMB });
+    this.presetManager = new PresetManager();
+    // Fails fast with a PresetValidationError if the default preset is broken
+    this.preset = this.presetManager.getDefaultPreset();
   }
 
-  loadPreset() {
-    try {
-      const presetData = fs.readFileSync(this.presetPath, 'utf8');
-      return JSON.parse(presetData);
-    } catch (error) {
-      console.warn('Failed to load video preset, using defaults');
-      return {
-        videoCodec: 'h264',
-        audioCodec: 'aac',
-        resolution: '1920x1080',
-        bitrate: 974,
-        fps: 29.97,
-        audioChannels: 2,
-        audioSampleRate: 48000
-      };
-    }
-  }
+  async processVideo(inputPath, originalFileName, options = {}) {
+    const onStep = options.onStep || (() => {});
+    const onProgress = options.onProgress || (() => {});
+    const preset = options.preset || this.preset;
+    const tempDir = this.getTempDir(options);
+    let editedPath = null;
 
-  async processVideo(inputPath, originalFileName) {
     try {
-      console.log(`Processing video: ${originalFileName}`);
+      console.log(`Processing video: ${originalFileName} (preset ${preset.name})`);
       
-      // Step 1: Analyze video
-      const videoInfo = await this.analyzeVideo(inputPath);
+      // Step 1: Analyze and validate the input before anything is encoded
+      onStep('analyzing');
+      const validation = {
+        requireVideo: Boolean(preset.video),
+        requireAudio: !preset.video
+      };
+      let videoInfo = await this.mediaValidator.validate(inputPath, validation);
       console.log('Video analysis completed:', videoInfo);
 
-      // Step 2: Capture frame at specified time
-      const thumbnailPath = await this.captureFrame(inputPath, originalFileName);
-      console.log('Frame captured:', thumbnailPath);
+      // Embedded and sidecar subtitles as WebVTT, taken from the source before it is edited
+      const subtitleProcessor = new SubtitleProcessor(preset.subtitles);
+      const subtitles = preset.video
+        ? await subtitleProcessor.extract(inputPath, tempDir, path.parse(originalFileName).name,
+          videoInfo, options.subtitleFiles || [])
+        : [];
+
+      // Editing directives (trim, keep ranges, intro/outro): every later step works on the
+      // edited file, and the subtitles follow the new timeline
+      const editor = this.createEditor(options.edits);
+      if (editor) {
+        onStep('editing');
+        const edited = await this.applyEdits(inputPath, originalFileName, {
+          preset,
+          videoInfo,
+          editor,
+          clipPaths: options.editClips,
+          tempDir
+        });
+        editedPath = edited.path;
+        inputPath = edited.path;
+        await subtitleProcessor.retime(subtitles, edited.timeline);
+        videoInfo = await this.mediaValidator.validate(inputPath, validation);
+        console.log(`Edited video: ${edited.duration.toFixed(2)}s`);
+      }
+
+      // Step 2: Poster candidates and the seek-preview sprite sheet
+      const thumbnails = preset.video
+        ? await this.createThumbnails(inputPath, originalFileName, { preset, videoInfo, tempDir })
+        : [];
+
+      // Optional looping teaser (MP4/WebP/GIF), starting at the chosen poster frame by default
+      if (preset.video && this.isPreviewEnabled(preset)) {
+        const poster = thumbnails.find(item => item.type === 'thumbnail');
+        thumbnails.push(...await this.createPreview(inputPath, originalFileName, {
+          preset,
+          videoInfo,
+          posterTime: poster?.metadata?.time,
+          tempDir
+        }));
+      }
+
+      // Kept audio tracks, loudness measurements and silent-track decision, shared by all outputs
+      const audioPlan = await this.planAudio(inputPath, preset, videoInfo);
+
+      // One of the subtitle tracks may be burned into the picture
+      const burnInTrack = subtitleProcessor.selectBurnInTrack(subtitles);
+      const burnInFilter = burnInTrack ? subtitleProcessor.getBurnInFilter(burnInTrack) : null;
+      if (burnInTrack) {
+        burnInTrack.metadata.burnedIn = true;
+        console.log(`Burning in ${burnInTrack.metadata.language} subtitles`);
+      }
+
+      // Watermark and text overlays; a Drive watermark has been downloaded by the pipeline
+      const overlay = preset.video ? this.createOverlay(preset, originalFileName, options.watermarkPath) : null;
+      if (overlay) {
+        await overlay.checkAssets();
+      }
 
       // Step 3: Process video with preset
-      const processedPath = await this.compressVideo(inputPath, originalFileName);
-      console.log('Video compressed:', processedPath);
-
-      // Step 4: Check size and split if needed
-      const processedVideos = await this.checkAndSplitVideo(processedPath, originalFileName);
-      console.log('Video processing completed:', processedVideos.length, 'parts');
-
-      // Add thumbnail to results
-      processedVideos.push({
-        path: thumbnailPath,
-        name: `${path.parse(originalFileName).name}_thumbnail.jpg`,
-        type: 'thumbnail',
-        size: await this.getFileSize(thumbnailPath)
-      });
+      // outputMode: 'file' (single file, split into parts), 'adaptive' (HLS/DASH ladder) or 'both'
+      const outputMode = process.env.OUTPUT_MODE || preset.outputMode || 'file';
+      const processedVideos = [];
+
+      const encodeOptions = {
+        videoInfo,
+        audioPlan,
+        burnInFilter,
+        overlay,
+        subtitles,
+        subtitleProcessor,
+        onStep,
+        onProgress,
+        tempDir
+      };
+
+      if (outputMode !== 'adaptive' || !preset.video) {
+        const outputs = await this.encodeFile(inputPath, originalFileName, { ...encodeOptions, preset });
+        processedVideos.push(...outputs);
+        console.log('Video processing completed:', outputs.filter(item => ['video', 'audio'].includes(item.type)).length, 'parts');
+
+        // Codec variants of the file output (e.g. AV1 WebM next to H.264 MP4), from the same source
+        for (const variant of this.presetManager.getVariants(preset)) {
+          const variantName = `${path.parse(originalFileName).name}_${variant.variant}${path.extname(originalFileName)}`;
+          console.log(`Encoding variant ${variant.variant}: ${variant.video.codec} in ${variant.container}`);
+          const variantOutputs = await this.encodeFile(inputPath, variantName, { ...encodeOptions, preset: variant });
+          // The full-length subtitle tracks are already part of the main output
+          processedVideos.push(...variantOutputs.filter(item => !subtitles.includes(item)));
+        }
+      } else {
+        processedVideos.push(...subtitles);
+      }
+
+      if (preset.video && (outputMode === 'adaptive' || outputMode === 'both')) {
+        onStep('compressing');
+        const streamFiles = await this.createAdaptiveStream(inputPath, originalFileName, {
+          preset,
+          videoInfo,
+          audioPlan,
+          burnInFilter,
+          overlay,
+          onProgress,
+          tempDir
+        });
+        processedVideos.push(...streamFiles);
+        console.log('Adaptive stream created:', streamFiles.length, 'files');
+      }
+
+      // Optional audio-only copy (M4A/MP3) uploaded alongside the video
+      if (preset.video && preset.audio?.extract) {
+        processedVideos.push(...await this.extractAudio(inputPath, originalFileName, { preset, audioPlan, tempDir }));
+      }
+
+      // Add posters, sprite sheet, thumbnail track and previews to results
+      processedVideos.push(...thumbnails);
 
       return processedVideos;
     } catch (error) {
       console.error('Video processing error:', error);
+      if (error instanceof ProcessingError) {
+        throw error;
+      }
       throw new Error(`Failed to process video: ${error.message}`);
+    } finally {
+      // The edited intermediate is only an input; the outputs have been written by now
+      if (editedPath) {
+        await fs.remove(editedPath);
+      }
     }
   }
 
-  async analyzeVideo(inputPath) {
-    return new Promise((resolve, reject) => {
-      ffmpeg.ffprobe(inputPath, (err, metadata) => {
-        if (err) {
-          reject(new Error(`Failed to analyze video: ${err.message}`));
-          return;
+  // One file output: compress, split above the size cap and re-time subtitles to the parts.
+  // Items come in upload order: subtitle tracks before the part manifest that lists them.
+  async encodeFile(inputPath, originalFileName, options = {}) {
+    const { preset, videoInfo = null, subtitles = [], subtitleProcessor = null, onStep = () => {} } = options;
+
+    // A source that already matches the preset is copied into the output container
+    const reasons = this.complianceChecker.check(preset, videoInfo, options);
+    const remux = reasons.length === 0;
+    if (!remux) {
+      console.log(`Transcoding: ${reasons.join('; ')}`);
+    }
+
+    onStep('compressing');
+    const { outputPath: processedPath, quality } = remux
+      ? { outputPath: await this.remuxVideo(inputPath, originalFileName, options), quality: null }
+      : await this.compressWithQualityCheck(inputPath, originalFileName, options);
+    console.log(remux ? 'Video remuxed:' : 'Video compressed:', processedPath);
+
+    // Step 4: Check size and split if needed
+    onStep('splitting');
+    const outputs = await this.checkAndSplitVideo(processedPath, originalFileName, {
+      type: preset.video ? 'video' : 'audio',
+      split: preset.split,
+      tempDir: options.tempDir
+    });
+
+    // Players pick among codec variants by these
+    if (preset.video) {
+      const codec = { codec: getVideoEncoder(preset.video.codec).family, container: preset.container };
+      outputs.forEach(item => {
+        if (item.type === 'video') {
+          item.metadata = {
+            ...item.metadata,
+            ...codec,
+            ...(preset.variant ? { variant: preset.variant } : {}),
+            ...(remux ? { remuxed: true } : {}),
+            ...(quality ? { quality } : {})
+          };
+        } else if (item.type === 'manifest' && preset.variant) {
+          item.metadata = { ...item.metadata, variant: preset.variant };
         }
+      });
+    }
 
-        const videoStream = metadata.streams.find(stream => stream.codec_type === 'video');
-        const audioStream = metadata.streams.find(stream => stream.codec_type === 'audio');
-
-        resolve({
-          duration: metadata.format.duration,
-          size: metadata.format.size,
-          bitrate: metadata.format.bit_rate,
-          videoCodec: videoStream?.codec_name,
-          audioCodec: audioStream?.codec_name,
-          resolution: `${videoStream?.width}x${videoStream?.height}`,
-          fps: eval(videoStream?.r_frame_rate || '0'),
-          audioChannels: audioStream?.channels,
-          audioSampleRate: audioStream?.sample_rate
-        });
+    // Split outputs get subtitle tracks re-timed to each part, listed in the part manifest
+    const manifest = outputs.find(item => item.type === 'manifest');
+    const subtitleItems = [...subtitles];
+    if (manifest && subtitles.length > 0) {
+      const parts = outputs.filter(item => item.part !== undefined);
+      subtitleItems.push(...await subtitleProcessor.splitForParts(subtitles, parts, manifest));
+    }
+    // Tracks are uploaded before the manifest so their URLs can be filled in
+    outputs.splice(manifest ? outputs.indexOf(manifest) : outputs.length, 0, ...subtitleItems);
+    return outputs;
+  }
+
+  async analyzeVideo(inputPath) {
+    return this.mediaValidator.describe(await this.mediaValidator.probe(inputPath));
+  }
+
+  async createThumbnails(inputPath, originalFileName, options = {}) {
+    const { preset = this.preset, videoInfo = null } = options;
+    const generator = new ThumbnailGenerator({
+      captureTime: this.frameCaptureTime,
+      ...preset.thumbnails
+    });
+
+    return generator.generate(inputPath, this.getTempDir(options), path.parse(originalFileName).name, videoInfo);
+  }
+
+  async planAudio(inputPath, preset, videoInfo) {
+    if (!preset.audio) {
+      return null;
+    }
+    return new AudioProcessor(preset.audio).plan(inputPath, videoInfo);
+  }
+
+  // null without directives; throws an EditValidationError (400) for invalid ones
+  createEditor(edits) {
+    if (!edits) {
+      return null;
+    }
+    const editor = new VideoEditor(edits);
+    return editor.isEnabled() ? editor : null;
+  }
+
+  // Renders the edited intermediate. Intro/outro clips are the files the pipeline downloaded
+  // from the source storage (`clipPaths`).
+  async applyEdits(inputPath, originalFileName, { preset, videoInfo, editor, clipPaths = {}, tempDir = null }) {
+    if (preset.audio?.codec === 'copy' && videoInfo.audioTracks?.length > 0) {
+      throw new ProcessingError(ERROR_CODES.INVALID_EDIT, `Preset ${preset.name} copies audio, which cannot be edited`,
+        { preset: preset.name });
+    }
+
+    const clips = {};
+    for (const name of ['intro', 'outro']) {
+      if (!editor[name]) {
+        continue;
+      }
+      const clipPath = clipPaths[name];
+      if (!clipPath || !await fs.pathExists(clipPath)) {
+        throw new Error(`${name} clip not found: ${editor[name].driveFileId}`);
+      }
+      clips[name] = {
+        path: clipPath,
+        info: await this.mediaValidator.validate(clipPath, { requireVideo: Boolean(preset.video) })
+      };
+    }
+
+    const audioTracks = preset.audio ? new AudioProcessor(preset.audio).selectTracks(videoInfo.audioTracks || []) : [];
+    const outputPath = path.join(this.getTempDir({ tempDir }), `${path.parse(originalFileName).name}_edited.mkv`);
+    return editor.render(inputPath, outputPath, {
+      videoInfo,
+      audioTracks,
+      includeVideo: Boolean(preset.video),
+      clips
+    });
+  }
+
+  // Whether the pipeline should fetch .srt/.vtt files stored next to the source in Drive
+  usesSidecarSubtitles(preset) {
+    const subtitleProcessor = new SubtitleProcessor(preset.subtitles);
+    return Boolean(preset.video) && subtitleProcessor.enabled && subtitleProcessor.sidecar;
+  }
+
+  // null when the preset has no overlay
+  createOverlay(preset, originalFileName, watermarkPath = null) {
+    const overlay = new OverlayProcessor(preset.overlay, {
+      fileName: originalFileName,
+      presetName: preset.name,
+      watermarkPath: watermarkPath
+    });
+    return overlay.isEnabled() ? overlay : null;
+  }
+
+  isPreviewEnabled(preset) {
+    return preset.preview?.enabled ?? process.env.PREVIEW_ENABLED === 'true';
+  }
+
+  async createPreview(inputPath, originalFileName, options = {}) {
+    const { preset = this.preset, videoInfo = null, posterTime = null } = options;
+    const { enabled, ...previewOptions } = preset.preview || {};
+    const generator = new PreviewGenerator(previewOptions);
+
+    return generator.generate(inputPath, this.getTempDir(options), path.parse(originalFileName).name, videoInfo, {
+      posterTime
+    });
+  }
+
+  // Working directory for intermediates and outputs. The pipeline gives every job its own
+  // (`tempDir`), so jobs for files with the same name never share file names.
+  getTempDir(options = {}) {
+    return options.tempDir || process.env.TEMP_DIR || 'temp';
+  }
+
+  getOutputPath(preset, originalFileName, tempDir = null) {
+    const suffix = preset.video ? 'processed' : 'audio';
+    return path.join(this.getTempDir({ tempDir }), `${path.parse(originalFileName).name}_${suffix}.${preset.container}`);
+  }
+
+  // Stream copy of the kept video and audio tracks into the preset's container
+  async remuxVideo(inputPath, originalFileName, options = {}) {
+    const { preset = this.preset, videoInfo, audioPlan = null, onProgress = () => {} } = options;
+    const outputPath = this.getOutputPath(preset, originalFileName, options.tempDir);
+    await fs.ensureDir(path.dirname(outputPath));
+
+    const outputOptions = [];
+    if (preset.video) {
+      outputOptions.push('-map', `0:${videoInfo.videoStreamIndex}`, '-c:v', 'copy');
+      const encoder = getVideoEncoder(preset.video.codec);
+      if (encoder.tag && ['mp4', 'mov'].includes(preset.container)) {
+        outputOptions.push('-tag:v', encoder.tag);
+      }
+    } else {
+      outputOptions.push('-vn');
+    }
+    if (preset.audio && audioPlan?.tracks.length > 0) {
+      outputOptions.push(...new AudioProcessor(preset.audio).buildOutputOptions(audioPlan), '-c:a', 'copy');
+    } else {
+      outputOptions.push('-an');
+    }
+    outputOptions.push('-sn', '-dn');
+    if (['mp4', 'mov', 'm4a'].includes(preset.container)) {
+      outputOptions.push('-movflags', '+faststart');
+    }
+
+    await this.runEncode(inputPath, outputPath, outputOptions, { onProgress });
+    return outputPath;
+  }
+
+  isQualityEnabled(preset) {
+    return Boolean(preset.video) && (preset.quality?.enabled ?? process.env.QUALITY_METRICS_ENABLED === 'true');
+  }
+
+  // Compresses, then scores the encode against its input with the preset's quality metrics.
+  // Scores below the thresholds are kept ('warn'), fail the job ('fail') or re-encode at a
+  // higher quality up to maxReencodes times ('reencode'). Returns { outputPath, quality }.
+  async compressWithQualityCheck(inputPath, originalFileName, options = {}) {
+    const { preset = this.preset, videoInfo = null } = options;
+    if (!this.isQualityEnabled(preset)) {
+      return { outputPath: await this.compressVideo(inputPath, originalFileName, options), quality: null };
+    }
+
+    const { enabled, ...qualityOptions } = preset.quality || {};
+    const analyzer = new QualityAnalyzer(qualityOptions);
+    let attemptPreset = preset;
+
+    for (let attempt = 1; ; attempt++) {
+      const outputPath = await this.compressVideo(inputPath, originalFileName, { ...options, preset: attemptPreset });
+      const scores = await this.measureQuality(analyzer, outputPath, inputPath, {
+        preset: attemptPreset,
+        videoInfo,
+        burnInFilter: options.burnInFilter
       });
+      const failures = analyzer.check(scores);
+      const quality = { ...scores, passed: failures.length === 0, attempts: attempt };
+      console.log('Quality:', Object.entries(scores).map(([metric, score]) => `${metric} ${score ?? 'unknown'}`).join(', '));
+
+      if (quality.passed) {
+        return { outputPath, quality };
+      }
+
+      const summary = failures.map(({ metric, score, min }) => `${metric} ${score ?? 'unknown'} < ${min}`).join(', ');
+      if (analyzer.onFailure === 'fail') {
+        await fs.remove(outputPath);
+        throw new ProcessingError(ERROR_CODES.QUALITY_TOO_LOW, `Encode quality is below target: ${summary}`, {
+          scores,
+          failures
+        });
+      }
+      if (analyzer.onFailure !== 'reencode' || attempt > analyzer.maxReencodes) {
+        console.warn(`Encode quality is below target (${summary}); keeping the output`);
+        return { outputPath, quality };
+      }
+
+      attemptPreset = this.raiseQuality(attemptPreset, videoInfo);
+      const { crf, bitrate, rateControl } = attemptPreset.video;
+      console.log(`Encode quality is below target (${summary}); re-encoding at ${rateControl === 'bitrate' ? `${bitrate}k` : `crf ${crf}`}`);
+    }
+  }
+
+  // The reference goes through the encode's scaling, frame rate and burned-in subtitles so it
+  // lines up with the output frame for frame. Overlays are not drawn on it.
+  async measureQuality(analyzer, outputPath, inputPath, { preset, videoInfo, burnInFilter = null }) {
+    const output = getDisplaySize(await this.analyzeVideo(outputPath));
+    const referenceFilters = [
+      ...computeScaling(getDisplaySize(videoInfo), preset.video).filters,
+      ...(burnInFilter ? [burnInFilter] : []),
+      ...(preset.video.fps ? [`fps=${preset.video.fps}`] : [])
+    ];
+
+    return analyzer.measure(outputPath, inputPath, {
+      referenceStream: videoInfo?.videoStreamIndex !== undefined ? String(videoInfo.videoStreamIndex) : 'v:0',
+      referenceFilters,
+      width: output?.width,
+      height: output?.height
     });
   }
 
-  async captureFrame(inputPath, originalFileName) {
-    const outputDir = process.env.TEMP_DIR || 'temp';
-    const thumbnailName = `${path.parse(originalFileName).name}_thumbnail.jpg`;
-    const thumbnailPath = path.join(outputDir, thumbnailName);
+  // Preset for a re-encode after a failed quality check: a lower CRF, or for bitrate and
+  // target-size encodes a higher bitrate (target-size then runs at that bitrate, so the
+  // output may be split into more parts)
+  raiseQuality(preset, videoInfo) {
+    const { video } = preset;
+    const raised = { ...video };
+    const raise = value => Math.round(value * QUALITY_BITRATE_FACTOR);
+
+    if (video.maxBitrate) {
+      raised.maxBitrate = raise(video.maxBitrate);
+      raised.bufferSize = raise(video.bufferSize);
+    }
 
-    await fs.ensureDir(outputDir);
+    const targetBitrate = video.rateControl === 'target-size' ? this.getTargetBitrate(preset, videoInfo) : null;
+    if (video.rateControl === 'bitrate' || targetBitrate) {
+      raised.rateControl = 'bitrate';
+      raised.bitrate = raise(targetBitrate || video.bitrate);
+    } else {
+      raised.crf = Math.max(0, (video.crf ?? getVideoEncoder(video.codec).crf) - QUALITY_CRF_STEP);
+    }
+    return { ...preset, video: raised };
+  }
 
-    return new Promise((resolve, reject) => {
-      ffmpeg(inputPath)
-        .screenshots({
-          timestamps: [this.frameCaptureTime],
-          filename: thumbnailName,
-          folder: outputDir,
-          size: '1280x720'
-        })
-        .on('end', () => {
-          console.log(`Frame captured at ${this.frameCaptureTime}s`);
-          resolve(thumbnailPath);
-        })
-        .on('error', (err) => {
-          reject(new Error(`Failed to capture frame: ${err.message}`));
+  async compressVideo(inputPath, originalFileName, options = {}) {
+    const { preset = this.preset, videoInfo = null, overlay = null, onProgress = () => {} } = options;
+    const audioPlan = options.audioPlan !== undefined ? options.audioPlan : await this.planAudio(inputPath, preset, videoInfo);
+    const outputPath = this.getOutputPath(preset, originalFileName, options.tempDir);
+
+    await fs.ensureDir(path.dirname(outputPath));
+
+    const videoFilters = this.buildVideoFilters(preset, videoInfo);
+    // Subtitles are rendered after scaling so their size follows the output resolution
+    if (options.burnInFilter) {
+      videoFilters.push(options.burnInFilter);
+    }
+
+    // Target-size encodes run two passes where the encoder supports it, else one at the target bitrate
+    let videoBitrate = null;
+    if (preset.video?.rateControl === 'target-size') {
+      videoBitrate = this.getTargetBitrate(preset, videoInfo);
+      if (videoBitrate && getVideoEncoder(preset.video.codec).twoPass) {
+        await this.encodeTwoPass(inputPath, outputPath, {
+          preset,
+          videoInfo,
+          audioPlan,
+          videoFilters,
+          overlay,
+          videoBitrate,
+          onProgress
         });
+        console.log('Video compression completed');
+        return outputPath;
+      }
+      if (!videoBitrate) {
+        console.warn('Unknown duration, falling back to CRF encoding');
+      }
+    }
+
+    const stage = this.buildVideoStage(preset, videoInfo, {
+      videoFilters,
+      overlay,
+      inputs: this.getExtraInputs(preset, audioPlan)
     });
+    await this.runEncode(inputPath, outputPath,
+      this.buildEncodingOptions(preset, videoInfo, { videoBitrate, audioPlan, videoOutput: stage.videoOutput }),
+      { ...stage, onProgress });
+    console.log('Video compression completed');
+    return outputPath;
   }
 
-  async compressVideo(inputPath, originalFileName) {
-    const outputDir = process.env.TEMP_DIR || 'temp';
-    const outputName = `${path.parse(originalFileName).name}_processed.mp4`;
-    const outputPath = path.join(outputDir, outputName);
+  // Video filters for an encode. Without an overlay they are a plain -vf chain; with one they
+  // become a filter graph whose watermark input comes after `inputs`, and the encode maps
+  // the graph's `videoOutput` label.
+  buildVideoStage(preset, videoInfo, { videoFilters = [], overlay = null, inputs = [] } = {}) {
+    if (!overlay) {
+      return { videoFilters, inputs };
+    }
 
-    await fs.ensureDir(outputDir);
+    const geometry = computeScaling(getDisplaySize(videoInfo), preset.video);
+    const graph = overlay.buildGraph(videoFilters, {
+      input: videoInfo?.videoStreamIndex !== undefined ? `0:${videoInfo.videoStreamIndex}` : '0:v:0',
+      watermarkInput: inputs.length + 1,
+      height: geometry.height || videoInfo?.displayHeight || 720
+    });
+    return {
+      complexFilter: graph.filters,
+      videoOutput: graph.output,
+      inputs: [...inputs, ...overlay.getInputs()]
+    };
+  }
 
+  // `inputs` are additional { source, options } inputs, e.g. the generated silent track
+  runEncode(inputPath, outputPath, outputOptions, options = {}) {
+    const { videoFilters = [], complexFilter = null, inputs = [], onProgress = () => {} } = options;
     return new Promise((resolve, reject) => {
-      const command = ffmpeg(inputPath)
-        .videoCodec(this.preset.videoCodec)
-        .audioCodec(this.preset.audioCodec)
-        .size(this.preset.resolution)
-        .videoBitrate(this.preset.bitrate)
-        .fps(this.preset.fps)
-        .audioChannels(this.preset.audioChannels)
-        .audioFrequency(this.preset.audioSampleRate)
-        .outputOptions([
-          '-preset', 'medium',
-          '-crf', '23',
-          '-movflags', '+faststart'
-        ])
+      const command = ffmpeg(inputPath);
+      for (const input of inputs) {
+        command.input(input.source).inputOptions(input.options);
+      }
+      command
+        .outputOptions(outputOptions)
         .output(outputPath);
 
+      if (complexFilter) {
+        command.complexFilter(complexFilter);
+      } else if (videoFilters.length > 0) {
+        command.videoFilters(videoFilters);
+      }
+
       command
-        .on('end', () => {
-          console.log('Video compression completed');
-          resolve(outputPath);
-        })
+        .on('end', () => resolve(outputPath))
         .on('error', (err) => {
           reject(new Error(`Failed to compress video: ${err.message}`));
         })
         .on('progress', (progress) => {
           console.log(`Processing: ${progress.percent}% done`);
+          onProgress(progress.percent);
         })
         .run();
     });
   }
 
-  async checkAndSplitVideo(videoPath, originalFileName) {
+  // Video bitrate (kbps) that makes the whole file fit in the size cap, clamped to
+  // [minBitrate, maxBitrate]. Below minBitrate quality would suffer, so the encode
+  // runs at minBitrate and the result is split into parts instead.
+  getTargetBitrate(preset, videoInfo) {
+    const duration = parseFloat(videoInfo?.duration);
+    if (!duration || duration <= 0) {
+      return null;
+    }
+
+    const { video, audio } = preset;
+    const targetSizeMB = video.targetSizeMB || this.maxVideoSizeMB;
+    const minBitrate = video.minBitrate || this.minTargetBitrate;
+    const audioBitrate = audio ? (audio.codec === 'copy' ? 192 : audio.bitrate) : 0;
+
+    // Leave room for container overhead and encoder overshoot
+    const totalKbps = (targetSizeMB * 1024 * 1024 * 8 * TARGET_SIZE_HEADROOM) / 1000 / duration;
+    let videoBitrate = Math.floor(totalKbps - audioBitrate);
+
+    if (video.maxBitrate && videoBitrate > video.maxBitrate) {
+      videoBitrate = video.maxBitrate;
+    }
+    if (videoBitrate < minBitrate) {
+      console.log(`Target bitrate ${videoBitrate}k is below the ${minBitrate}k minimum; output will be split`);
+      videoBitrate = minBitrate;
+    }
+
+    console.log(`Target size ${targetSizeMB}MB over ${duration.toFixed(1)}s: video bitrate ${videoBitrate}k`);
+    return videoBitrate;
+  }
+
+  async encodeTwoPass(inputPath, outputPath, options) {
+    const { preset, videoInfo, audioPlan, videoFilters, overlay, videoBitrate, onProgress } = options;
+    const passLogFile = path.join(path.dirname(outputPath), `${path.parse(outputPath).name}_passlog`);
+
+    try {
+      // Pass 1 only gathers statistics; its output is discarded
+      const firstStage = this.buildVideoStage(preset, videoInfo, { videoFilters, overlay });
+      const firstPassOptions = this.buildEncodingOptions(preset, videoInfo, {
+        videoBitrate,
+        pass: 1,
+        passLogFile,
+        videoOutput: firstStage.videoOutput
+      });
+      await this.runEncode(inputPath, NULL_OUTPUT, [...firstPassOptions, '-f', 'null'], {
+        ...firstStage,
+        onProgress: percent => onProgress((percent || 0) / 2)
+      });
+
+      const secondStage = this.buildVideoStage(preset, videoInfo, {
+        videoFilters,
+        overlay,
+        inputs: this.getExtraInputs(preset, audioPlan)
+      });
+      await this.runEncode(inputPath, outputPath, this.buildEncodingOptions(preset, videoInfo, {
+        videoBitrate,
+        pass: 2,
+        passLogFile,
+        audioPlan,
+        videoOutput: secondStage.videoOutput
+      }), {
+        ...secondStage,
+        onProgress: percent => onProgress(50 + (percent || 0) / 2)
+      });
+    } finally {
+      await this.removePassLogs(passLogFile);
+    }
+  }
+
+  async removePassLogs(passLogFile) {
+    const dir = path.dirname(passLogFile);
+    const prefix = path.basename(passLogFile);
+    for (const file of await fs.readdir(dir)) {
+      if (file.startsWith(prefix)) {
+        await fs.remove(path.join(dir, file));
+      }
+    }
+  }
+
+  getExtraInputs(preset, audioPlan) {
+    return audioPlan?.silent ? [new AudioProcessor(preset.audio).getSilentInput()] : [];
+  }
+
+  // `encoding` carries per-run settings: { videoBitrate, pass, passLogFile } for two-pass
+  // encodes, the job's `audioPlan` (kept tracks, loudness filters, silent track) and the
+  // filter graph's `videoOutput` label when there is an overlay
+  buildEncodingOptions(preset, videoInfo, encoding = {}) {
+    const { video, audio } = preset;
+    const { audioPlan } = encoding;
+    const options = [];
+
+    // Explicit stream selection so cover art is never picked as the video stream
+    const mapVideo = Boolean(video) && (Boolean(encoding.videoOutput) || videoInfo?.videoStreamIndex !== undefined);
+    if (mapVideo) {
+      options.push('-map', encoding.videoOutput ? `[${encoding.videoOutput}]` : `0:${videoInfo.videoStreamIndex}`);
+    }
+
+    if (video) {
+      const encoder = getVideoEncoder(video.codec);
+      // Encoder, speed and rate control, with the codec's own CRF and speed defaults
+      options.push(...getVideoCodecOptions(video, encoding.videoBitrate));
+      if (video.maxBitrate) {
+        options.push('-maxrate', `${video.maxBitrate}k`, '-bufsize', `${video.bufferSize}k`);
+      }
+      if (encoding.pass) {
+        options.push(...this.getPassOptions(encoder.name, encoding.pass, encoding.passLogFile));
+      }
+
+      if (video.fps) {
+        options.push('-r', String(video.fps));
+      }
+      if (video.profile) {
+        options.push('-profile:v', video.profile);
+      }
+      if (video.pixelFormat) {
+        options.push('-pix_fmt', video.pixelFormat);
+      }
+      if (encoder.tag && ['mp4', 'mov'].includes(preset.container)) {
+        options.push('-tag:v', encoder.tag);
+      }
+      options.push(...video.extraOptions);
+    } else {
+      options.push('-vn');
+    }
+
+    if (audio && encoding.pass !== 1) {
+      if (audioPlan) {
+        options.push(...new AudioProcessor(audio).buildOutputOptions(audioPlan));
+      } else if (mapVideo) {
+        options.push('-map', '0:a:0?');
+      }
+
+      if (!audioPlan || audioPlan.silent || audioPlan.tracks.length > 0) {
+        options.push('-c:a', audio.codec);
+        if (audio.codec !== 'copy') {
+          options.push('-ac', String(audio.channels), '-ar', String(audio.sampleRate), '-b:a', `${audio.bitrate}k`);
+        }
+      }
+    } else {
+      options.push('-an');
+    }
+
+    if (encoding.pass !== 1 && ['mp4', 'mov', 'm4a'].includes(preset.container)) {
+      options.push('-movflags', '+faststart');
+    }
+
+    return options;
+  }
+
+  // libx265 takes its two-pass settings through -x265-params; the other encoders use -pass
+  getPassOptions(encoderName, pass, passLogFile) {
+    if (encoderName === 'libx265') {
+      return ['-x265-params', `pass=${pass}:stats=${passLogFile}.log`];
+    }
+    return ['-pass', String(pass), '-passlogfile', passLogFile];
+  }
+
+  buildVideoFilters(preset, videoInfo) {
+    if (!preset.video) {
+      return [];
+    }
+
+    const geometry = computeScaling(getDisplaySize(videoInfo), preset.video);
+    if (geometry.width) {
+      console.log(`Output size: ${geometry.width}x${geometry.height} (${preset.video.scaling})`);
+    }
+    return geometry.filters;
+  }
+
+  async createAdaptiveStream(inputPath, originalFileName, options = {}) {
+    const { preset = this.preset, videoInfo, audioPlan = null, burnInFilter = null, overlay = null } = options;
+    const onProgress = options.onProgress || (() => {});
+    const outputDir = path.join(this.getTempDir(options), `${path.parse(originalFileName).name}_stream`);
+
+    // Overlays are drawn on the source before the ladder is scaled, so they keep their
+    // relative size in every rendition
+    const sourceGraph = overlay
+      ? overlay.buildGraph(burnInFilter ? [burnInFilter] : [], {
+        input: videoInfo?.videoStreamIndex !== undefined ? `0:${videoInfo.videoStreamIndex}` : '0:v:0',
+        watermarkInput: 1,
+        height: videoInfo?.displayHeight || 720
+      })
+      : null;
+
+    // Renditions carry a single audio track: the first one the audio plan keeps
+    const encoder = getVideoEncoder(preset.video.codec);
+    const packager = new StreamPackager({
+      ...preset.adaptive,
+      videoCodec: encoder.name,
+      audioCodec: preset.audio?.codec === 'copy' ? 'aac' : preset.audio?.codec,
+      audioStream: audioPlan?.tracks[0]?.index,
+      audioFilter: audioPlan?.filters[0],
+      burnInFilter: sourceGraph ? null : burnInFilter,
+      sourceGraph: sourceGraph,
+      inputs: overlay ? overlay.getInputs() : [],
+      encoderPreset: preset.video.encoderPreset || encoder.encoderPreset
+    });
+
+    const result = await packager.package(inputPath, outputDir, videoInfo, onProgress);
+
+    return result.files.map(file => {
+      let playlist;
+      if (file.relativePath === result.masterPlaylist) {
+        playlist = 'hls';
+      } else if (file.relativePath === result.dashManifest) {
+        playlist = 'dash';
+      }
+
+      return {
+        path: file.path,
+        name: path.basename(file.relativePath),
+        relativePath: file.relativePath,
+        type: 'stream',
+        playlist: playlist,
+        streamDir: outputDir,
+        size: file.size
+      };
+    });
+  }
+
+  // Audio-only copy of the first kept track, normalized like the video's audio. Split
+  // like any other output if it is over the size cap.
+  async extractAudio(inputPath, originalFileName, options = {}) {
+    const { preset = this.preset, audioPlan = null } = options;
+    const track = audioPlan?.tracks[0];
+    if (!track) {
+      console.warn('Source has no audio, skipping audio extraction');
+      return [];
+    }
+
+    const { format, bitrate } = preset.audio.extract;
+    const outputDir = this.getTempDir(options);
+    const outputName = `${path.parse(originalFileName).name}_audio.${format}`;
+    const outputPath = path.join(outputDir, outputName);
+    await fs.ensureDir(outputDir);
+
+    const outputOptions = [
+      '-map', `0:${track.index}`,
+      '-vn',
+      '-c:a', format === 'mp3' ? 'libmp3lame' : 'aac',
+      '-ac', String(preset.audio.channels),
+      '-ar', String(preset.audio.sampleRate),
+      '-b:a', `${bitrate || preset.audio.bitrate}k`
+    ];
+    if (audioPlan.filters[0]) {
+      outputOptions.push('-filter:a', audioPlan.filters[0]);
+    }
+    if (format === 'm4a') {
+      outputOptions.push('-movflags', '+faststart');
+    }
+
+    await this.runEncode(inputPath, outputPath, outputOptions);
+    console.log(`Audio extracted: ${outputName} (${track.language})`);
+
+    const items = await this.checkAndSplitVideo(outputPath, outputName, { type: 'audio', tempDir: options.tempDir });
+    return items.map(item => (item.type === 'audio'
+      ? { ...item, metadata: { extracted: true, format: format, language: track.language } }
+      : item));
+  }
+
+  async checkAndSplitVideo(videoPath, originalFileName, options = {}) {
+    const { type = 'video', split = {}, tempDir = null } = options;
     const fileSize = await this.getFileSize(videoPath);
     const fileSizeMB = fileSize / (1024 * 1024);
 
@@ -167,50 +844,32 @@ class VideoProcessor {
       return [{
         path: videoPath,
         name: path.basename(videoPath),
-        type: 'video',
+        type: type,
         size: fileSize
       }];
     }
 
     // Split video into parts
     console.log(`Video exceeds ${this.maxVideoSizeMB}MB, splitting into parts...`);
-    return await this.splitVideo(videoPath, originalFileName);
+    return await this.splitVideo(videoPath, originalFileName, { type, split, tempDir });
   }
 
-  async splitVideo(videoPath, originalFileName) {
+  // Parts start on keyframes and are cut by byte size; the last item is the part manifest
+  async splitVideo(videoPath, originalFileName, options = {}) {
+    const { type = 'video', split = {} } = options;
     const videoInfo = await this.analyzeVideo(videoPath);
-    const duration = parseFloat(videoInfo.duration);
-    const fileSize = await this.getFileSize(videoPath);
-    const fileSizeMB = fileSize / (1024 * 1024);
-    
-    // Calculate number of parts needed
-    const partsNeeded = Math.ceil(fileSizeMB / this.maxVideoSizeMB);
-    const durationPerPart = duration / partsNeeded;
-
-    console.log(`Splitting into ${partsNeeded} parts, ${durationPerPart.toFixed(2)}s each`);
-
-    const outputDir = process.env.TEMP_DIR || 'temp';
-    const baseName = path.parse(originalFileName).name;
-    const parts = [];
+    const splitter = new VideoSplitter({
+      ...split,
+      maxPartBytes: Math.floor(this.maxVideoSizeMB * 1024 * 1024)
+    });
 
-    for (let i = 0; i < partsNeeded; i++) {
-      const startTime = i * durationPerPart;
-      const endTime = (i + 1) * durationPerPart;
-      const partName = `${baseName}_part${i + 1}.mp4`;
-      const partPath = path.join(outputDir, partName);
-
-      await this.extractVideoSegment(videoPath, partPath, startTime, endTime);
-      
-      const partSize = await this.getFileSize(partPath);
-      parts.push({
-        path: partPath,
-        name: partName,
-        type: 'video',
-        size: partSize,
-        part: i + 1,
-        totalParts: partsNeeded
-      });
-    }
+    const parts = await splitter.split(
+      videoPath,
+      this.getTempDir(options),
+      path.parse(originalFileName).name,
+      { duration: videoInfo.duration, type }
+    );
+    console.log(`Split into ${parts.length - 1} parts`);
 
     // Remove original processed file
     await fs.remove(videoPath);
@@ -218,27 +877,6 @@ class VideoProcessor {
     return parts;
   }
 
-  async extractVideoSegment(inputPath, outputPath, startTime, endTime) {
-    return new Promise((resolve, reject) => {
-      ffmpeg(inputPath)
-        .setStartTime(startTime)
-        .setDuration(endTime - startTime)
-        .outputOptions([
-          '-c', 'copy',
-          '-avoid_negative_ts', 'make_zero'
-        ])
-        .output(outputPath)
-        .on('end', () => {
-          console.log(`Part extracted: ${path.basename(outputPath)}`);
-          resolve(outputPath);
-        })
-        .on('error', (err) => {
-          reject(new Error(`Failed to extract video segment: ${err.message}`));
-        })
-        .run();
-    });
-  }
-
   async getFileSize(filePath) {
     try {
       const stats = await fs.stat(filePath);
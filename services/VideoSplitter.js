@@ -0,0 +1,301 @@
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs-extra');
+const path = require('path');
+const readline = require('readline');
+const { spawn } = require('child_process');
+const { detectScenes } = require('../utils/scenes');
+
+// Share of the byte cap that packet payloads may fill; the rest is container overhead
+const PART_SIZE_HEADROOM = 0.97;
+const MAX_SHRINK_ATTEMPTS = 3;
+// A keyframe this close to a detected scene change counts as a scene cut
+const SCENE_TOLERANCE_SECONDS = 0.5;
+// Scene cuts are only preferred within the last part of a part's byte budget
+const SCENE_WINDOW = 0.3;
+
+// Splits a file into parts that each start on a keyframe and stay under `maxPartBytes`.
+// Cut points come from the packet list (keyframe times and packet sizes), so parts are
+// sized by bytes rather than duration; every part is measured after cutting and cut
+// shorter if it still ended up over the cap. Writes a manifest for stitching playback.
+class VideoSplitter {
+  constructor(options = {}) {
+    this.maxPartBytes = options.maxPartBytes;
+    this.overlapSeconds = options.overlapSeconds || 0;
+    this.sceneCuts = options.sceneCuts || false;
+    this.sceneThreshold = options.sceneThreshold || 0.3;
+    this.ffprobePath = process.env.FFPROBE_PATH || 'ffprobe';
+  }
+
+  async split(inputPath, outputDir, baseName, { duration, type = 'video' } = {}) {
+    const extension = path.extname(inputPath);
+    const { gops, streamType } = await this.probeGops(inputPath, duration);
+    if (gops.length === 0) {
+      throw new Error('No keyframes found; cannot split');
+    }
+
+    const scenes = this.sceneCuts && streamType === 'video' ? await detectScenes(inputPath, this.sceneThreshold) : [];
+    const parts = [];
+    let startIndex = 0;
+
+    while (startIndex < gops.length) {
+      const partNumber = parts.length + 1;
+      const partName = `${baseName}_part${partNumber}${extension}`;
+      const partPath = path.join(outputDir, partName);
+      let budget = this.maxPartBytes * PART_SIZE_HEADROOM;
+      let endIndex;
+      let size;
+
+      for (let attempt = 0; ; attempt++) {
+        endIndex = this.findPartEnd(gops, startIndex, budget, scenes);
+        await this.extractSegment(inputPath, partPath, gops[startIndex].start, this.getEndTime(gops, endIndex));
+        size = (await fs.stat(partPath)).size;
+
+        if (size <= this.maxPartBytes) {
+          break;
+        }
+        if (endIndex - startIndex <= 1 || attempt >= MAX_SHRINK_ATTEMPTS) {
+          throw new Error(
+            `Part ${partNumber} is ${size} bytes, over the ${this.maxPartBytes}-byte cap, and cannot be cut at an earlier keyframe`
+          );
+        }
+        console.log(`Part ${partNumber} came out at ${size} bytes, cutting earlier`);
+        budget = budget * (this.maxPartBytes / size) * PART_SIZE_HEADROOM;
+      }
+
+      if (!(await this.startsOnKeyframe(partPath, streamType))) {
+        throw new Error(`Part ${partNumber} does not start on a keyframe`);
+      }
+
+      const start = gops[startIndex].start;
+      const end = this.getEndTime(gops, endIndex);
+      const previous = parts[parts.length - 1];
+      parts.push({
+        path: partPath,
+        name: partName,
+        type: type,
+        size: size,
+        part: partNumber,
+        start: start,
+        end: end,
+        // Seconds into this part where playback continues after the previous part (overlap)
+        playFrom: previous ? Math.max(0, previous.end - start) : 0
+      });
+      console.log(`Part ${partNumber}: ${start.toFixed(3)}s-${end.toFixed(3)}s, ${size} bytes`);
+
+      startIndex = endIndex < gops.length ? this.findNextStart(gops, startIndex, endIndex) : gops.length;
+    }
+
+    parts.forEach(part => {
+      part.totalParts = parts.length;
+    });
+
+    const manifest = await this.writeManifest(parts, outputDir, baseName, duration);
+    return [...parts, manifest];
+  }
+
+  // Groups of pictures: { start, bytes } per keyframe interval, bytes over all streams
+  async probeGops(inputPath, duration) {
+    const packets = await this.probePackets(inputPath);
+    const streamType = packets.some(packet => packet.codecType === 'video') ? 'video' : 'audio';
+
+    const keyframes = [...new Set(packets
+      .filter(packet => packet.codecType === streamType && packet.keyframe)
+      .map(packet => packet.time))]
+      .sort((a, b) => a - b);
+
+    const gops = keyframes.map(start => ({ start: start, end: null, bytes: 0 }));
+    for (const packet of packets) {
+      gops[Math.max(0, this.findGopIndex(keyframes, packet.time))].bytes += packet.size;
+    }
+    const lastPacketTime = packets.reduce((max, packet) => Math.max(max, packet.time), 0);
+    gops.forEach((gop, i) => {
+      gop.end = i + 1 < gops.length ? gops[i + 1].start : parseFloat(duration) || lastPacketTime + 1;
+    });
+
+    return { gops, streamType };
+  }
+
+  probePackets(inputPath) {
+    return new Promise((resolve, reject) => {
+      const probe = spawn(this.ffprobePath, [
+        '-v', 'error',
+        '-show_entries', 'packet=codec_type,pts_time,dts_time,size,flags',
+        '-of', 'csv=p=0',
+        inputPath
+      ]);
+      const packets = [];
+      let stderr = '';
+
+      readline.createInterface({ input: probe.stdout }).on('line', (line) => {
+        const [codecType, ptsTime, dtsTime, size, flags] = line.split(',');
+        const time = parseFloat(ptsTime !== 'N/A' ? ptsTime : dtsTime);
+        if (Number.isFinite(time) && (codecType === 'video' || codecType === 'audio')) {
+          packets.push({ codecType, time, size: parseInt(size) || 0, keyframe: flags?.includes('K') });
+        }
+      });
+      probe.stderr.on('data', (data) => {
+        stderr += data;
+      });
+      probe.on('error', (error) => reject(new Error(`Failed to run ffprobe: ${error.message}`)));
+      probe.on('close', (code) => {
+        if (code !== 0) {
+          reject(new Error(`Failed to read packets: ${stderr.trim() || `ffprobe exited with ${code}`}`));
+          return;
+        }
+        resolve(packets);
+      });
+    });
+  }
+
+  // Index of the last keyframe at or before `time` (-1 if before the first one)
+  findGopIndex(keyframes, time) {
+    let low = 0;
+    let high = keyframes.length - 1;
+    let result = -1;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (keyframes[mid] <= time) {
+        result = mid;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return result;
+  }
+
+  // Exclusive end index of the part starting at `startIndex`: as many whole GOPs as fit
+  // in `budget`, moved back to a scene change near the end of the budget when possible
+  findPartEnd(gops, startIndex, budget, scenes) {
+    let bytes = 0;
+    let endIndex = startIndex;
+    while (endIndex < gops.length && (endIndex === startIndex || bytes + gops[endIndex].bytes <= budget)) {
+      bytes += gops[endIndex].bytes;
+      endIndex++;
+    }
+
+    if (endIndex >= gops.length || scenes.length === 0) {
+      return endIndex;
+    }
+
+    let cumulative = bytes;
+    for (let candidate = endIndex; candidate > startIndex + 1; candidate--) {
+      if (cumulative < budget * (1 - SCENE_WINDOW)) {
+        break;
+      }
+      const cutTime = gops[candidate].start;
+      if (scenes.some(scene => Math.abs(scene - cutTime) <= SCENE_TOLERANCE_SECONDS)) {
+        return candidate;
+      }
+      cumulative -= gops[candidate - 1].bytes;
+    }
+    return endIndex;
+  }
+
+  // With overlap the next part starts at the first keyframe within `overlapSeconds` of the cut
+  findNextStart(gops, startIndex, endIndex) {
+    if (this.overlapSeconds <= 0) {
+      return endIndex;
+    }
+
+    const overlapStart = gops[endIndex].start - this.overlapSeconds;
+    for (let index = startIndex + 1; index < endIndex; index++) {
+      if (gops[index].start >= overlapStart) {
+        return index;
+      }
+    }
+    return endIndex;
+  }
+
+  getEndTime(gops, endIndex) {
+    return endIndex < gops.length ? gops[endIndex].start : gops[gops.length - 1].end;
+  }
+
+  // Stream copy from a keyframe: input seeking lands exactly on it, and the cut stops
+  // before the next part's first keyframe
+  extractSegment(inputPath, outputPath, startTime, endTime) {
+    return new Promise((resolve, reject) => {
+      const options = ['-c', 'copy', '-avoid_negative_ts', 'make_zero'];
+      if (['.mp4', '.mov', '.m4a'].includes(path.extname(outputPath))) {
+        options.push('-movflags', '+faststart');
+      }
+
+      ffmpeg(inputPath)
+        .seekInput(startTime.toFixed(6))
+        .duration((endTime - startTime).toFixed(6))
+        .outputOptions(options)
+        .output(outputPath)
+        .on('end', () => {
+          console.log(`Part extracted: ${path.basename(outputPath)}`);
+          resolve(outputPath);
+        })
+        .on('error', (err) => {
+          reject(new Error(`Failed to extract video segment: ${err.message}`));
+        })
+        .run();
+    });
+  }
+
+  startsOnKeyframe(partPath, streamType) {
+    return new Promise((resolve, reject) => {
+      const probe = spawn(this.ffprobePath, [
+        '-v', 'error',
+        '-select_streams', streamType === 'video' ? 'v:0' : 'a:0',
+        '-read_intervals', '%+#1',
+        '-show_entries', 'packet=flags',
+        '-of', 'csv=p=0',
+        partPath
+      ]);
+      let output = '';
+      let stderr = '';
+
+      probe.stdout.on('data', (data) => {
+        output += data;
+      });
+      probe.stderr.on('data', (data) => {
+        stderr += data;
+      });
+      probe.on('error', (error) => reject(new Error(`Failed to run ffprobe: ${error.message}`)));
+      probe.on('close', (code) => {
+        if (code !== 0) {
+          reject(new Error(`Failed to check the first packet of ${path.basename(partPath)}: ${stderr.trim() || `ffprobe exited with ${code}`}`));
+          return;
+        }
+        resolve(output.split('\n')[0].includes('K'));
+      });
+    });
+  }
+
+  async writeManifest(parts, outputDir, baseName, duration) {
+    const manifestName = `${baseName}_manifest.json`;
+    const manifestPath = path.join(outputDir, manifestName);
+    const manifest = {
+      version: 1,
+      source: baseName,
+      duration: parseFloat(duration) || parts[parts.length - 1].end,
+      totalParts: parts.length,
+      maxPartSize: this.maxPartBytes,
+      overlapSeconds: this.overlapSeconds,
+      parts: parts.map(part => ({
+        part: part.part,
+        name: part.name,
+        url: null,
+        start: part.start,
+        end: part.end,
+        duration: part.end - part.start,
+        playFrom: part.playFrom,
+        size: part.size
+      }))
+    };
+
+    await fs.writeJson(manifestPath, manifest, { spaces: 2 });
+    return {
+      path: manifestPath,
+      name: manifestName,
+      type: 'manifest',
+      size: (await fs.stat(manifestPath)).size
+    };
+  }
+}
+
+module.exports = VideoSplitter;
@@ -0,0 +1,25 @@
+// Typed failures recorded on jobs as `error.code`. They describe the input (or what the
+// job's preset makes of it), not a transient condition, so they are not retried and map
+// to HTTP 422.
+const ERROR_CODES = {
+  INVALID_MEDIA: 'INVALID_MEDIA',
+  TOO_LONG: 'TOO_LONG',
+  INVALID_EDIT: 'INVALID_EDIT',
+  QUALITY_TOO_LOW: 'QUALITY_TOO_LOW'
+};
+
+class ProcessingError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'ProcessingError';
+    this.code = code;
+    this.details = details;
+    this.status = 422;
+    this.retryable = false;
+  }
+}
+
+module.exports = {
+  ERROR_CODES,
+  ProcessingError
+};
@@ -0,0 +1,114 @@
+const fs = require('fs-extra');
+const path = require('path');
+const GoogleDriveService = require('./GoogleDriveService');
+const ImageKitService = require('./ImageKitService');
+const LocalStorageService = require('./LocalStorageService');
+const S3StorageService = require('./S3StorageService');
+
+// Storage adapters share one interface:
+//   list()                            -> [{ id, name, size, createdTime, url }]
+//   download(id, fileName?)           -> local path in TEMP_DIR (named after fileName or the stored name)
+//   upload(filePath, fileName, opts)  -> { id, name, url, size }; retries transient failures itself
+//   delete(id)
+//   getUrl(id)                        -> URL of the stored file
+//   listSiblings(id, namePrefix)      -> files next to `id` (sidecar subtitles, edit directives)
+//   archive(id)                       -> ID after moving the file out of list() (source storage)
+//   listOutputs()                     -> every file in the pipeline's output folders (orphan cleanup; not on Drive)
+// The source is where input videos are read from, the destination where results are delivered.
+const STORAGE_TYPES = ['drive', 'imagekit', 'local', 's3'];
+
+const DEFAULT_STORAGE = {
+  source: 'drive',
+  destination: 'imagekit'
+};
+
+function getStorageType(role) {
+  const type = (process.env[`${role.toUpperCase()}_STORAGE`] || DEFAULT_STORAGE[role]).toLowerCase();
+  if (!STORAGE_TYPES.includes(type)) {
+    throw new Error(`Unknown ${role} storage "${type}"; use one of ${STORAGE_TYPES.join(', ')}`);
+  }
+  return type;
+}
+
+// Adapter for `role` ('source' or 'destination') from SOURCE_STORAGE / DESTINATION_STORAGE
+function createStorage(role) {
+  const type = getStorageType(role);
+  const prefix = role.toUpperCase();
+
+  switch (type) {
+    case 'drive':
+      return new GoogleDriveService();
+    case 'imagekit':
+      return new ImageKitService();
+    case 'local':
+      return new LocalStorageService({
+        rootDir: process.env[`LOCAL_${prefix}_DIR`] || path.join('storage', role),
+        publicUrl: process.env[`LOCAL_${prefix}_URL`] || null
+      });
+    case 's3':
+      return new S3StorageService({
+        bucket: process.env[`S3_${prefix}_BUCKET`],
+        prefix: process.env[`S3_${prefix}_PREFIX`] || '',
+        endpoint: process.env.S3_ENDPOINT || null,
+        region: process.env.S3_REGION || 'us-east-1',
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE ? process.env.S3_FORCE_PATH_STYLE === 'true' : undefined,
+        publicUrl: process.env[`S3_${prefix}_URL`] || null
+      });
+  }
+}
+
+// Subtitle files stored next to a video: `<name>.srt`, `<name>.vtt` or with a language tag,
+// e.g. `<name>.en.srt` / `<name>.pt-br.vtt`. Downloads them: [{ path, name, language }]
+async function downloadSidecarFiles(storage, fileId, fileName) {
+  const baseName = path.parse(fileName).name;
+  const escapedName = baseName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = new RegExp(`^${escapedName}(?:\\.([a-z]{2,3}(?:-[a-z0-9]+)?))?\\.(srt|vtt)$`, 'i');
+
+  let siblings;
+  try {
+    siblings = await storage.listSiblings(fileId, baseName);
+  } catch (error) {
+    throw new Error(`Failed to find subtitle files: ${error.message}`);
+  }
+
+  const downloaded = [];
+  for (const file of siblings) {
+    const match = file.name.match(pattern);
+    if (match) {
+      const localPath = await storage.download(file.id, file.name);
+      downloaded.push({ path: localPath, name: file.name, language: (match[1] || 'und').toLowerCase() });
+    }
+  }
+  return downloaded;
+}
+
+// Editing directives stored next to a video as `<name>.edit.json`; null when there are none
+async function downloadEditDirectives(storage, fileId, fileName) {
+  const sidecarName = `${path.parse(fileName).name}.edit.json`;
+  const file = (await storage.listSiblings(fileId, sidecarName)).find(sibling => sibling.name === sidecarName);
+  if (!file) {
+    return null;
+  }
+
+  const localPath = await storage.download(file.id, file.name);
+  try {
+    return await fs.readJson(localPath);
+  } catch (error) {
+    const parseError = new Error(`${sidecarName} is not valid JSON: ${error.message}`);
+    parseError.status = 400;
+    parseError.retryable = false;
+    throw parseError;
+  } finally {
+    await fs.remove(localPath);
+  }
+}
+
+module.exports = {
+  STORAGE_TYPES,
+  getStorageType,
+  createStorage,
+  downloadSidecarFiles,
+  downloadEditDirectives
+};
@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const ChunkedUploadService = require('../services/ChunkedUploadService');
+
+const FILE = crypto.randomBytes(10000);
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const chunkChecksum = (data) => `sha256 ${crypto.createHash('sha256').update(data).digest('base64')}`;
+
+describe('ChunkedUploadService', () => {
+  let uploadDir;
+  let service;
+
+  beforeEach(async () => {
+    uploadDir = await fs.mkdtemp(path.join(os.tmpdir(), 'chunked-'));
+    process.env.UPLOAD_DIR = uploadDir;
+    service = new ChunkedUploadService();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    delete process.env.UPLOAD_DIR;
+    await fs.remove(uploadDir);
+  });
+
+  const createUpload = (overrides = {}) => service.createUpload({
+    fileName: 'clip.mp4',
+    fileSize: FILE.length,
+    checksum: `sha256:${sha256(FILE)}`,
+    ...overrides
+  });
+
+  const append = (uploadId, offset, data, checksum = chunkChecksum(data)) =>
+    service.appendChunk(uploadId, offset, Readable.from([data]), checksum);
+
+  test('requires a whole-file SHA-256 at creation', async () => {
+    await expect(createUpload({ checksum: undefined })).rejects.toMatchObject({ status: 400 });
+    await expect(createUpload({ checksum: 'md5:abc' })).rejects.toMatchObject({ status: 400 });
+    await expect(createUpload({ fileSize: 0 })).rejects.toMatchObject({ status: 400 });
+  });
+
+  test('appends chunks at the current offset and finalizes a verified file', async () => {
+    const { uploadId, offset } = await createUpload();
+    expect(offset).toBe(0);
+
+    expect((await append(uploadId, 0, FILE.subarray(0, 4096))).offset).toBe(4096);
+    expect((await append(uploadId, 4096, FILE.subarray(4096))).complete).toBe(true);
+
+    const result = await service.finalize(uploadId, async (upload) => {
+      expect(upload.sha256).toBe(sha256(FILE));
+      expect(Buffer.compare(await fs.readFile(upload.path), FILE)).toBe(0);
+      await fs.remove(upload.path);
+      return { jobId: 'job-1' };
+    });
+    expect(result).toEqual({ jobId: 'job-1' });
+  });
+
+  test('finalizes once: concurrent calls are locked out and repeats return the first result', async () => {
+    const { uploadId } = await createUpload();
+    await append(uploadId, 0, FILE);
+    const processFile = jest.fn(async (upload) => {
+      await fs.remove(upload.path);
+      return { jobId: 'job-1' };
+    });
+
+    const [first, second] = await Promise.allSettled([
+      service.finalize(uploadId, processFile),
+      service.finalize(uploadId, processFile)
+    ]);
+    expect(first).toMatchObject({ status: 'fulfilled', value: { jobId: 'job-1' } });
+    expect(second).toMatchObject({ status: 'rejected', reason: { status: 423 } });
+
+    expect(await service.finalize(uploadId, processFile)).toEqual({ jobId: 'job-1' });
+    expect(processFile).toHaveBeenCalledTimes(1);
+    expect((await service.getStatus(uploadId)).finalized).toBe(true);
+  });
+
+  test('repeats the error of a finalize whose processing failed', async () => {
+    const { uploadId } = await createUpload();
+    await append(uploadId, 0, FILE);
+    const processFile = jest.fn().mockRejectedValue(Object.assign(new Error('Invalid video'), { status: 422, jobId: 'job-1' }));
+
+    await expect(service.finalize(uploadId, processFile)).rejects.toMatchObject({ status: 422 });
+    await expect(service.finalize(uploadId, processFile)).rejects.toMatchObject({ status: 422, message: 'Invalid video', jobId: 'job-1' });
+    expect(processFile).toHaveBeenCalledTimes(1);
+  });
+
+  test('rejects chunks at the wrong offset', async () => {
+    const { uploadId } = await createUpload();
+    await append(uploadId, 0, FILE.subarray(0, 100));
+
+    await expect(append(uploadId, 0, FILE.subarray(0, 100))).rejects.toMatchObject({ status: 409 });
+    await expect(append(uploadId, 200, FILE.subarray(200, 300))).rejects.toMatchObject({ status: 409 });
+    expect(await service.getOffset(uploadId)).toBe(100);
+  });
+
+  test('requires an Upload-Checksum in a supported algorithm', async () => {
+    const { uploadId } = await createUpload();
+
+    await expect(append(uploadId, 0, FILE.subarray(0, 100), null)).rejects.toMatchObject({ status: 400 });
+    await expect(append(uploadId, 0, FILE.subarray(0, 100), 'crc32 abc')).rejects.toMatchObject({ status: 400 });
+    expect(await service.getOffset(uploadId)).toBe(0);
+  });
+
+  test('rolls the offset back on a chunk checksum mismatch', async () => {
+    const { uploadId } = await createUpload();
+    await append(uploadId, 0, FILE.subarray(0, 100));
+
+    await expect(append(uploadId, 100, FILE.subarray(100, 200), chunkChecksum(Buffer.from('other'))))
+      .rejects.toMatchObject({ status: 412 });
+    expect(await service.getOffset(uploadId)).toBe(100);
+
+    // The same chunk can be sent again
+    expect((await append(uploadId, 100, FILE.subarray(100, 200))).offset).toBe(200);
+  });
+
+  test('rolls the offset back when a chunk overflows the declared size', async () => {
+    const { uploadId } = await createUpload({ fileSize: 150 });
+    await append(uploadId, 0, FILE.subarray(0, 100));
+
+    await expect(append(uploadId, 100, FILE.subarray(100, 200))).rejects.toMatchObject({ status: 413 });
+    expect(await service.getOffset(uploadId)).toBe(100);
+  });
+
+  test('refuses to finalize incomplete or mismatching files', async () => {
+    const { uploadId } = await createUpload();
+    await append(uploadId, 0, FILE.subarray(0, 100));
+    await expect(service.finalize(uploadId)).rejects.toMatchObject({ status: 409 });
+
+    const other = crypto.randomBytes(100);
+    const mismatch = await createUpload({ fileSize: 100 });
+    await append(mismatch.uploadId, 0, other);
+    await expect(service.finalize(mismatch.uploadId)).rejects.toMatchObject({ status: 412 });
+  });
+
+  test('answers 404 for unknown or malformed upload IDs', async () => {
+    await expect(service.getStatus('00000000-0000-0000-0000-000000000000')).rejects.toMatchObject({ status: 404 });
+    await expect(service.getStatus('../../etc/passwd')).rejects.toMatchObject({ status: 404 });
+  });
+});
@@ -0,0 +1,67 @@
+const ComplianceChecker = require('../services/ComplianceChecker');
+const PresetManager = require('../services/PresetManager');
+
+// ffprobe view of a phone recording in a compact mode: 1080p30 H.264 High at ~5 Mbps, stereo AAC
+const PHONE_VIDEO = {
+  size: 40 * 1024 * 1024,
+  bitrate: '5200000',
+  videoCodec: 'h264',
+  displayWidth: 1920,
+  displayHeight: 1080,
+  fps: 30,
+  videoBitrate: '5000000',
+  pixelFormat: 'yuv420p',
+  videoProfile: 'High'
+};
+
+const AAC_STEREO = { silent: false, filters: [null], tracks: [{ index: 1, codec: 'aac', channels: 2 }] };
+
+describe('ComplianceChecker', () => {
+  const presets = new PresetManager();
+  const checker = new ComplianceChecker({ maxVideoSizeMB: 98 });
+
+  test('remuxes a phone file under the bitrate cap of the default preset', () => {
+    expect(checker.check(presets.resolve('web-1080p'), PHONE_VIDEO, { audioPlan: AAC_STEREO })).toEqual([]);
+  });
+
+  test('transcodes sources above the bitrate cap, with no headroom', () => {
+    const preset = presets.resolve('web-1080p');
+
+    expect(checker.check(preset, { ...PHONE_VIDEO, videoBitrate: '12000000' }, { audioPlan: AAC_STEREO }))
+      .toEqual(['video bitrate 12000k is above 6000k']);
+    expect(checker.check(preset, { ...PHONE_VIDEO, videoBitrate: '6300000' }, { audioPlan: AAC_STEREO }))
+      .toEqual(['video bitrate 6300k is above 6000k']);
+  });
+
+  test('matches frame rates within 1%', () => {
+    const preset = presets.resolve('web-1080p');
+
+    expect(checker.check(preset, { ...PHONE_VIDEO, fps: 30000 / 1001 }, { audioPlan: AAC_STEREO })).toEqual([]);
+    expect(checker.check(preset, { ...PHONE_VIDEO, fps: 25 }, { audioPlan: AAC_STEREO }))
+      .toEqual(['frame rate 25 is not 29.97']);
+    expect(checker.check(preset, { ...PHONE_VIDEO, fps: 60 }, { audioPlan: AAC_STEREO }))
+      .toEqual(['frame rate 60 is not 29.97']);
+  });
+
+  test('uses the target bitrate as the cap in bitrate mode', () => {
+    const preset = presets.resolve('web-1080p', { video: { rateControl: 'bitrate', bitrate: 4000 } });
+
+    expect(checker.check(preset, PHONE_VIDEO, { audioPlan: AAC_STEREO })).toEqual(['video bitrate 5000k is above 4000k']);
+  });
+
+  test('transcodes sources in another codec or audio format', () => {
+    const preset = presets.resolve('web-1080p');
+    const reasons = checker.check(preset, { ...PHONE_VIDEO, videoCodec: 'hevc' }, {
+      audioPlan: { ...AAC_STEREO, tracks: [{ index: 1, codec: 'opus', channels: 2 }] }
+    });
+
+    expect(reasons).toEqual(['video codec hevc is not h264', 'audio track #1 is opus, not aac']);
+  });
+
+  test('transcodes sources that need scaling', () => {
+    const preset = presets.resolve('web-1080p');
+
+    expect(checker.check(preset, { ...PHONE_VIDEO, displayWidth: 3840, displayHeight: 2160 }, { audioPlan: AAC_STEREO }))
+      .toEqual(['frame size 3840x2160 needs scaling']);
+  });
+});
@@ -0,0 +1,69 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const DeliveryService = require('../services/DeliveryService');
+const JobStore = require('../services/JobStore');
+const JobTracker = require('../services/JobTracker');
+const OutputManager = require('../services/OutputManager');
+const { parseScopedApiKeys } = require('../utils/apiKeys');
+
+describe('DeliveryService', () => {
+  let dir;
+  let jobTracker;
+  let service;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'delivery-'));
+    jobTracker = new JobTracker(new JobStore(path.join(dir, 'jobs.json')));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const destination = {
+      getUrl: async (fileId) => `https://ik.example.com/${fileId}`,
+      getSignedUrl: async (url, { expireSeconds }) => `${url}?signed=${expireSeconds}`
+    };
+    service = new DeliveryService({
+      destination,
+      jobTracker,
+      outputManager: new OutputManager({ source: {}, destination, jobTracker, googleSheetsService: {} })
+    });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(dir);
+  });
+
+  function createDoneJob(fileName, fileId) {
+    const job = jobTracker.createJob({ fileId: `source-${fileId}`, fileName, status: 'queued' });
+    jobTracker.complete(job.jobId, [{ name: `${fileId}.mp4`, type: 'video', fileId, url: `https://ik.example.com/${fileId}` }]);
+    return job;
+  }
+
+  test('a scoped key only reaches jobs by ID or source file name prefix', async () => {
+    const partner = createDoneJob('partner-a/launch.mp4', 'partner-file');
+    const other = createDoneJob('internal/review.mp4', 'other-file');
+    const scopes = ['partner-a/', `job:${other.jobId}`];
+
+    await expect(service.getJobUrls(partner.jobId, { scopes })).resolves.toMatchObject({ jobId: partner.jobId });
+    await expect(service.getJobUrls(other.jobId, { scopes })).resolves.toMatchObject({ jobId: other.jobId });
+    await expect(service.getJobUrls(other.jobId, { scopes: ['partner-a/'] })).rejects.toMatchObject({ status: 404 });
+    await expect(service.getFileUrl('other-file', { scopes: ['partner-a/'] })).rejects.toMatchObject({ status: 404 });
+    await expect(service.getFileUrl('other-file', { scopes: ['*'] })).resolves.toMatchObject({ jobId: other.jobId });
+  });
+
+  test('rejects transformation names that only exist on Object.prototype', async () => {
+    const job = createDoneJob('clip.mp4', 'clip-file');
+
+    for (const transformation of ['__proto__', 'constructor', 'toString']) {
+      await expect(service.getJobUrls(job.jobId, { transformation })).rejects.toMatchObject({ status: 400 });
+    }
+  });
+
+  test('delivery keys need a scope', () => {
+    expect(parseScopedApiKeys('a:*, b:job:123|promo-', 'DELIVERY_API_KEYS')).toEqual([
+      { key: 'a', scopes: ['*'] },
+      { key: 'b', scopes: ['job:123', 'promo-'] }
+    ]);
+    expect(() => parseScopedApiKeys('a:*,b', 'DELIVERY_API_KEYS')).toThrow('DELIVERY_API_KEYS entries need a scope');
+  });
+});
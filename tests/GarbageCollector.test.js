@@ -0,0 +1,113 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const GarbageCollector = require('../services/GarbageCollector');
+const JobStore = require('../services/JobStore');
+const JobTracker = require('../services/JobTracker');
+const LocalStorageService = require('../services/LocalStorageService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+describe('GarbageCollector', () => {
+  let dir;
+  let destination;
+  let jobTracker;
+  let sheetsEntries;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gc-'));
+    destination = new LocalStorageService({ rootDir: path.join(dir, 'destination'), publicUrl: 'https://cdn.example.com' });
+    jobTracker = new JobTracker(new JobStore(path.join(dir, 'data', 'jobs.json')));
+    sheetsEntries = [];
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(dir);
+  });
+
+  function createCollector(options = {}) {
+    return new GarbageCollector({
+      source: new LocalStorageService({ rootDir: path.join(dir, 'source') }),
+      destination,
+      jobTracker,
+      googleSheetsService: { isEnabled: () => true, getVideoEntries: async () => sheetsEntries }
+    }, { deleteOrphans: true, processingRunner: 'local', localDirs: [], ...options });
+  }
+
+  // A destination output whose creation time is `ageMs` ago
+  async function createOutput(name, ageMs) {
+    const id = `videos/${name}`;
+    await fs.outputFile(path.join(destination.rootDir, id), 'video bytes');
+    const time = new Date(Date.now() - ageMs);
+    await fs.utimes(path.join(destination.rootDir, id), time, time);
+    return id;
+  }
+
+  async function seed() {
+    const startedAt = new Date(Date.now() - 10 * DAY_MS).toISOString();
+    const tracked = await createOutput('tracked.mp4', 5 * DAY_MS);
+    jobTracker.store.save({
+      jobId: 'job-1', fileId: 'file-1', status: 'done', createdAt: startedAt, updatedAt: startedAt,
+      results: [], outputs: [{ id: tracked, name: 'tracked.mp4', type: 'video' }]
+    });
+
+    await createOutput('before-store.mp4', 20 * DAY_MS);
+    await createOutput('in-sheets.mp4', 5 * DAY_MS);
+    await createOutput('recent.mp4', HOUR_MS);
+    sheetsEntries = [{ videoUrls: 'https://cdn.example.com/videos/in-sheets.mp4', thumbnailUrl: '', previewUrls: '' }];
+    return createOutput('orphan.mp4', 5 * DAY_MS);
+  }
+
+  test('deletes nothing before a dry run has listed the orphans for review', async () => {
+    await seed();
+
+    const report = await createCollector().run();
+
+    expect(report.orphans).toEqual([]);
+    expect(report.errors).toEqual([expect.objectContaining({ name: 'orphans', error: expect.stringContaining('--dry-run') })]);
+    expect((await destination.listOutputs())).toHaveLength(5);
+  });
+
+  test('only treats files newer than the job store and missing from Sheets as orphans', async () => {
+    const orphan = await seed();
+    const collector = createCollector();
+
+    const dryRun = await collector.run({ dryRun: true });
+    expect(dryRun.orphans.map(entry => entry.id)).toEqual([orphan]);
+    expect(await fs.readJson(collector.orphanReviewPath)).toMatchObject({ orphans: [orphan] });
+
+    const report = await collector.run();
+    expect(report.orphans.map(entry => entry.id)).toEqual([orphan]);
+    expect((await destination.listOutputs()).map(file => file.name).sort())
+      .toEqual(['before-store.mp4', 'in-sheets.mp4', 'recent.mp4', 'tracked.mp4']);
+  });
+
+  test('a real run leaves unreviewed files from before the review alone', async () => {
+    await seed();
+    const collector = createCollector();
+    await fs.outputJson(collector.orphanReviewPath, { reviewedAt: new Date().toISOString(), orphans: [] });
+
+    const report = await collector.run();
+
+    expect(report.orphans).toEqual([]);
+    expect((await destination.listOutputs())).toHaveLength(5);
+  });
+
+  test('skips local files that vanish while they are listed', async () => {
+    const tempDir = path.join(dir, 'temp');
+    await fs.outputFile(path.join(tempDir, 'gone.mp4'), 'bytes');
+    await fs.outputFile(path.join(tempDir, 'kept.mp4'), 'bytes');
+    const stat = fs.stat;
+    jest.spyOn(fs, 'stat').mockImplementation((filePath, ...args) => (path.basename(filePath) === 'gone.mp4'
+      ? Promise.reject(Object.assign(new Error('ENOENT: no such file'), { code: 'ENOENT' }))
+      : stat(filePath, ...args)));
+
+    const groups = await createCollector().listLocalFiles(tempDir);
+
+    expect(groups.map(group => path.basename(group.files[0].path))).toEqual(['kept.mp4']);
+  });
+});
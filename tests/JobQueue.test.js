@@ -0,0 +1,78 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const JobQueue = require('../services/JobQueue');
+const JobStore = require('../services/JobStore');
+const JobTracker = require('../services/JobTracker');
+
+describe('JobQueue', () => {
+  let dir;
+  let jobTracker;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'job-queue-'));
+    jobTracker = new JobTracker(new JobStore(path.join(dir, 'jobs.json')));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(dir);
+  });
+
+  function createJob(fields = {}) {
+    return jobTracker.createJob({ fileId: 'file-1', fileName: 'clip.mp4', status: 'queued', ...fields });
+  }
+
+  test('frees the slot of a job that was removed from the store', async () => {
+    const handler = jest.fn().mockResolvedValue('ok');
+    const queue = new JobQueue({ handler, jobTracker, concurrency: 1 });
+    const removed = createJob();
+    const next = createJob({ fileId: 'file-2' });
+
+    queue.pending.push(removed.jobId);
+    jobTracker.store.remove(removed.jobId);
+    queue.enqueue(next.jobId);
+    await queue.onIdle();
+
+    expect(handler.mock.calls.map(call => call[0])).toEqual([next.jobId]);
+    expect(queue.active.size).toBe(0);
+  });
+
+  test('never claims a job dispatched to a runner', () => {
+    const queue = new JobQueue({ handler: jest.fn(), jobTracker });
+    const job = createJob();
+    jobTracker.update(job.jobId, { dispatchedTo: 'github-actions' });
+
+    expect(() => queue.enqueue(job.jobId)).toThrow('dispatched to github-actions');
+    expect(jobTracker.getJob(job.jobId).dispatchedTo).toBe('github-actions');
+    expect(queue.isQueued(job.jobId)).toBe(false);
+  });
+
+  test('retries a failed job with backoff, then dead-letters it', async () => {
+    const handler = jest.fn().mockImplementation(async (jobId) => {
+      jobTracker.fail(jobId, new Error('down'));
+      throw new Error('down');
+    });
+    const queue = new JobQueue({ handler, jobTracker, maxAttempts: 2, retryBaseDelayMs: 1 });
+    const job = createJob();
+
+    queue.enqueue(job.jobId);
+    await queue.onIdle();
+
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(queue.getDeadLetters().map(dead => dead.jobId)).toEqual([job.jobId]);
+  });
+
+  test('a pending retry of a job that finished meanwhile does not throw', async () => {
+    const queue = new JobQueue({ handler: jest.fn(), jobTracker });
+    const job = createJob();
+    jobTracker.complete(job.jobId, []);
+
+    expect(() => queue.retry(job.jobId, new Error('down'))).not.toThrow();
+    expect(jobTracker.getJob(job.jobId)).toMatchObject({ status: 'done' });
+    expect(queue.isIdle()).toBe(true);
+  });
+});
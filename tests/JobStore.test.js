@@ -0,0 +1,65 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const JobStore = require('../services/JobStore');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function createJob(jobId, fields = {}) {
+  const now = new Date().toISOString();
+  return { jobId, fileId: `file-${jobId}`, status: 'queued', createdAt: now, updatedAt: now, results: [], ...fields };
+}
+
+describe('JobStore', () => {
+  let dir;
+  let storePath;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'job-store-'));
+    storePath = path.join(dir, 'jobs.json');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(dir);
+  });
+
+  test('keeps jobs written by another store on the same file', () => {
+    const first = new JobStore(storePath);
+    const second = new JobStore(storePath);
+
+    first.save(createJob('a'));
+    second.save(createJob('b'));
+
+    expect(new JobStore(storePath).list().map(job => job.jobId).sort()).toEqual(['a', 'b']);
+  });
+
+  test('breaks a lock left by a crashed writer instead of timing out', () => {
+    const store = new JobStore(storePath);
+    fs.writeFileSync(`${storePath}.lock`, 'crashed');
+    const old = new Date(Date.now() - 6000);
+    fs.utimesSync(`${storePath}.lock`, old, old);
+
+    store.save(createJob('a'));
+
+    expect(store.get('a')).not.toBeNull();
+    expect(fs.existsSync(`${storePath}.lock`)).toBe(false);
+  });
+
+  test('prunes old finished jobs that no longer point at stored files', () => {
+    const old = new Date(Date.now() - 40 * DAY_MS).toISOString();
+    const seed = new JobStore(storePath, { retentionDays: 0 });
+    seed.save(createJob('failed', { status: 'failed', updatedAt: old }));
+    seed.save(createJob('deleted', { status: 'done', updatedAt: old, outputs: [], sourceFile: { action: 'delete' } }));
+    seed.save(createJob('delivered', { status: 'done', updatedAt: old, outputs: [{ id: 'videos/a.mp4' }] }));
+    seed.save(createJob('source-kept', { status: 'done', updatedAt: old, outputs: [] }));
+    seed.save(createJob('recent-failure', { status: 'failed' }));
+
+    const store = new JobStore(storePath, { retentionDays: 30 });
+    store.save(createJob('new'));
+
+    expect(store.list().map(job => job.jobId).sort()).toEqual(['delivered', 'new', 'recent-failure', 'source-kept']);
+  });
+});
@@ -0,0 +1,24 @@
+const MediaValidator = require('../services/MediaValidator');
+
+describe('MediaValidator.parseFrameRate', () => {
+  test('parses ffprobe rational frame rates', () => {
+    expect(MediaValidator.parseFrameRate('30/1')).toBe(30);
+    expect(MediaValidator.parseFrameRate('30000/1001')).toBeCloseTo(29.97, 2);
+    expect(MediaValidator.parseFrameRate(' 24000/1001 ')).toBeCloseTo(23.976, 3);
+  });
+
+  test('accepts plain and numeric rates', () => {
+    expect(MediaValidator.parseFrameRate('25')).toBe(25);
+    expect(MediaValidator.parseFrameRate('59.94')).toBe(59.94);
+    expect(MediaValidator.parseFrameRate(50)).toBe(50);
+  });
+
+  test('returns 0 for unknown or malformed rates', () => {
+    expect(MediaValidator.parseFrameRate('0/0')).toBe(0);
+    expect(MediaValidator.parseFrameRate('30/0')).toBe(0);
+    expect(MediaValidator.parseFrameRate('N/A')).toBe(0);
+    expect(MediaValidator.parseFrameRate('')).toBe(0);
+    expect(MediaValidator.parseFrameRate(undefined)).toBe(0);
+    expect(MediaValidator.parseFrameRate(NaN)).toBe(0);
+  });
+});
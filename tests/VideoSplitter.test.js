@@ -0,0 +1,126 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const VideoSplitter = require('../services/VideoSplitter');
+
+// Ten 2-second GOPs of 100 bytes each
+const GOPS = Array.from({ length: 10 }, (_, i) => ({ start: i * 2, end: (i + 1) * 2, bytes: 100 }));
+
+// Splitter that plans over GOPS and "cuts" files of `overhead` times the payload of the
+// GOPs in the range, instead of running ffprobe/ffmpeg
+function createSplitter(options, overhead = 1) {
+  const splitter = new VideoSplitter(options);
+  splitter.probeGops = async () => ({ gops: GOPS, streamType: 'video' });
+  splitter.startsOnKeyframe = async () => true;
+  splitter.extractSegment = async (inputPath, outputPath, startTime, endTime) => {
+    const bytes = GOPS.filter(gop => gop.start >= startTime && gop.start < endTime).reduce((sum, gop) => sum + gop.bytes, 0);
+    await fs.writeFile(outputPath, Buffer.alloc(Math.round(bytes * overhead)));
+  };
+  return splitter;
+}
+
+describe('VideoSplitter', () => {
+  let outputDir;
+
+  beforeEach(async () => {
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'splitter-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(outputDir);
+  });
+
+  test('findPartEnd takes as many whole GOPs as fit in the budget, at least one', () => {
+    const splitter = new VideoSplitter({ maxPartBytes: 1000 });
+
+    expect(splitter.findPartEnd(GOPS, 0, 350, [])).toBe(3);
+    expect(splitter.findPartEnd(GOPS, 8, 350, [])).toBe(10);
+    expect(splitter.findPartEnd(GOPS, 0, 50, [])).toBe(1);
+  });
+
+  test('findPartEnd moves the cut back to a scene change near the end of the budget', () => {
+    const splitter = new VideoSplitter({ maxPartBytes: 1000 });
+
+    expect(splitter.findPartEnd(GOPS, 0, 970, [14.3])).toBe(7);
+    // Too early in the budget to be worth a shorter part
+    expect(splitter.findPartEnd(GOPS, 0, 970, [10])).toBe(9);
+  });
+
+  test('findNextStart steps back to a keyframe inside the overlap', () => {
+    expect(new VideoSplitter({ overlapSeconds: 0 }).findNextStart(GOPS, 0, 3)).toBe(3);
+    expect(new VideoSplitter({ overlapSeconds: 2 }).findNextStart(GOPS, 0, 3)).toBe(2);
+    expect(new VideoSplitter({ overlapSeconds: 3 }).findNextStart(GOPS, 0, 3)).toBe(2);
+  });
+
+  test('findGopIndex finds the last keyframe at or before a time', () => {
+    const keyframes = GOPS.map(gop => gop.start);
+    const splitter = new VideoSplitter();
+
+    expect(splitter.findGopIndex(keyframes, 0)).toBe(0);
+    expect(splitter.findGopIndex(keyframes, 5.9)).toBe(2);
+    expect(splitter.findGopIndex(keyframes, 6)).toBe(3);
+    expect(splitter.findGopIndex(keyframes, -1)).toBe(-1);
+  });
+
+  test('splits into keyframe-aligned parts under the cap and writes a manifest', async () => {
+    const splitter = createSplitter({ maxPartBytes: 350 });
+    const files = await splitter.split('/input/video.mp4', outputDir, 'video', { duration: 20 });
+
+    const parts = files.filter(file => file.type === 'video');
+    expect(parts.map(part => [part.name, part.start, part.end, part.size])).toEqual([
+      ['video_part1.mp4', 0, 6, 300],
+      ['video_part2.mp4', 6, 12, 300],
+      ['video_part3.mp4', 12, 18, 300],
+      ['video_part4.mp4', 18, 20, 100]
+    ]);
+    expect(parts.every(part => part.totalParts === 4 && part.playFrom === 0)).toBe(true);
+
+    const manifest = files.find(file => file.type === 'manifest');
+    expect(manifest.name).toBe('video_manifest.json');
+    const written = await fs.readJson(manifest.path);
+    expect(written).toMatchObject({ duration: 20, totalParts: 4, maxPartSize: 350 });
+    expect(written.parts.map(part => part.duration)).toEqual([6, 6, 6, 2]);
+  });
+
+  test('overlapping parts record where playback continues', async () => {
+    const splitter = createSplitter({ maxPartBytes: 350, overlapSeconds: 2 });
+    const parts = (await splitter.split('/input/video.mp4', outputDir, 'video', { duration: 20 }))
+      .filter(file => file.type === 'video');
+
+    expect(parts.map(part => [part.start, part.end, part.playFrom])).toEqual([
+      [0, 6, 0],
+      [4, 10, 2],
+      [8, 14, 2],
+      [12, 18, 2],
+      [16, 20, 2]
+    ]);
+  });
+
+  test('cuts a part earlier when it comes out over the cap', async () => {
+    // Container overhead makes three GOPs 360 bytes
+    const splitter = createSplitter({ maxPartBytes: 350 }, 1.2);
+    const parts = (await splitter.split('/input/video.mp4', outputDir, 'video', { duration: 20 }))
+      .filter(file => file.type === 'video');
+
+    expect(parts[0]).toMatchObject({ start: 0, end: 4, size: 240 });
+    expect(parts.every(part => part.size <= 350)).toBe(true);
+    expect(parts[parts.length - 1].end).toBe(20);
+  });
+
+  test('fails when a single GOP is over the cap', async () => {
+    const splitter = createSplitter({ maxPartBytes: 90 });
+
+    await expect(splitter.split('/input/video.mp4', outputDir, 'video', { duration: 20 }))
+      .rejects.toThrow('cannot be cut at an earlier keyframe');
+  });
+
+  test('reports an ffprobe failure instead of a missing keyframe', async () => {
+    const splitter = new VideoSplitter();
+    splitter.ffprobePath = 'false';
+
+    await expect(splitter.startsOnKeyframe(path.join(outputDir, 'video_part1.mp4'), 'video'))
+      .rejects.toThrow('Failed to check the first packet of video_part1.mp4: ffprobe exited with 1');
+  });
+});
@@ -0,0 +1,35 @@
+const { mapWithConcurrency } = require('../utils/concurrency');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('mapWithConcurrency', () => {
+  test('keeps the order of the items with at most `limit` calls in flight', async () => {
+    let running = 0;
+    let maxRunning = 0;
+
+    const results = await mapWithConcurrency([30, 10, 20, 5], 2, async (ms, index) => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await delay(ms);
+      running--;
+      return index;
+    });
+
+    expect(results).toEqual([0, 1, 2, 3]);
+    expect(maxRunning).toBe(2);
+  });
+
+  test('waits for the calls in flight before rethrowing the first error', async () => {
+    const finished = [];
+
+    await expect(mapWithConcurrency(['fails', 'slow', 'never'], 2, async (item) => {
+      if (item === 'fails') {
+        throw new Error('upload failed');
+      }
+      await delay(20);
+      finished.push(item);
+    })).rejects.toThrow('upload failed');
+
+    expect(finished).toEqual(['slow']);
+  });
+});
@@ -0,0 +1,82 @@
+const { getBackoffDelay, retryWithBackoff, isRetryableHttpError } = require('../utils/retry');
+
+describe('getBackoffDelay', () => {
+  test('doubles per attempt within 20% jitter', () => {
+    for (const [attempt, expected] of [[1, 1000], [2, 2000], [3, 4000]]) {
+      const delay = getBackoffDelay(attempt, { baseDelayMs: 1000 });
+      expect(delay).toBeGreaterThanOrEqual(expected * 0.8);
+      expect(delay).toBeLessThanOrEqual(expected * 1.2);
+    }
+  });
+
+  test('is capped at maxDelayMs', () => {
+    expect(getBackoffDelay(20, { baseDelayMs: 1000, maxDelayMs: 5000 })).toBeLessThanOrEqual(6000);
+  });
+});
+
+describe('retryWithBackoff', () => {
+  test('returns the first successful result, passing the attempt number', async () => {
+    const attempts = [];
+    const result = await retryWithBackoff(async (attempt) => {
+      attempts.push(attempt);
+      if (attempt < 2) {
+        throw new Error('flaky');
+      }
+      return 'ok';
+    }, { retries: 3, baseDelayMs: 1 });
+
+    expect(result).toBe('ok');
+    expect(attempts).toEqual([0, 1, 2]);
+  });
+
+  test('gives up after `retries` retries with the last error', async () => {
+    const fn = jest.fn().mockRejectedValue(new Error('down'));
+    const onRetry = jest.fn();
+
+    await expect(retryWithBackoff(fn, { retries: 2, baseDelayMs: 1, onRetry })).rejects.toThrow('down');
+    expect(fn).toHaveBeenCalledTimes(3);
+    expect(onRetry).toHaveBeenCalledTimes(2);
+    expect(onRetry.mock.calls.map(call => call[1])).toEqual([1, 2]);
+  });
+
+  test('does not retry errors shouldRetry rejects', async () => {
+    const fn = jest.fn().mockRejectedValue(Object.assign(new Error('bad input'), { retryable: false }));
+
+    await expect(retryWithBackoff(fn, {
+      retries: 3,
+      baseDelayMs: 1,
+      shouldRetry: (error) => error.retryable !== false
+    })).rejects.toThrow('bad input');
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  test('stops once the signal is aborted', async () => {
+    const controller = new AbortController();
+    const fn = jest.fn().mockImplementation(async () => {
+      controller.abort();
+      throw new Error('aborted meanwhile');
+    });
+
+    await expect(retryWithBackoff(fn, { retries: 3, baseDelayMs: 1, signal: controller.signal })).rejects.toThrow('aborted meanwhile');
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('isRetryableHttpError', () => {
+  test('retries timeouts, rate limits and server errors', () => {
+    for (const status of [408, 429, 500, 503]) {
+      expect(isRetryableHttpError({ response: { status } })).toBe(true);
+    }
+  });
+
+  test('does not retry other client errors', () => {
+    for (const status of [400, 401, 403, 404]) {
+      expect(isRetryableHttpError({ response: { status } })).toBe(false);
+    }
+  });
+
+  test('retries network failures without a response', () => {
+    expect(isRetryableHttpError({ code: 'ECONNRESET' })).toBe(true);
+    expect(isRetryableHttpError(new Error('socket hang up'))).toBe(true);
+  });
+});
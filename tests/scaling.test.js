@@ -0,0 +1,73 @@
+const { getRotation, getDisplayDimensions, parseResolution, computeScaling } = require('../utils/scaling');
+
+describe('rotation', () => {
+  test('reads the rotate tag or the display matrix, normalized to 0-359', () => {
+    expect(getRotation({ tags: { rotate: '90' } })).toBe(90);
+    expect(getRotation({ side_data_list: [{ displaymatrix: '...', rotation: -90 }] })).toBe(270);
+    expect(getRotation({})).toBe(0);
+    expect(getRotation(undefined)).toBe(0);
+  });
+
+  test('swaps width and height for portrait rotations', () => {
+    expect(getDisplayDimensions({ width: 1920, height: 1080, rotation: 90 })).toEqual({ width: 1080, height: 1920 });
+    expect(getDisplayDimensions({ width: 1920, height: 1080, rotation: 180 })).toEqual({ width: 1920, height: 1080 });
+    expect(getDisplayDimensions({ width: 0, height: 1080 })).toBeNull();
+  });
+});
+
+describe('computeScaling', () => {
+  const box = { resolution: '1920x1080' };
+
+  test('parses WxH resolutions', () => {
+    expect(parseResolution('1280x720')).toEqual({ width: 1280, height: 720 });
+  });
+
+  test('fit keeps the aspect ratio inside the box, with even sizes', () => {
+    expect(computeScaling({ width: 3840, height: 2160 }, { ...box, scaling: 'fit' })).toEqual({
+      width: 1920,
+      height: 1080,
+      filters: ['scale=1920:1080', 'setsar=1']
+    });
+    expect(computeScaling({ width: 1080, height: 1920 }, { ...box, scaling: 'fit' })).toMatchObject({ width: 608, height: 1080 });
+  });
+
+  test('fit does not enlarge small sources without upscale', () => {
+    expect(computeScaling({ width: 1280, height: 720 }, { ...box, scaling: 'fit', upscale: false }))
+      .toMatchObject({ width: 1280, height: 720 });
+    expect(computeScaling({ width: 1280, height: 720 }, { ...box, scaling: 'fit', upscale: true }))
+      .toMatchObject({ width: 1920, height: 1080 });
+  });
+
+  test('fit-pad pads to the exact box', () => {
+    const result = computeScaling({ width: 1080, height: 1920 }, { ...box, scaling: 'fit-pad', padColor: 'white' });
+
+    expect(result.width).toBe(1920);
+    expect(result.height).toBe(1080);
+    expect(result.filters).toEqual(['scale=608:1080', 'setsar=1', 'pad=1920:1080:(ow-iw)/2:(oh-ih)/2:color=white']);
+  });
+
+  test('crop covers the box and center-crops to it', () => {
+    expect(computeScaling({ width: 1440, height: 1080 }, { ...box, scaling: 'crop' })).toEqual({
+      width: 1920,
+      height: 1080,
+      filters: ['scale=1920:1440', 'crop=1920:1080', 'setsar=1']
+    });
+  });
+
+  test('stretch scales to the box unless a small source may not be enlarged', () => {
+    const stretch = { ...box, scaling: 'stretch' };
+
+    expect(computeScaling({ width: 1440, height: 1080 }, stretch).filters).toEqual(['scale=1920:1080', 'setsar=1']);
+    expect(computeScaling({ width: 640, height: 480 }, { ...stretch, upscale: false })).toEqual({ width: 640, height: 480, filters: [] });
+  });
+
+  test('fits by default', () => {
+    expect(computeScaling({ width: 1080, height: 1920 }, box)).toMatchObject({ width: 608, height: 1080 });
+  });
+
+  test('keeps the source without a mode, a resolution or a known size', () => {
+    expect(computeScaling({ width: 640, height: 480 }, { ...box, scaling: 'none' })).toEqual({ width: 640, height: 480, filters: [] });
+    expect(computeScaling({ width: 640, height: 480 }, { scaling: 'fit' }).filters).toEqual([]);
+    expect(computeScaling(null, { ...box, scaling: 'fit' })).toEqual({ width: null, height: null, filters: [] });
+  });
+});
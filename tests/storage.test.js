@@ -0,0 +1,105 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const LocalStorageService = require('../services/LocalStorageService');
+
+// The storage adapter contract (see services/storage.js), run against an adapter created by
+// `createAdapter(rootDir)`; other adapters can be added once a test backend is available
+function describeStorageAdapter(name, createAdapter) {
+  describe(`${name} storage adapter`, () => {
+    let workDir;
+    let storage;
+    let inputPath;
+
+    beforeEach(async () => {
+      workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-'));
+      process.env.TEMP_DIR = path.join(workDir, 'temp');
+      storage = createAdapter(path.join(workDir, 'root'));
+      inputPath = path.join(workDir, 'clip.mp4');
+      await fs.writeFile(inputPath, 'video bytes');
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      jest.restoreAllMocks();
+      delete process.env.TEMP_DIR;
+      await fs.remove(workDir);
+    });
+
+    test('upload returns the stored file with an ID, a unique name, a URL and the size', async () => {
+      const first = await storage.upload(inputPath, 'clip.mp4', { type: 'video' });
+      const second = await storage.upload(inputPath, 'clip.mp4', { type: 'video' });
+
+      expect(first).toEqual({ id: expect.any(String), name: expect.stringMatching(/^clip_[a-f0-9]+\.mp4$/), url: expect.any(String), size: 11 });
+      expect(second.id).not.toBe(first.id);
+      expect(await storage.getUrl(first.id)).toBe(first.url);
+    });
+
+    test('upload keeps the name in the given folder without useUniqueFileName', async () => {
+      const file = await storage.upload(inputPath, 'index.m3u8', { type: 'stream', folder: 'streams/clip_1234', useUniqueFileName: false });
+
+      expect(file.name).toBe('index.m3u8');
+      expect(file.id).toBe('streams/clip_1234/index.m3u8');
+    });
+
+    test('download copies a stored file into TEMP_DIR', async () => {
+      const file = await storage.upload(inputPath, 'clip.mp4', { type: 'video' });
+      const localPath = await storage.download(file.id, 'renamed.mp4');
+
+      expect(localPath.startsWith(process.env.TEMP_DIR)).toBe(true);
+      expect(path.basename(localPath)).toMatch(/renamed\.mp4$/);
+      expect(await fs.readFile(localPath, 'utf8')).toBe('video bytes');
+    });
+
+    test('download of a missing file fails with 404 and is not retried', async () => {
+      await expect(storage.download('videos/missing.mp4')).rejects.toMatchObject({ status: 404, retryable: false });
+    });
+
+    test('delete removes the file', async () => {
+      const file = await storage.upload(inputPath, 'clip.mp4', { type: 'video' });
+      await storage.delete(file.id);
+
+      await expect(storage.download(file.id)).rejects.toMatchObject({ status: 404 });
+    });
+
+    test('list, listSiblings and archive work on source files', async () => {
+      const video = await storage.upload(inputPath, 'talk.mp4', { folder: '', useUniqueFileName: false });
+      await storage.upload(inputPath, 'talk.en.srt', { folder: '', useUniqueFileName: false });
+      await storage.upload(inputPath, 'other.mp4', { folder: '', useUniqueFileName: false });
+
+      expect((await storage.list()).map(file => file.name).sort()).toEqual(['other.mp4', 'talk.en.srt', 'talk.mp4']);
+      expect((await storage.listSiblings(video.id, 'talk.')).map(file => file.name)).toEqual(['talk.en.srt']);
+
+      const archivedId = await storage.archive(video.id);
+      expect(archivedId).not.toBe(video.id);
+      expect((await storage.list()).map(file => file.name)).not.toContain('talk.mp4');
+      expect(await fs.readFile(await storage.download(archivedId), 'utf8')).toBe('video bytes');
+    });
+
+    test('listOutputs covers the output folders only', async () => {
+      const video = await storage.upload(inputPath, 'clip.mp4', { type: 'video' });
+      const thumbnail = await storage.upload(inputPath, 'clip.jpg', { type: 'thumbnail' });
+      const segment = await storage.upload(inputPath, 'seg_001.ts', { type: 'stream', folder: 'streams/clip_1234', useUniqueFileName: false });
+      await storage.upload(inputPath, 'source.mp4', { folder: '', useUniqueFileName: false });
+      await storage.upload(inputPath, 'notes.mp4', { folder: 'marketing' });
+
+      expect((await storage.listOutputs()).map(file => file.id).sort()).toEqual([segment.id, thumbnail.id, video.id].sort());
+    });
+  });
+}
+
+describeStorageAdapter('local', (rootDir) => new LocalStorageService({ rootDir }));
+
+describe('LocalStorageService', () => {
+  test('rejects IDs outside the root directory', () => {
+    const storage = new LocalStorageService({ rootDir: os.tmpdir() });
+
+    expect(() => storage.resolve('../etc/passwd')).toThrow('Invalid local storage path');
+  });
+
+  test('serves URLs under the public URL when one is set', async () => {
+    const storage = new LocalStorageService({ rootDir: os.tmpdir(), publicUrl: 'https://cdn.example.com/media/' });
+
+    expect(await storage.getUrl('videos/my clip.mp4')).toBe('https://cdn.example.com/media/videos/my%20clip.mp4');
+  });
+});
@@ -0,0 +1,68 @@
+const webvtt = require('../utils/webvtt');
+
+const TRACK = `WEBVTT
+
+NOTE converted from SRT
+
+1
+00:00:01.000 --> 00:00:03.500
+First line
+
+2
+00:00:04.000 --> 00:00:08.000 align:start
+Second line
+spans two rows
+
+00:01:05.250 --> 00:01:07.000
+Third line
+`;
+
+describe('webvtt', () => {
+  test('parses cues with identifiers, settings and multi-line text', () => {
+    const track = webvtt.parse(TRACK);
+
+    expect(track.header).toBe('WEBVTT');
+    expect(track.blocks).toEqual(['NOTE converted from SRT']);
+    expect(track.cues).toEqual([
+      { id: '1', start: 1, end: 3.5, settings: '', text: 'First line' },
+      { id: '2', start: 4, end: 8, settings: 'align:start', text: 'Second line\nspans two rows' },
+      { id: null, start: 65.25, end: 67, settings: '', text: 'Third line' }
+    ]);
+  });
+
+  test('serializes back to the same cues', () => {
+    const track = webvtt.parse(TRACK);
+    expect(webvtt.parse(webvtt.serialize(track))).toEqual(track);
+  });
+
+  test('formats and parses timestamps', () => {
+    expect(webvtt.formatTimestamp(3725.5)).toBe('01:02:05.500');
+    expect(webvtt.formatTimestamp(-1)).toBe('00:00:00.000');
+    expect(webvtt.parseTimestamp('01:02:05.500')).toBe(3725.5);
+    expect(webvtt.parseTimestamp('2:05.5')).toBe(125.5);
+  });
+
+  test('slice keeps overlapping cues, shifted to the window start and clipped to it', () => {
+    const { cues } = webvtt.slice(webvtt.parse(TRACK), 3, 6);
+
+    expect(cues.map(cue => [cue.id, cue.start, cue.end])).toEqual([
+      ['1', 0, 0.5],
+      ['2', 1, 3]
+    ]);
+  });
+
+  test('remap moves each kept range to its offset in the edited video', () => {
+    const track = webvtt.parse(TRACK);
+    // An intro of 10s, then source 0-5s, then source 60-70s
+    const { cues } = webvtt.remap(track, [
+      { start: 0, end: 5, offset: 10 },
+      { start: 60, end: 70, offset: 15 }
+    ]);
+
+    expect(cues.map(cue => [cue.text.split('\n')[0], cue.start, cue.end])).toEqual([
+      ['First line', 11, 13.5],
+      ['Second line', 14, 15],
+      ['Third line', 20.25, 22]
+    ]);
+  });
+});
@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+
+// Comma-separated keys, e.g. DELIVERY_API_KEYS=key1,key2
+function parseApiKeys(value) {
+  return String(value || '').split(',').map(key => key.trim()).filter(Boolean);
+}
+
+// Comma-separated `key:scope` entries, where scope is `*` or `|`-separated job scopes, e.g.
+// DELIVERY_API_KEYS=key1:*,key2:job:<jobId>|promo- -> [{ key, scopes }]. A key without a scope
+// is an error, so no key gets access to every job by accident.
+function parseScopedApiKeys(value, name) {
+  return parseApiKeys(value).map(entry => {
+    const separator = entry.indexOf(':');
+    const scopes = separator > 0 ? entry.slice(separator + 1).split('|').filter(Boolean) : [];
+    if (scopes.length === 0) {
+      throw new Error(`${name} entries need a scope ("<key>:*" for every job, "<key>:job:<jobId>" or "<key>:<file name prefix>")`);
+    }
+    return { key: entry.slice(0, separator), scopes };
+  });
+}
+
+// Key from `X-API-Key` or `Authorization: Bearer <key>`
+function getRequestApiKey(req) {
+  const header = req.get('X-API-Key');
+  if (header) {
+    return header;
+  }
+  const match = (req.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+  return match ? match[1] : null;
+}
+
+// The entry of `keys` (plain keys or `{ key, scopes }`) matching `candidate`, or null. Compares
+// digests so the comparison takes the same time whatever the key.
+function findApiKey(candidate, keys) {
+  if (!candidate) {
+    return null;
+  }
+  const digest = crypto.createHash('sha256').update(candidate).digest();
+  return keys.find(entry => {
+    const key = typeof entry === 'string' ? entry : entry.key;
+    return crypto.timingSafeEqual(digest, crypto.createHash('sha256').update(key).digest());
+  }) || null;
+}
+
+function matchesApiKey(candidate, keys) {
+  return findApiKey(candidate, keys) !== null;
+}
+
+// Express middleware admitting requests that carry one of `keys`. Without configured keys
+// the routes are disabled rather than left open. The scopes of a scoped key are passed on
+// as `req.apiKeyScopes`.
+function requireApiKey(keys, scope) {
+  return (req, res, next) => {
+    if (keys.length === 0) {
+      return res.status(503).json({ error: `The ${scope} API is not configured` });
+    }
+    const entry = findApiKey(getRequestApiKey(req), keys);
+    if (!entry) {
+      return res.status(401).json({ error: 'Missing or invalid API key' });
+    }
+    req.apiKeyScopes = entry.scopes || null;
+    next();
+  };
+}
+
+module.exports = {
+  parseApiKeys,
+  parseScopedApiKeys,
+  getRequestApiKey,
+  findApiKey,
+  matchesApiKey,
+  requireApiKey
+};
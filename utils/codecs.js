@@ -0,0 +1,110 @@
+// Video encoders presets can use. `crf`/`maxCrf` are the encoder's quality scale, and speed is
+// either an x264-style `encoderPreset` name or a numeric `speed` (libvpx/libaom -cpu-used,
+// SVT-AV1 -preset). Defaults apply when the preset leaves the setting out.
+const VIDEO_ENCODERS = {
+  libx264: {
+    family: 'h264',
+    crf: 23,
+    maxCrf: 51,
+    encoderPreset: 'medium',
+    containers: ['mp4', 'mov', 'mkv'],
+    twoPass: true
+  },
+  libx265: {
+    family: 'hevc',
+    crf: 28,
+    maxCrf: 51,
+    encoderPreset: 'medium',
+    containers: ['mp4', 'mov', 'mkv'],
+    // Apple players only accept HEVC in MP4/MOV with the hvc1 tag
+    tag: 'hvc1',
+    twoPass: true
+  },
+  'libvpx-vp9': {
+    family: 'vp9',
+    crf: 33,
+    maxCrf: 63,
+    speed: 2,
+    maxSpeed: 5,
+    containers: ['webm', 'mkv', 'mp4'],
+    twoPass: true
+  },
+  'libaom-av1': {
+    family: 'av1',
+    crf: 32,
+    maxCrf: 63,
+    speed: 6,
+    maxSpeed: 8,
+    containers: ['webm', 'mkv', 'mp4'],
+    twoPass: true
+  },
+  libsvtav1: {
+    family: 'av1',
+    crf: 35,
+    maxCrf: 63,
+    speed: 8,
+    maxSpeed: 13,
+    containers: ['webm', 'mkv', 'mp4'],
+    twoPass: false
+  }
+};
+
+// Codec family names accepted in place of an encoder
+const CODEC_ALIASES = {
+  h264: 'libx264',
+  hevc: 'libx265',
+  vp9: 'libvpx-vp9',
+  av1: 'libsvtav1'
+};
+
+const VIDEO_CODEC_NAMES = [...Object.keys(CODEC_ALIASES), ...Object.keys(VIDEO_ENCODERS)];
+
+// { name, family, crf, ... } for a preset's video.codec
+function getVideoEncoder(codec) {
+  const name = CODEC_ALIASES[codec] || codec;
+  const encoder = VIDEO_ENCODERS[name];
+  if (!encoder) {
+    throw new Error(`Unknown video codec: ${codec}`);
+  }
+  return { name, ...encoder };
+}
+
+// -c:v plus quality and speed options for a single-file encode of `video` (a preset's
+// video block). `videoBitrate` (kbps) switches to bitrate mode, e.g. for target-size encodes.
+function getVideoCodecOptions(video, videoBitrate = null) {
+  const encoder = getVideoEncoder(video.codec);
+  const crf = video.crf ?? encoder.crf;
+  const options = ['-c:v', encoder.name];
+
+  if (encoder.encoderPreset) {
+    options.push('-preset', video.encoderPreset || encoder.encoderPreset);
+  } else if (encoder.name === 'libsvtav1') {
+    options.push('-preset', String(video.speed ?? encoder.speed));
+  } else {
+    options.push('-cpu-used', String(video.speed ?? encoder.speed), '-row-mt', '1');
+    if (encoder.family === 'vp9') {
+      options.push('-deadline', 'good');
+    }
+  }
+
+  if (videoBitrate) {
+    options.push('-b:v', `${videoBitrate}k`);
+  } else if (video.rateControl === 'bitrate') {
+    options.push('-b:v', `${video.bitrate}k`);
+  } else {
+    options.push('-crf', String(crf));
+    // libvpx and libaom need a bitrate with -crf: 0 for constant quality, or the cap for
+    // constrained quality
+    if (encoder.name === 'libvpx-vp9' || encoder.name === 'libaom-av1') {
+      options.push('-b:v', video.maxBitrate ? `${video.maxBitrate}k` : '0');
+    }
+  }
+  return options;
+}
+
+module.exports = {
+  VIDEO_ENCODERS,
+  VIDEO_CODEC_NAMES,
+  getVideoEncoder,
+  getVideoCodecOptions
+};
@@ -0,0 +1,31 @@
+// Runs `fn(item, index)` over `items` with at most `limit` calls in flight. Results keep the
+// order of `items`. After the first failure no new items are started; the calls still in flight
+// are waited for, then the first error is rethrown.
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+
+  const worker = async () => {
+    while (next < items.length && !failed) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  };
+
+  const settled = await Promise.allSettled(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  const rejected = settled.find(outcome => outcome.status === 'rejected');
+  if (rejected) {
+    throw rejected.reason;
+  }
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency
+};
@@ -0,0 +1,17 @@
+// Escaping for values inside ffmpeg filter graphs. A value is parsed twice: first as a
+// filter option (where \ ' and : are special), then as part of the graph (where \ ' [ ] ,
+// and ; are special), so it is escaped for the option level first and the graph level second.
+function escapeFilterValue(value) {
+  const optionLevel = String(value).replace(/[\\':]/g, '\\$&');
+  return optionLevel.replace(/[\\'[\],;]/g, '\\$&');
+}
+
+// File paths use forward slashes so Windows paths need no extra escaping
+function escapeFilterPath(filePath) {
+  return escapeFilterValue(String(filePath).replace(/\\/g, '/'));
+}
+
+module.exports = {
+  escapeFilterValue,
+  escapeFilterPath
+};
@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const path = require('path');
+
+// Result types that belong in the thumbnails folder (posters, seek-preview sprite and its track)
+const THUMBNAIL_TYPES = ['thumbnail', 'poster', 'sprite', 'thumbnail-track'];
+
+const FOLDERS_BY_EXTENSION = {
+  '.mp4': 'videos',
+  '.avi': 'videos',
+  '.mov': 'videos',
+  '.mkv': 'videos',
+  '.wmv': 'videos',
+  '.flv': 'videos',
+  '.webm': 'videos',
+  '.m3u8': 'streams',
+  '.mpd': 'streams',
+  '.ts': 'streams',
+  '.m4s': 'streams',
+  '.json': 'manifests',
+  '.vtt': 'videos',
+  '.m4a': 'audio',
+  '.mp3': 'audio',
+  '.jpg': 'thumbnails',
+  '.jpeg': 'thumbnails',
+  '.png': 'thumbnails',
+  '.gif': 'thumbnails'
+};
+
+// Every top-level folder the pipeline uploads into; orphan cleanup looks nowhere else
+const OUTPUT_FOLDERS = [...new Set([...Object.values(FOLDERS_BY_EXTENSION), 'thumbnails', 'previews'])];
+
+function getFolderByExtension(extension) {
+  return FOLDERS_BY_EXTENSION[extension.toLowerCase()] || 'videos';
+}
+
+// Destination folder of a processed file, by result type and then by extension
+function getUploadFolder(fileName, fileType = 'video') {
+  const extension = path.extname(fileName).toLowerCase();
+  if (fileType === 'preview') {
+    return 'previews';
+  }
+  if (THUMBNAIL_TYPES.includes(fileType) || extension === '.jpg' || extension === '.png') {
+    return 'thumbnails';
+  }
+  return getFolderByExtension(extension);
+}
+
+// Whether a stored path ("/videos/a.mp4", "streams/x/index.m3u8") is inside an output folder
+function isOutputPath(filePath) {
+  return OUTPUT_FOLDERS.includes(String(filePath).replace(/^\/+/, '').split('/')[0]);
+}
+
+// `<name>_<random>.<ext>`, so uploads of the same name do not overwrite each other
+function getUniqueFileName(fileName) {
+  const { name, ext } = path.parse(fileName);
+  return `${name}_${crypto.randomBytes(4).toString('hex')}${ext}`;
+}
+
+module.exports = {
+  THUMBNAIL_TYPES,
+  OUTPUT_FOLDERS,
+  getFolderByExtension,
+  getUploadFolder,
+  isOutputPath,
+  getUniqueFileName
+};
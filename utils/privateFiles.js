@@ -0,0 +1,33 @@
+// With IMAGEKIT_PRIVATE_FILES=true results are uploaded as private ImageKit files, which only
+// open through signed URLs (GET /delivery/...). Without it every stored URL is public and
+// signing protects nothing. Adaptive stream files stay public either way: players fetch the
+// segments by the unsigned URLs written into the playlists.
+const PUBLIC_RESULT_TYPES = ['stream', 'playlist'];
+
+function isPrivateDelivery() {
+  const destination = (process.env.DESTINATION_STORAGE || 'imagekit').toLowerCase();
+  return destination === 'imagekit' && process.env.IMAGEKIT_PRIVATE_FILES === 'true';
+}
+
+// Whether a result or upload of `type` is stored as a private file
+function isPrivateType(type) {
+  return isPrivateDelivery() && !PUBLIC_RESULT_TYPES.includes(type);
+}
+
+// Results without the stored URLs of private files, for places that show them (status, Sheets)
+function withoutPrivateUrls(results = []) {
+  return results.map(result => {
+    if (!isPrivateType(result.type)) {
+      return result;
+    }
+    const { url, ...rest } = result;
+    return rest;
+  });
+}
+
+module.exports = {
+  PUBLIC_RESULT_TYPES,
+  isPrivateDelivery,
+  isPrivateType,
+  withoutPrivateUrls
+};
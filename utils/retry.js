@@ -0,0 +1,54 @@
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Delay before the given retry (1-based): baseDelayMs * 2^(attempt - 1), capped, with +/-20% jitter
+function getBackoffDelay(attempt, { baseDelayMs = 1000, maxDelayMs = 60000 } = {}) {
+  const exponential = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt - 1));
+  const jitter = exponential * 0.2 * (Math.random() * 2 - 1);
+  return Math.max(0, Math.round(exponential + jitter));
+}
+
+async function retryWithBackoff(fn, options = {}) {
+  const {
+    retries = 3,
+    baseDelayMs = 1000,
+    maxDelayMs = 60000,
+    shouldRetry = () => true,
+    onRetry = () => {},
+    signal = null
+  } = options;
+
+  let attempt = 0;
+
+  while (true) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      attempt++;
+
+      if (attempt > retries || !shouldRetry(error) || signal?.aborted) {
+        throw error;
+      }
+
+      const waitMs = getBackoffDelay(attempt, { baseDelayMs, maxDelayMs });
+      onRetry(error, attempt, waitMs);
+      await delay(waitMs);
+    }
+  }
+}
+
+// Transfer errors worth another attempt: timeouts, rate limits, server errors and
+// network-level failures (ECONNRESET, ETIMEDOUT, ...) or broken streams
+function isRetryableHttpError(error) {
+  const status = error.response?.status || error.code;
+  if (typeof status === 'number') {
+    return status === 408 || status === 429 || status >= 500;
+  }
+  return true;
+}
+
+module.exports = {
+  delay,
+  getBackoffDelay,
+  retryWithBackoff,
+  isRetryableHttpError
+};
@@ -0,0 +1,106 @@
+// Output geometry for the preset scaling modes. All sizes are in display orientation:
+// ffmpeg auto-rotates the input, so filters see the frame the way a player shows it.
+//
+//   stretch  scale to exactly the target size (ignores aspect ratio)
+//   fit      scale to fit inside the target box, keep aspect ratio, no padding
+//   fit-pad  fit inside the box, then pad (letterbox/pillarbox) to the exact target size
+//   crop     scale to cover the box, then center-crop to the exact target size
+//   none     keep the source size
+//
+// With `upscale: false` sources smaller than the box are never enlarged.
+
+const toEven = (value) => Math.max(2, Math.round(value / 2) * 2);
+
+// Rotation from the stream tags (older ffprobe) or the display matrix side data
+function getRotation(videoStream) {
+  const tagRotation = parseFloat(videoStream?.tags?.rotate);
+  const sideData = (videoStream?.side_data_list || []).find(data => data.rotation !== undefined);
+  const rotation = Number.isFinite(tagRotation) ? tagRotation : parseFloat(sideData?.rotation) || 0;
+  return ((Math.round(rotation) % 360) + 360) % 360;
+}
+
+function getDisplayDimensions({ width, height, rotation = 0 }) {
+  if (!width || !height) {
+    return null;
+  }
+  return rotation === 90 || rotation === 270
+    ? { width: height, height: width }
+    : { width: width, height: height };
+}
+
+// Display size from analyzeVideo() output, or null when the source size is unknown
+function getDisplaySize(videoInfo) {
+  if (!videoInfo?.displayWidth || !videoInfo?.displayHeight) {
+    return null;
+  }
+  return { width: videoInfo.displayWidth, height: videoInfo.displayHeight };
+}
+
+function parseResolution(resolution) {
+  const [width, height] = String(resolution).split('x').map(value => parseInt(value));
+  return { width, height };
+}
+
+// Returns { width, height, filters } for the encoded output. Without a known source
+// size (no usable ffprobe data) the source is kept as is.
+function computeScaling(source, { resolution, scaling = 'fit', upscale = true, padColor = 'black' } = {}) {
+  if (scaling === 'none' || !resolution || !source) {
+    return { width: source?.width || null, height: source?.height || null, filters: [] };
+  }
+
+  const box = parseResolution(resolution);
+  const widthRatio = box.width / source.width;
+  const heightRatio = box.height / source.height;
+  const limit = (ratio) => (upscale ? ratio : Math.min(ratio, 1));
+
+  switch (scaling) {
+    case 'fit': {
+      const ratio = limit(Math.min(widthRatio, heightRatio));
+      const width = toEven(source.width * ratio);
+      const height = toEven(source.height * ratio);
+      return { width, height, filters: [`scale=${width}:${height}`, 'setsar=1'] };
+    }
+    case 'fit-pad': {
+      const ratio = limit(Math.min(widthRatio, heightRatio));
+      const width = Math.min(box.width, toEven(source.width * ratio));
+      const height = Math.min(box.height, toEven(source.height * ratio));
+      return {
+        width: box.width,
+        height: box.height,
+        filters: [
+          `scale=${width}:${height}`,
+          'setsar=1',
+          `pad=${box.width}:${box.height}:(ow-iw)/2:(oh-ih)/2:color=${padColor}`
+        ]
+      };
+    }
+    case 'crop': {
+      const ratio = limit(Math.max(widthRatio, heightRatio));
+      const scaledWidth = toEven(source.width * ratio);
+      const scaledHeight = toEven(source.height * ratio);
+      // Without upscaling a small source is cropped to the target aspect ratio at its own size
+      const cropScale = Math.min(1, scaledWidth / box.width, scaledHeight / box.height);
+      const width = Math.min(scaledWidth, toEven(box.width * cropScale));
+      const height = Math.min(scaledHeight, toEven(box.height * cropScale));
+      return {
+        width,
+        height,
+        filters: [`scale=${scaledWidth}:${scaledHeight}`, `crop=${width}:${height}`, 'setsar=1']
+      };
+    }
+    default: {
+      if (!upscale && source.width <= box.width && source.height <= box.height) {
+        return { width: source.width, height: source.height, filters: [] };
+      }
+      return { width: box.width, height: box.height, filters: [`scale=${box.width}:${box.height}`, 'setsar=1'] };
+    }
+  }
+}
+
+module.exports = {
+  getRotation,
+  getDisplayDimensions,
+  getDisplaySize,
+  parseResolution,
+  computeScaling
+};
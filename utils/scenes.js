@@ -0,0 +1,39 @@
+const ffmpeg = require('fluent-ffmpeg');
+
+const NULL_OUTPUT = process.platform === 'win32' ? 'NUL' : '/dev/null';
+
+// Scene change times (seconds) from ffmpeg's scene score on a downscaled decode.
+// Scene detection is always an optimisation, so failures resolve to an empty list.
+function detectScenes(inputPath, threshold = 0.3) {
+  return new Promise((resolve) => {
+    const scenes = [];
+    ffmpeg(inputPath)
+      .videoFilters([
+        'scale=320:-2',
+        `select='gt(scene,${threshold})'`,
+        'showinfo'
+      ])
+      .outputOptions(['-an', '-f', 'null'])
+      .output(NULL_OUTPUT)
+      .on('stderr', (line) => {
+        const match = line.match(/pts_time:\s*([\d.]+)/);
+        if (match) {
+          scenes.push(parseFloat(match[1]));
+        }
+      })
+      .on('end', () => {
+        console.log(`Detected ${scenes.length} scene changes`);
+        resolve(scenes);
+      })
+      .on('error', (err) => {
+        console.warn(`Scene detection failed: ${err.message}`);
+        resolve([]);
+      })
+      .run();
+  });
+}
+
+module.exports = {
+  NULL_OUTPUT,
+  detectScenes
+};
@@ -0,0 +1,98 @@
+// Minimal WebVTT reader/writer for re-timing cues. Only the parts a converted track
+// contains are handled: the header block, NOTE/STYLE/REGION blocks and cues with an
+// optional identifier and settings.
+
+const TIMING_PATTERN = /^((?:\d+:)?\d{1,2}:\d{2}\.\d{3})\s+-->\s+((?:\d+:)?\d{1,2}:\d{2}\.\d{3})(.*)$/;
+
+function parseTimestamp(value) {
+  const parts = value.split(':').map(parseFloat);
+  return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+function formatTimestamp(seconds) {
+  const milliseconds = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(milliseconds / 3600000);
+  const minutes = Math.floor((milliseconds % 3600000) / 60000);
+  const secs = ((milliseconds % 60000) / 1000).toFixed(3).padStart(6, '0');
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${secs}`;
+}
+
+// { header, blocks, cues }: `blocks` are NOTE/STYLE/REGION blocks kept verbatim
+function parse(text) {
+  const chunks = String(text).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n{2,}/);
+  const header = chunks.shift().trim() || 'WEBVTT';
+  const blocks = [];
+  const cues = [];
+
+  for (const chunk of chunks) {
+    const lines = chunk.replace(/^\n+|\n+$/g, '').split('\n');
+    if (lines[0] === '') {
+      continue;
+    }
+
+    const timingIndex = lines.findIndex(line => TIMING_PATTERN.test(line));
+    if (timingIndex === -1 || timingIndex > 1) {
+      if (/^(NOTE|STYLE|REGION)\b/.test(lines[0])) {
+        blocks.push(lines.join('\n'));
+      }
+      continue;
+    }
+
+    const [, start, end, settings] = lines[timingIndex].match(TIMING_PATTERN);
+    cues.push({
+      id: timingIndex === 1 ? lines[0] : null,
+      start: parseTimestamp(start),
+      end: parseTimestamp(end),
+      settings: settings.trim(),
+      text: lines.slice(timingIndex + 1).join('\n')
+    });
+  }
+
+  return { header, blocks, cues };
+}
+
+function serialize({ header = 'WEBVTT', blocks = [], cues }) {
+  const parts = [header, ...blocks];
+  for (const cue of cues) {
+    const timing = `${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}${cue.settings ? ` ${cue.settings}` : ''}`;
+    parts.push([cue.id, timing, cue.text].filter(line => line !== null && line !== undefined).join('\n'));
+  }
+  return `${parts.join('\n\n')}\n`;
+}
+
+// Cues overlapping [start, end) of the source, re-timed so `start` becomes 0 and
+// clipped to the window
+function slice(track, start, end) {
+  return {
+    ...track,
+    cues: track.cues
+      .filter(cue => cue.end > start && cue.start < end)
+      .map(cue => ({
+        ...cue,
+        start: Math.max(0, cue.start - start),
+        end: Math.min(end, cue.end) - start
+      }))
+  };
+}
+
+// Cues of an edited video: each of `segments` ({ start, end, offset }) keeps the cues in
+// [start, end) of the source and moves them to `offset` in the output
+function remap(track, segments) {
+  return {
+    ...track,
+    cues: segments.flatMap(segment => slice(track, segment.start, segment.end).cues.map(cue => ({
+      ...cue,
+      start: cue.start + segment.offset,
+      end: cue.end + segment.offset
+    })))
+  };
+}
+
+module.exports = {
+  parse,
+  serialize,
+  slice,
+  remap,
+  parseTimestamp,
+  formatTimestamp
+};